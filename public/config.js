@@ -0,0 +1,33 @@
+// Runtime configuration for the leaf classifier.
+//
+// This file is served as-is, so it can be edited on a deployed server to
+// switch the classification backend without rebuilding the app. Any key
+// left out falls back to the REACT_APP_CLASSIFIER_* build variables and
+// then to the defaults in src/lib/classifier-config.js.
+//
+// Examples:
+//
+//   Classification proxy on another host (defaults to /api/classify)
+//     { provider: "proxy", url: "https://api.example.com/api/classify" }
+//
+//   Self-hosted Roboflow inference server
+//     { provider: "roboflow-inference", url: "http://localhost:9001" }
+//
+//   Generic REST/JSON endpoint
+//     { provider: "rest", url: "https://models.example.com/classify" }
+//
+//   Canned predictions for offline development
+//     { provider: "mock" }
+//
+//   On-device inference, as the main provider or as an option picked in
+//   the settings (a TensorFlow.js model exported to public/models/leaf/)
+//     { localModel: { url: "/models/leaf/model.json" } }
+//
+//   Two model versions compared side by side (comparison mode in the
+//   settings)
+//     { compareModels: [{ label: "v2", version: "2" }, { label: "v3", version: "3" }] }
+//
+//   Leaf detection for images with several leaves (leaf detection in the
+//   settings), through the proxy's /api/detect route
+//     { detection: { provider: "proxy", minConfidence: 0.5 } }
+window.LEAF_CLASSIFIER_CONFIG = {};
@@ -0,0 +1,111 @@
+/**
+ * POST /api/classify
+ *
+ * Accepts a raw image body (Content-Type: image/*), adds the Roboflow API
+ * key server-side and forwards the image to the model as base64. Also
+ * serves /api/detect, with the detection model as `upstreamUrl`.
+ *
+ * Options: `isPrepaid(req)` exempts a request from the rate limit, and
+ * `onResult(req, res, body)` sees each model answer before it is sent.
+ */
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Buffers the request body, rejecting it as soon as it exceeds `limit`
+ */
+const readBody = (req, limit) =>
+  new Promise((resolve, reject) => {
+    const declared = parseInt(req.headers["content-length"], 10);
+    if (declared > limit) {
+      reject(new HttpError(413, `Image exceeds ${limit} bytes`));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let received = 0;
+
+    req.on("data", (chunk) => {
+      received += chunk.length;
+      if (received > limit) {
+        reject(new HttpError(413, `Image exceeds ${limit} bytes`));
+        // Drain the rest so the error response can still be delivered
+        req.removeAllListeners("data");
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+/**
+ * Forwards a base64 image to the upstream model
+ */
+const forwardToModel = async (image, config) => {
+  const url = new URL(config.upstreamUrl);
+  url.searchParams.set("api_key", config.apiKey);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: image.toString("base64"),
+      signal: AbortSignal.timeout(config.upstreamTimeout),
+    });
+  } catch (error) {
+    const timedOut = error.name === "TimeoutError";
+    throw new HttpError(
+      timedOut ? 504 : 502,
+      timedOut ? "Model did not respond in time" : "Model is unreachable"
+    );
+  }
+
+  if (!response.ok) {
+    console.error("Upstream model error:", response.status);
+    throw new HttpError(502, `Model responded with ${response.status}`);
+  }
+
+  return response.json();
+};
+
+const createClassifyHandler =
+  (config, limiter, { isPrepaid, onResult } = {}) =>
+  async (req, res, send) => {
+    if (!isPrepaid?.(req)) {
+      const { allowed, limit, remaining, retryAfter } = limiter.hit(
+        req.clientId
+      );
+      res.setHeader("X-RateLimit-Limit", limit);
+      res.setHeader("X-RateLimit-Remaining", remaining);
+
+      if (!allowed) {
+        res.setHeader("Retry-After", retryAfter);
+        throw new HttpError(429, "Too many requests, please slow down");
+      }
+    }
+
+    const contentType = req.headers["content-type"] || "";
+    if (!contentType.startsWith("image/")) {
+      throw new HttpError(415, "Expected an image/* request body");
+    }
+
+    const image = await readBody(req, config.maxImageBytes);
+    if (image.length === 0) {
+      throw new HttpError(400, "Empty image");
+    }
+
+    const body = await forwardToModel(image, config);
+    onResult?.(req, res, body);
+    send(200, body);
+  };
+
+module.exports = { createClassifyHandler, HttpError };
@@ -0,0 +1,38 @@
+/**
+ * Proxy server configuration, read from the environment
+ *
+ * ROBOFLOW_API_KEY is the only required value. It never leaves the server.
+ */
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const config = {
+  port: toInt(process.env.PORT, 5000),
+  apiKey: process.env.ROBOFLOW_API_KEY || "",
+  upstreamUrl:
+    process.env.UPSTREAM_URL ||
+    "https://detect.roboflow.com/leaf-classification-xbz6a/2",
+  upstreamTimeout: toInt(process.env.UPSTREAM_TIMEOUT_MS, 30000),
+  // Object-detection model behind /api/detect, the route is off when unset
+  detectUpstreamUrl: process.env.DETECT_UPSTREAM_URL || "",
+
+  // Largest accepted image, in bytes
+  maxImageBytes: toInt(process.env.MAX_IMAGE_BYTES, 5 * 1024 * 1024),
+
+  // Requests allowed per client within each window
+  rateLimitWindowMs: toInt(process.env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+  rateLimitMax: toInt(process.env.RATE_LIMIT_MAX, 30),
+  // Leaf detection has its own quota. Each detection also issues a token
+  // for classifying its leaves, up to maxLeavesPerDetection, without
+  // using up the classify quota.
+  detectRateLimitMax: toInt(process.env.DETECT_RATE_LIMIT_MAX, 30),
+  maxLeavesPerDetection: toInt(process.env.MAX_LEAVES_PER_DETECTION, 6),
+
+  // Honour X-Forwarded-For when running behind a reverse proxy
+  trustProxy: process.env.TRUST_PROXY === "true",
+};
+
+module.exports = config;
@@ -0,0 +1,98 @@
+/**
+ * Classification proxy
+ *
+ * Keeps the model API key off the client: the browser posts images to
+ * /api/classify (and /api/detect for leaf detection) and this server
+ * forwards them to the model with the key attached. Run with
+ * `npm run server`; the CRA dev server proxies /api requests here (see
+ * "proxy" in package.json).
+ */
+
+const http = require("http");
+const config = require("./config");
+const { createRateLimiter } = require("./rate-limiter");
+const { createLeafTokens } = require("./leaf-tokens");
+const { createClassifyHandler, HttpError } = require("./classify");
+
+const limiter = createRateLimiter({
+  windowMs: config.rateLimitWindowMs,
+  max: config.rateLimitMax,
+});
+const detectLimiter = createRateLimiter({
+  windowMs: config.rateLimitWindowMs,
+  max: config.detectRateLimitMax,
+});
+const leafTokens = createLeafTokens({ ttlMs: config.rateLimitWindowMs });
+
+/**
+ * Hands out a token for classifying the leaves a detection found, which
+ * the client sends back as X-Leaf-Token with each leaf crop
+ */
+const issueLeafToken = (req, res, body) => {
+  const leaves = Array.isArray(body?.predictions) ? body.predictions.length : 0;
+  const uses = Math.min(leaves, config.maxLeavesPerDetection);
+  if (uses > 0) {
+    res.setHeader("X-Leaf-Token", leafTokens.issue(req.clientId, uses));
+  }
+};
+
+const routes = {
+  "POST /api/classify": createClassifyHandler(config, limiter, {
+    isPrepaid: (req) =>
+      leafTokens.redeem(req.clientId, req.headers["x-leaf-token"]),
+  }),
+  ...(config.detectUpstreamUrl && {
+    "POST /api/detect": createClassifyHandler(
+      { ...config, upstreamUrl: config.detectUpstreamUrl },
+      detectLimiter,
+      { onResult: issueLeafToken }
+    ),
+  }),
+  "GET /api/health": async (req, res, send) => send(200, { status: "ok" }),
+};
+
+/**
+ * Identifies the client for rate limiting
+ */
+const getClientId = (req) => {
+  if (config.trustProxy && req.headers["x-forwarded-for"]) {
+    return req.headers["x-forwarded-for"].split(",")[0].trim();
+  }
+  return req.socket.remoteAddress;
+};
+
+const server = http.createServer(async (req, res) => {
+  const send = (status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  const handler = routes[`${req.method} ${pathname}`];
+
+  if (!handler) {
+    send(404, { error: "Not found" });
+    return;
+  }
+
+  req.clientId = getClientId(req);
+
+  try {
+    await handler(req, res, send);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      send(error.status, { error: error.message });
+    } else {
+      console.error("Unexpected error:", error);
+      send(500, { error: "Internal server error" });
+    }
+  }
+});
+
+if (!config.apiKey) {
+  console.warn("ROBOFLOW_API_KEY is not set, upstream calls will be rejected");
+}
+
+server.listen(config.port, () => {
+  console.log(`Classification proxy listening on port ${config.port}`);
+});
@@ -0,0 +1,43 @@
+const { randomUUID } = require("crypto");
+
+/**
+ * One-off allowances for classifying the leaves of a detection
+ *
+ * `issue(key, uses)` returns a token good for `uses` classify requests by
+ * the same client within `ttlMs`. `redeem(key, token)` spends one use and
+ * tells whether there was one left. Leaves the client filters out are
+ * never sent, so their uses simply expire. Expired tokens are swept on
+ * each call.
+ */
+const createLeafTokens = ({ ttlMs }) => {
+  const tokens = new Map();
+
+  const sweep = (now) => {
+    for (const [token, entry] of tokens) {
+      if (entry.expiresAt <= now) tokens.delete(token);
+    }
+  };
+
+  const issue = (key, uses, now = Date.now()) => {
+    sweep(now);
+
+    const token = randomUUID();
+    tokens.set(token, { key, uses, expiresAt: now + ttlMs });
+    return token;
+  };
+
+  const redeem = (key, token, now = Date.now()) => {
+    sweep(now);
+
+    const entry = token && tokens.get(token);
+    if (!entry || entry.key !== key) return false;
+
+    entry.uses -= 1;
+    if (entry.uses <= 0) tokens.delete(token);
+    return true;
+  };
+
+  return { issue, redeem };
+};
+
+module.exports = { createLeafTokens };
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLeafTokens } = require("./leaf-tokens");
+
+test("covers as many requests as the token was issued for", () => {
+  const tokens = createLeafTokens({ ttlMs: 60000 });
+  const token = tokens.issue("a", 2, 0);
+
+  assert.equal(tokens.redeem("a", token, 0), true);
+  assert.equal(tokens.redeem("a", token, 0), true);
+  assert.equal(tokens.redeem("a", token, 0), false);
+});
+
+test("only covers the client it was issued to", () => {
+  const tokens = createLeafTokens({ ttlMs: 60000 });
+  const token = tokens.issue("a", 1, 0);
+
+  assert.equal(tokens.redeem("b", token, 0), false);
+  assert.equal(tokens.redeem("a", token, 0), true);
+});
+
+test("rejects missing, unknown and expired tokens", () => {
+  const tokens = createLeafTokens({ ttlMs: 60000 });
+  const token = tokens.issue("a", 3, 0);
+
+  assert.equal(tokens.redeem("a", undefined, 0), false);
+  assert.equal(tokens.redeem("a", "made-up", 0), false);
+  assert.equal(tokens.redeem("a", token, 60000), false);
+});
+
+test("issues a different token for every detection", () => {
+  const tokens = createLeafTokens({ ttlMs: 60000 });
+
+  assert.notEqual(tokens.issue("a", 1, 0), tokens.issue("a", 1, 0));
+});
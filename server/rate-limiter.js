@@ -0,0 +1,41 @@
+/**
+ * Fixed-window rate limiter keyed by client id
+ *
+ * Returns `{ allowed, limit, remaining, retryAfter }` for every hit.
+ * Expired windows are swept on each call so memory stays bounded by the
+ * number of clients active in the current window.
+ */
+const createRateLimiter = ({ windowMs, max }) => {
+  const windows = new Map();
+
+  const sweep = (now) => {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  };
+
+  const hit = (key, now = Date.now()) => {
+    sweep(now);
+
+    let entry = windows.get(key);
+    if (!entry) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    return {
+      allowed: entry.count <= max,
+      limit: max,
+      remaining: Math.max(0, max - entry.count),
+      retryAfter: Math.ceil((entry.resetAt - now) / 1000),
+    };
+  };
+
+  return { hit };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRateLimiter } = require("./rate-limiter");
+
+test("allows up to max requests per window", () => {
+  const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+
+  assert.deepEqual(limiter.hit("a", 0), {
+    allowed: true,
+    limit: 2,
+    remaining: 1,
+    retryAfter: 60,
+  });
+  assert.equal(limiter.hit("a", 1000).remaining, 0);
+  assert.deepEqual(limiter.hit("a", 30000), {
+    allowed: false,
+    limit: 2,
+    remaining: 0,
+    retryAfter: 30,
+  });
+});
+
+test("counts each client on its own", () => {
+  const limiter = createRateLimiter({ windowMs: 60000, max: 1 });
+
+  assert.equal(limiter.hit("a", 0).allowed, true);
+  assert.equal(limiter.hit("a", 0).allowed, false);
+  assert.equal(limiter.hit("b", 0).allowed, true);
+});
+
+test("starts a new window once the old one expires", () => {
+  const limiter = createRateLimiter({ windowMs: 60000, max: 1 });
+
+  limiter.hit("a", 0);
+  assert.equal(limiter.hit("a", 59999).allowed, false);
+  assert.deepEqual(limiter.hit("a", 60000), {
+    allowed: true,
+    limit: 1,
+    remaining: 0,
+    retryAfter: 60,
+  });
+});
@@ -1,25 +1,39 @@
 import LeafClassifier from "./Components/leaf-classifier";
+import I18nProvider from "./Components/i18n-provider";
+import LanguageSwitcher from "./Components/language-switcher";
+import useI18n from "./hooks/use-i18n";
 import "./output.css";
 
-function App() {
+function Page() {
+  const { t } = useI18n();
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-emerald-100 via-teal-50 to-white p-6">
       <header className="max-w-6xl mx-auto mb-8 text-center">
+        <div className="flex justify-end mb-2">
+          <LanguageSwitcher />
+        </div>
         <h1 className="text-3xl md:text-4xl font-bold text-emerald-800 mb-2">
-          Leaf Classification System
+          {t("app.title")}
         </h1>
-        <p className="text-emerald-600">
-          Capture or upload leaf images for instant classification
-        </p>
+        <p className="text-emerald-600">{t("app.tagline")}</p>
       </header>
 
       <LeafClassifier />
 
       <footer className="max-w-6xl mx-auto mt-12 text-center text-emerald-600 text-sm">
-        <p>© 2025 Leaf Classification System. All rights reserved.</p>
+        <p>{t("app.copyright")}</p>
       </footer>
     </div>
   );
 }
 
+function App() {
+  return (
+    <I18nProvider>
+      <Page />
+    </I18nProvider>
+  );
+}
+
 export default App;
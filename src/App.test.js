@@ -1,8 +1,30 @@
 import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { mockCamera } from './test-utils';
 
-test('renders learn react link', () => {
+test('renders the classifier with its tabs', async () => {
+  mockCamera();
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  expect(
+    screen.getByRole('heading', { level: 1, name: /leaf classification system/i })
+  ).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /upload/i })).toBeInTheDocument();
+  expect(await screen.findByText(/live feed/i)).toBeInTheDocument();
+});
+
+test('switches the language and remembers the choice', async () => {
+  mockCamera();
+  render(<App />);
+
+  userEvent.selectOptions(screen.getByLabelText('Language'), 'pt');
+
+  expect(
+    screen.getByRole('heading', { level: 1, name: 'Sistema de classificação de folhas' })
+  ).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Enviar' })).toBeInTheDocument();
+  expect(localStorage.getItem('leafClassifier.locale')).toBe('pt');
+  expect(document.documentElement.lang).toBe('pt');
+  localStorage.clear();
 });
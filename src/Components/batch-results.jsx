@@ -0,0 +1,173 @@
+import { Loader2, AlertCircle, RotateCcw, X, Check } from "lucide-react";
+import {
+  STATUS_QUEUED,
+  STATUS_DONE,
+  STATUS_ERROR,
+} from "../hooks/use-batch-queue";
+import { describedKind } from "../lib/classifier-errors";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * Counts finished items per predicted class, most frequent first
+ */
+const summarize = (items) => {
+  const counts = {};
+  items
+    .filter((item) => item.status === STATUS_DONE)
+    .forEach((item) => {
+      counts[item.result.class] = (counts[item.result.class] || 0) + 1;
+    });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+};
+
+/**
+ * BatchResults Component
+ *
+ * Shows the batch queue as a grid: per-item status and progress, the
+ * predicted class once done, retry for failures and a per-class summary.
+ * Status labels are under "batch.status" in the message catalogs.
+ */
+const BatchResults = ({ items, onRetry, onClear, onOpen }) => {
+  const { t, formatNumber, formatPercent, classLabel } = useI18n();
+  const finished = items.filter(
+    (item) => item.status === STATUS_DONE || item.status === STATUS_ERROR
+  ).length;
+  const failed = items.filter((item) => item.status === STATUS_ERROR).length;
+  const summary = summarize(items);
+
+  return (
+    <div className="mt-8 p-5 bg-white rounded-xl border border-emerald-100 shadow-lg">
+      {/* Header and overall progress */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h3 className="text-lg font-semibold text-emerald-800">
+          {t("batch.title")}{" "}
+          <span className="text-sm font-normal text-gray-500">
+            {t("batch.processed", { finished, count: items.length })}
+          </span>
+        </h3>
+        <div className="flex gap-2">
+          {failed > 0 && (
+            <button
+              onClick={() => onRetry()}
+              className="flex items-center px-3 py-1.5 bg-white border border-gray-200 rounded-lg text-sm font-medium text-gray-700 cursor-pointer hover:bg-gray-50"
+            >
+              <RotateCcw className="w-4 h-4 mr-1.5 text-emerald-600" />
+              {t("batch.retryFailed", { count: failed })}
+            </button>
+          )}
+          <button
+            onClick={onClear}
+            className="flex items-center px-3 py-1.5 bg-white border border-gray-200 rounded-lg text-sm font-medium text-gray-700 cursor-pointer hover:bg-gray-50"
+          >
+            <X className="w-4 h-4 mr-1.5 text-gray-600" />
+            {t("batch.clearFinished")}
+          </button>
+        </div>
+      </div>
+
+      <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+        <div
+          className="bg-gradient-to-r from-emerald-500 to-teal-600 h-2 rounded-full transition-all duration-300"
+          style={{ width: `${(finished / items.length) * 100}%` }}
+        ></div>
+      </div>
+
+      {/* Per-class summary */}
+      {summary.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-5">
+          {summary.map(([className, count]) => (
+            <span
+              key={className}
+              className="px-3 py-1 rounded-full bg-emerald-50 border border-emerald-100 text-sm text-emerald-800"
+            >
+              {classLabel(className)}:{" "}
+              <span className="font-bold">{formatNumber(count)}</span>
+            </span>
+          ))}
+          {failed > 0 && (
+            <span className="px-3 py-1 rounded-full bg-red-50 border border-red-200 text-sm text-red-700">
+              {t("batch.status.error")}:{" "}
+              <span className="font-bold">{formatNumber(failed)}</span>
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Item grid */}
+      <ul className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4">
+        {items.map((item) => (
+          <li
+            key={item.id}
+            className="rounded-lg border border-emerald-100 overflow-hidden bg-white shadow-sm"
+          >
+            <button
+              onClick={() => item.status === STATUS_DONE && onOpen(item)}
+              className={`block w-full ${
+                item.status === STATUS_DONE
+                  ? "cursor-pointer"
+                  : "cursor-default"
+              }`}
+            >
+              <img
+                src={item.url}
+                alt={item.name}
+                className="w-full h-28 object-cover"
+              />
+            </button>
+            <div className="p-2.5">
+              <p className="text-xs text-gray-500 truncate" title={item.name}>
+                {item.name}
+              </p>
+
+              {item.status === STATUS_DONE ? (
+                <p className="mt-1 text-sm font-semibold text-emerald-900 flex items-center">
+                  <Check className="w-4 h-4 mr-1 text-emerald-600 flex-shrink-0" />
+                  <span className="truncate">
+                    {classLabel(item.result.class)}
+                  </span>
+                  <span className="ml-auto pl-1 font-normal text-gray-600">
+                    {formatPercent(item.result.confidence)}
+                  </span>
+                </p>
+              ) : item.status === STATUS_ERROR ? (
+                <div className="mt-1 flex items-center text-sm text-red-700">
+                  <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+                  <span
+                    className="truncate"
+                    title={t(`errors.${describedKind(item.errorKind)}.title`)}
+                  >
+                    {t(`batch.status.${item.status}`)}
+                  </span>
+                  <button
+                    onClick={() => onRetry(item.id)}
+                    className="ml-auto p-1 text-gray-500 hover:text-emerald-700 cursor-pointer"
+                    aria-label={t("batch.retryItem", { name: item.name })}
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <div className="mt-1">
+                  <p className="text-sm text-emerald-700 flex items-center">
+                    {item.status !== STATUS_QUEUED && (
+                      <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                    )}
+                    {t(`batch.status.${item.status}`)}
+                  </p>
+                  <div className="w-full bg-gray-200 rounded-full h-1.5 mt-1.5">
+                    <div
+                      className="bg-emerald-500 h-1.5 rounded-full transition-all duration-200"
+                      style={{ width: `${item.progress * 100}%` }}
+                    ></div>
+                  </div>
+                </div>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default BatchResults;
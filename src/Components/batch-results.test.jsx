@@ -0,0 +1,44 @@
+import { render, screen } from "@testing-library/react";
+import BatchResults from "./batch-results";
+import I18nProvider from "./i18n-provider";
+import { STATUS_ERROR } from "../hooks/use-batch-queue";
+import { ERROR_NETWORK } from "../lib/classifier-errors";
+
+const failedItem = (changes) => ({
+  id: 1,
+  name: "leaf.jpeg",
+  url: "blob:leaf",
+  status: STATUS_ERROR,
+  progress: 0,
+  result: null,
+  error: "Classifier is unreachable",
+  errorKind: ERROR_NETWORK,
+  ...changes,
+});
+
+const renderItems = (items) =>
+  render(
+    <I18nProvider locale="pt">
+      <BatchResults
+        items={items}
+        onRetry={jest.fn()}
+        onClear={jest.fn()}
+        onOpen={jest.fn()}
+      />
+    </I18nProvider>
+  );
+
+it("describes a failed item in the chosen language", () => {
+  renderItems([failedItem()]);
+
+  expect(
+    screen.getByTitle("Não foi possível acessar o classificador")
+  ).toBeInTheDocument();
+  expect(screen.queryByTitle("Classifier is unreachable")).toBeNull();
+});
+
+it("falls back to the generic description for unknown kinds", () => {
+  renderItems([failedItem({ errorKind: null, error: "Boom" })]);
+
+  expect(screen.getByTitle("A classificação falhou")).toBeInTheDocument();
+});
@@ -0,0 +1,117 @@
+import { SwitchCamera, Flashlight, FlashlightOff, ZoomIn } from "lucide-react";
+import { RESOLUTION_PRESETS } from "../lib/camera";
+import useI18n from "../hooks/use-i18n";
+
+const selectClass =
+  "px-2 py-1.5 border border-gray-200 rounded-md text-sm bg-white max-w-[200px]";
+
+/**
+ * CameraSettings Component
+ *
+ * Camera picker, front/back switch, resolution presets, and torch and
+ * zoom controls when the active track supports them.
+ */
+const CameraSettings = ({
+  cameras,
+  preferences,
+  onChange,
+  features,
+  torchOn,
+  onTorchChange,
+  onZoomChange,
+}) => {
+  const { t, formatNumber } = useI18n();
+  const update = (changes) => onChange({ ...preferences, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2 p-3 bg-white rounded-xl border border-emerald-100 shadow-sm">
+      {cameras.length > 1 && (
+        <select
+          value={preferences.deviceId || features.deviceId || ""}
+          onChange={(e) => update({ deviceId: e.target.value || null })}
+          className={selectClass}
+          aria-label={t("cameraSettings.camera")}
+        >
+          {cameras.map((camera, index) => (
+            <option key={camera.deviceId} value={camera.deviceId}>
+              {camera.label ||
+                t("cameraSettings.numbered", { number: index + 1 })}
+            </option>
+          ))}
+        </select>
+      )}
+
+      <button
+        onClick={() =>
+          update({
+            deviceId: null,
+            facingMode:
+              preferences.facingMode === "environment" ? "user" : "environment",
+          })
+        }
+        className="flex items-center px-3 py-1.5 border border-gray-200 rounded-md text-sm text-gray-700 cursor-pointer hover:bg-gray-50"
+        title={t("cameraSettings.switch")}
+      >
+        <SwitchCamera className="w-4 h-4 mr-1.5 text-emerald-600" />
+        {preferences.facingMode === "environment"
+          ? t("cameraSettings.back")
+          : t("cameraSettings.front")}
+      </button>
+
+      <select
+        value={preferences.resolution}
+        onChange={(e) => update({ resolution: e.target.value })}
+        className={selectClass}
+        aria-label={t("cameraSettings.resolution")}
+      >
+        {Object.entries(RESOLUTION_PRESETS).map(([key, preset]) => (
+          <option key={key} value={key}>
+            {key === "auto" ? t("cameraSettings.auto") : preset.label}
+          </option>
+        ))}
+      </select>
+
+      {features.torch && (
+        <button
+          onClick={() => onTorchChange(!torchOn)}
+          className={`flex items-center px-3 py-1.5 border rounded-md text-sm cursor-pointer ${
+            torchOn
+              ? "bg-amber-300 border-amber-300 text-amber-950"
+              : "border-gray-200 text-gray-700 hover:bg-gray-50"
+          }`}
+          aria-label={t("cameraSettings.torch")}
+        >
+          {torchOn ? (
+            <Flashlight className="w-4 h-4 mr-1.5" />
+          ) : (
+            <FlashlightOff className="w-4 h-4 mr-1.5" />
+          )}
+          {t("cameraSettings.torch")}
+        </button>
+      )}
+
+      {features.zoom && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <ZoomIn className="w-4 h-4 text-emerald-600" />
+          <input
+            type="range"
+            min={features.zoom.min}
+            max={features.zoom.max}
+            step={features.zoom.step}
+            value={features.zoom.value}
+            onChange={(e) => onZoomChange(parseFloat(e.target.value))}
+            className="w-28 accent-emerald-600"
+            aria-label={t("cameraSettings.zoom")}
+          />
+          {formatNumber(features.zoom.value, {
+            minimumFractionDigits: 1,
+            maximumFractionDigits: 1,
+          })}
+          x
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default CameraSettings;
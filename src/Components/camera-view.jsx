@@ -0,0 +1,243 @@
+import {
+  Camera,
+  X,
+  StopCircle,
+  Download,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  Radio,
+} from "lucide-react";
+import { saveFramingBox } from "../lib/camera";
+import CameraSettings from "./camera-settings";
+import CropBox from "./crop-box";
+import DetectionOverlay from "./detection-overlay";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * CameraView Component
+ *
+ * The camera tab: live feed with the framing guide and the live mode
+ * readout, camera settings, the last capture and the capture controls.
+ * `camera` is the state returned by useCamera and `live` the one returned
+ * by useLiveClassification. Without a stream it offers to start the
+ * camera and shows why it failed, if it did.
+ */
+const CameraView = ({
+  camera,
+  settings,
+  framingBox,
+  onFramingBoxChange,
+  live,
+  liveMode,
+  onLiveModeChange,
+  captureLeaves,
+  onCapture,
+  onClear,
+  onDownload,
+  onReload,
+}) => {
+  const { t, formatPercent, classLabel } = useI18n();
+
+  return camera.stream ? (
+    <div className="flex flex-col gap-6">
+      {/* Live Video Feed */}
+      <div className="relative rounded-xl overflow-hidden shadow-lg border border-emerald-100">
+        <video
+          ref={camera.videoRef}
+          aria-label={t("camera.preview")}
+          autoPlay
+          playsInline
+          muted // Important for autoplay to work on mobile
+          className="w-full h-auto block bg-gradient-to-r from-emerald-50 to-teal-50 min-h-[240px]"
+          style={{ display: "block" }} // Force display block
+        />
+        {/* Framing guide, only this region is captured */}
+        {settings.framingGuide && camera.ready && (
+          <CropBox
+            box={framingBox}
+            onChange={onFramingBoxChange}
+            onCommit={() =>
+              saveFramingBox(camera.features.deviceId, framingBox)
+            }
+          />
+        )}
+
+        <div className="absolute top-3 left-1/2 -translate-x-1/2 bg-white/90 backdrop-blur-sm px-5 py-1.5 rounded-full font-bold shadow-sm text-emerald-700 border border-emerald-100">
+          {t("camera.liveFeed")} {camera.ready ? "✓" : "..."}
+        </div>
+
+        {/* Live classification overlay */}
+        {liveMode && camera.ready && (
+          <div className="absolute bottom-3 left-3 right-3 flex items-center justify-between bg-emerald-900/75 backdrop-blur-sm px-4 py-2 rounded-lg text-white">
+            {live.result ? (
+              <>
+                <span className="font-bold">
+                  {classLabel(live.result.class)}{" "}
+                  <span className="font-normal">
+                    {formatPercent(live.result.confidence)}
+                  </span>
+                </span>
+                <span className="flex gap-1" aria-label={t("camera.stability")}>
+                  {Array.from(
+                    { length: settings.liveStableFrames },
+                    (_, index) => (
+                      <span
+                        key={index}
+                        className={`w-2 h-2 rounded-full ${
+                          index < live.streak ? "bg-emerald-300" : "bg-white/30"
+                        }`}
+                      />
+                    )
+                  )}
+                </span>
+              </>
+            ) : (
+              <span className="flex items-center">
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                {t("camera.scanning")}
+              </span>
+            )}
+          </div>
+        )}
+
+        {/* Camera loading overlay */}
+        {!camera.ready && (
+          <div className="absolute inset-0 bg-emerald-50/50 flex items-center justify-center">
+            <div className="bg-white p-3 rounded-lg shadow-md flex items-center">
+              <Loader2 className="w-5 h-5 text-emerald-500 animate-spin mr-2" />
+              <span className="text-emerald-700">
+                {t("camera.initializing")}
+              </span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Camera Selection */}
+      <CameraSettings
+        cameras={camera.cameras}
+        preferences={camera.preferences}
+        onChange={camera.changePreferences}
+        features={camera.features}
+        torchOn={camera.torchOn}
+        onTorchChange={camera.changeTorch}
+        onZoomChange={camera.changeZoom}
+      />
+
+      {/* Captured Image Canvas */}
+      <div className="relative rounded-xl overflow-hidden shadow-lg border border-emerald-100">
+        <canvas
+          ref={camera.canvasRef}
+          className="w-full h-auto block bg-gradient-to-r from-emerald-50 to-teal-50 min-h-[240px]"
+        />
+        {captureLeaves && <DetectionOverlay leaves={captureLeaves} />}
+        <div className="absolute top-3 left-1/2 -translate-x-1/2 bg-white/90 backdrop-blur-sm px-5 py-1.5 rounded-full font-bold shadow-sm text-emerald-700 border border-emerald-100">
+          {t("camera.captured")}
+        </div>
+      </div>
+
+      {/* Camera Controls */}
+      <div className="flex flex-wrap gap-4 justify-center">
+        <button
+          onClick={onCapture}
+          disabled={!camera.ready}
+          className={`flex flex-col items-center p-4 ${
+            camera.ready
+              ? "bg-gradient-to-br from-emerald-500 to-teal-600 text-white hover:-translate-y-1 hover:shadow-lg hover:shadow-emerald-200 active:scale-95"
+              : "bg-gray-300 text-gray-500 cursor-not-allowed"
+          } rounded-xl cursor-pointer transition-all duration-300`}
+        >
+          <Camera className="mb-1.5 w-6 h-6" />
+          <span className="font-medium">{t("camera.capture")}</span>
+        </button>
+
+        <button
+          onClick={() => onLiveModeChange(!liveMode)}
+          className={`flex flex-col items-center p-4 border rounded-xl cursor-pointer transition-all duration-300 hover:-translate-y-1 hover:shadow-lg active:scale-95 ${
+            liveMode
+              ? "bg-emerald-600 border-emerald-600 text-white hover:shadow-emerald-200"
+              : "bg-white border-gray-200 text-gray-700 hover:shadow-gray-100"
+          }`}
+        >
+          <Radio
+            className={`mb-1.5 w-6 h-6 ${
+              liveMode ? "text-white animate-pulse" : "text-emerald-500"
+            }`}
+          />
+          <span className="font-medium">
+            {liveMode ? t("camera.liveOn") : t("camera.live")}
+          </span>
+        </button>
+
+        <button
+          onClick={onClear}
+          className="flex flex-col items-center p-4 bg-white border border-gray-200 rounded-xl cursor-pointer transition-all duration-300 hover:-translate-y-1 hover:shadow-lg hover:shadow-gray-100 active:scale-95"
+        >
+          <X className="mb-1.5 w-6 h-6 text-gray-600" />
+          <span className="font-medium text-gray-700">{t("camera.clear")}</span>
+        </button>
+
+        <button
+          onClick={camera.stop}
+          className="flex flex-col items-center p-4 bg-white border border-gray-200 rounded-xl cursor-pointer transition-all duration-300 hover:-translate-y-1 hover:shadow-lg hover:shadow-gray-100 active:scale-95"
+        >
+          <StopCircle className="mb-1.5 w-6 h-6 text-red-500" />
+          <span className="font-medium text-gray-700">{t("camera.stop")}</span>
+        </button>
+
+        <button
+          onClick={onDownload}
+          className="flex flex-col items-center p-4 bg-white border border-gray-200 rounded-xl cursor-pointer transition-all duration-300 hover:-translate-y-1 hover:shadow-lg hover:shadow-gray-100 active:scale-95"
+        >
+          <Download className="mb-1.5 w-6 h-6 text-blue-500" />
+          <span className="font-medium text-gray-700">
+            {t("camera.download")}
+          </span>
+        </button>
+
+        <button
+          onClick={onReload}
+          className="flex flex-col items-center p-4 bg-white border border-gray-200 rounded-xl cursor-pointer transition-all duration-300 hover:-translate-y-1 hover:shadow-lg hover:shadow-gray-100 active:scale-95"
+        >
+          <RefreshCw className="mb-1.5 w-6 h-6 text-purple-500" />
+          <span className="font-medium text-gray-700">
+            {t("camera.reload")}
+          </span>
+        </button>
+      </div>
+    </div>
+  ) : (
+    <div className="flex justify-center items-center h-[400px] bg-gradient-to-r from-emerald-50 to-teal-50 rounded-xl border border-dashed border-emerald-200 shadow-inner">
+      <div className="text-center p-6">
+        <div className="w-20 h-20 mx-auto mb-4 rounded-full bg-white flex items-center justify-center shadow-md">
+          <Camera className="w-10 h-10 text-emerald-500" />
+        </div>
+        <h3 className="text-lg font-semibold text-emerald-800 mb-3">
+          {t("camera.accessRequired")}
+        </h3>
+        <p className="text-gray-600 mb-5 max-w-xs">{t("camera.accessHint")}</p>
+
+        {camera.error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 flex items-start">
+            <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
+            <div>
+              <p className="font-medium">{t("camera.error")}</p>
+              <p className="text-sm">{camera.error}</p>
+              <p className="text-sm mt-1">{t("camera.errorHint")}</p>
+            </div>
+          </div>
+        )}
+
+        <button
+          onClick={() => camera.start()}
+          className="px-6 py-3 bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-medium rounded-full cursor-pointer text-base hover:shadow-lg hover:shadow-emerald-200 transition-all duration-300 active:scale-95"
+        >
+          {t("camera.start")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CameraView;
@@ -0,0 +1,56 @@
+import { AlertCircle, RefreshCw, X } from "lucide-react";
+import { describedKind } from "../lib/classifier-errors";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * ClassificationError Component
+ *
+ * Explains why a classification failed, with the details reported by the
+ * backend and buttons to try again or dismiss the message.
+ */
+const ClassificationError = ({ error, onRetry, onDismiss }) => {
+  const { t } = useI18n();
+  const kind = describedKind(error.kind);
+
+  return (
+    <div
+      className="p-5 rounded-xl bg-red-50 border border-red-200"
+      role="alert"
+    >
+      <div className="flex items-start">
+        <AlertCircle className="w-5 h-5 mr-3 mt-0.5 text-red-500 shrink-0" />
+        <div className="flex-1">
+          <h3 className="font-semibold text-red-800">
+            {t(`errors.${kind}.title`)}
+          </h3>
+          <p className="text-sm text-red-700 mt-1">
+            {t(`errors.${kind}.hint`)}
+          </p>
+          <p className="text-xs text-red-500 mt-2">
+            {error.status ? `${error.status}: ` : ""}
+            {error.message}
+          </p>
+        </div>
+      </div>
+
+      <div className="flex gap-2 mt-4">
+        <button
+          onClick={onRetry}
+          className="flex items-center px-4 py-2 bg-gradient-to-r from-emerald-500 to-teal-600 text-white text-sm font-medium rounded-lg cursor-pointer hover:shadow-md transition-all duration-200"
+        >
+          <RefreshCw className="w-4 h-4 mr-1.5" />
+          {t("common.tryAgain")}
+        </button>
+        <button
+          onClick={onDismiss}
+          className="flex items-center px-4 py-2 bg-white border border-gray-200 text-gray-700 text-sm rounded-lg cursor-pointer hover:bg-gray-50"
+        >
+          <X className="w-4 h-4 mr-1.5" />
+          {t("common.dismiss")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ClassificationError;
@@ -0,0 +1,80 @@
+import { summarizeComparisons } from "../lib/model-comparison";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * ComparisonSummary Component
+ *
+ * Agreement between the compared models across many images: overall
+ * agreement, each model's latency, errors and agreement with the
+ * majority, and the agreement of every pair of models.
+ */
+const ComparisonSummary = ({ comparisons, title }) => {
+  const { t, formatNumber, formatPercent } = useI18n();
+  const summary = summarizeComparisons(comparisons);
+
+  const percent = (rate) => (rate === null ? "–" : formatPercent(rate));
+
+  return (
+    <div className="p-4 rounded-xl bg-white border border-emerald-100 shadow-sm text-sm">
+      <div className="flex items-baseline justify-between mb-3">
+        <h3 className="font-semibold text-emerald-800">
+          {title ?? t("comparison.summaryTitle")}
+        </h3>
+        <p className="text-gray-600">
+          {t("comparison.imagesAgree", {
+            agreed: summary.agreed,
+            count: summary.total,
+            rate: percent(summary.rate),
+          })}
+        </p>
+      </div>
+
+      <table className="w-full text-left">
+        <thead className="text-xs text-gray-500">
+          <tr>
+            <th className="font-medium py-1">{t("comparison.model")}</th>
+            <th className="font-medium py-1">{t("comparison.withMajority")}</th>
+            <th className="font-medium py-1">{t("comparison.meanLatency")}</th>
+            <th className="font-medium py-1">{t("comparison.errors")}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-emerald-50">
+          {summary.models.map((model) => (
+            <tr key={model.label}>
+              <td className="py-1 font-medium text-emerald-900">
+                {model.label}
+              </td>
+              <td className="py-1">{percent(model.consensusRate)}</td>
+              <td className="py-1">
+                {model.meanLatencyMs === null
+                  ? "–"
+                  : `${formatNumber(model.meanLatencyMs)} ms`}
+              </td>
+              <td className="py-1">{model.errors}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {summary.pairs.length > 1 && (
+        <ul className="mt-3 flex flex-wrap gap-2 text-xs">
+          {summary.pairs.map((pair) => (
+            <li
+              key={`${pair.a}|${pair.b}`}
+              className="px-2 py-1 rounded-md bg-emerald-50 text-emerald-900"
+            >
+              {t("comparison.pair", {
+                a: pair.a,
+                b: pair.b,
+                rate: percent(pair.rate),
+                count: pair.compared,
+              })}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonSummary;
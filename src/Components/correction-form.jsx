@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { PencilLine, Check, X, Loader2 } from "lucide-react";
+import { createGroundTruth } from "../lib/dataset";
+import { isSameClass } from "../lib/knowledge-base";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * CorrectionForm Component
+ *
+ * "Correct this result" action on the results card. Records the true
+ * class and optional notes for the classified image; saving the predicted
+ * class unchanged confirms it. `onSave(groundTruth)` must persist the
+ * label and may reject. Labels are saved as raw class names, so they can
+ * be compared with the model's answers.
+ */
+const CorrectionForm = ({ result, knownClasses = [], onSave }) => {
+  const { t, classLabel } = useI18n();
+  const { groundTruth } = result;
+  const [open, setOpen] = useState(false);
+  const [trueClass, setTrueClass] = useState(
+    groundTruth?.class || result.class
+  );
+  const [notes, setNotes] = useState(groundTruth?.notes || "");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const suggestions = [...new Set([result.class, ...knownClasses])];
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!trueClass.trim()) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSave(createGroundTruth(trueClass, notes));
+      setOpen(false);
+    } catch (saveError) {
+      console.error("Error saving label:", saveError);
+      setError(saveError.message || t("correction.saveFailed"));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {groundTruth && (
+          <span
+            className={`px-2 py-1 rounded-md ${
+              isSameClass(groundTruth.class, result.class)
+                ? "bg-emerald-100 text-emerald-800"
+                : "bg-amber-300 text-amber-950"
+            }`}
+          >
+            {isSameClass(groundTruth.class, result.class)
+              ? t("correction.confirmed")
+              : t("correction.labelledAs", {
+                  className: classLabel(groundTruth.class),
+                })}
+          </span>
+        )}
+        <button
+          onClick={() => setOpen(true)}
+          className="flex items-center px-3 py-1.5 bg-white border border-gray-200 rounded-lg text-gray-700 cursor-pointer hover:bg-gray-50"
+        >
+          <PencilLine className="w-4 h-4 mr-1.5 text-emerald-600" />
+          {groundTruth ? t("correction.edit") : t("correction.correct")}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={save}
+      className="p-4 rounded-xl border border-emerald-100 bg-emerald-50/50 text-sm"
+    >
+      <label
+        htmlFor="true-class"
+        className="block text-emerald-600 font-medium mb-1"
+      >
+        {t("correction.trueClass")}
+      </label>
+      <input
+        id="true-class"
+        list="true-class-options"
+        value={trueClass}
+        onChange={(e) => setTrueClass(e.target.value)}
+        className="w-full px-2 py-1.5 border border-gray-200 rounded-md bg-white"
+        required
+      />
+      <datalist id="true-class-options">
+        {suggestions.map((className) => (
+          <option
+            key={className}
+            value={className}
+            label={classLabel(className)}
+          />
+        ))}
+      </datalist>
+
+      <label
+        htmlFor="label-notes"
+        className="block text-emerald-600 font-medium mt-3 mb-1"
+      >
+        {t("correction.notes")}
+      </label>
+      <textarea
+        id="label-notes"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        rows={2}
+        placeholder={t("correction.notesPlaceholder")}
+        className="w-full px-2 py-1.5 border border-gray-200 rounded-md bg-white"
+      />
+
+      {error && (
+        <p className="mt-2 p-2 bg-red-50 border border-red-200 rounded-md text-red-700">
+          {error}
+        </p>
+      )}
+
+      <div className="flex gap-2 mt-3">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex items-center px-4 py-2 bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-medium rounded-lg cursor-pointer hover:shadow-md disabled:opacity-50"
+        >
+          {isSaving ? (
+            <Loader2 className="w-4 h-4 mr-1.5 animate-spin" />
+          ) : (
+            <Check className="w-4 h-4 mr-1.5" />
+          )}
+          {t("correction.save")}
+        </button>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="flex items-center px-4 py-2 bg-white border border-gray-200 text-gray-700 rounded-lg cursor-pointer hover:bg-gray-50"
+        >
+          <X className="w-4 h-4 mr-1.5" />
+          {t("common.cancel")}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CorrectionForm;
@@ -0,0 +1,87 @@
+import { useRef } from "react";
+import { adjustBox } from "../lib/image-edit";
+
+const CORNERS = {
+  nw: "-left-2 -top-2 cursor-nwse-resize",
+  ne: "-right-2 -top-2 cursor-nesw-resize",
+  sw: "-left-2 -bottom-2 cursor-nesw-resize",
+  se: "-right-2 -bottom-2 cursor-nwse-resize",
+};
+
+/**
+ * CropBox Component
+ *
+ * A movable, resizable rectangle drawn over its positioned parent, with
+ * the area outside it dimmed. `box` is in fractions of the parent; every
+ * drag step goes to `onChange`, and `onCommit` is called once the drag
+ * ends.
+ */
+const CropBox = ({ box, onChange, onCommit }) => {
+  const boxRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const startDrag = (mode) => (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+
+    dragRef.current = {
+      mode,
+      startX: event.clientX,
+      startY: event.clientY,
+      startBox: box,
+      bounds: boxRef.current.parentElement.getBoundingClientRect(),
+    };
+  };
+
+  const drag = (event) => {
+    const current = dragRef.current;
+    if (!current) return;
+
+    onChange(
+      adjustBox(
+        current.startBox,
+        current.mode,
+        (event.clientX - current.startX) / current.bounds.width,
+        (event.clientY - current.startY) / current.bounds.height
+      )
+    );
+  };
+
+  const endDrag = () => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    onCommit?.();
+  };
+
+  const dragHandlers = (mode) => ({
+    onPointerDown: startDrag(mode),
+    onPointerMove: drag,
+    onPointerUp: endDrag,
+    onPointerCancel: endDrag,
+  });
+
+  return (
+    <div
+      ref={boxRef}
+      className="absolute border-2 border-white shadow-[0_0_0_9999px_rgba(0,0,0,0.4)] cursor-move touch-none"
+      style={{
+        left: `${box.x * 100}%`,
+        top: `${box.y * 100}%`,
+        width: `${box.width * 100}%`,
+        height: `${box.height * 100}%`,
+      }}
+      {...dragHandlers("move")}
+    >
+      {Object.entries(CORNERS).map(([corner, position]) => (
+        <span
+          key={corner}
+          className={`absolute w-4 h-4 rounded-full bg-white border-2 border-emerald-500 touch-none ${position}`}
+          {...dragHandlers(corner)}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default CropBox;
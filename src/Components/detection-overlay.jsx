@@ -0,0 +1,43 @@
+import { severityColor } from "../lib/knowledge-base";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * DetectionOverlay Component
+ *
+ * Draws the detected leaves over an image: one numbered box per leaf with
+ * its class, coloured by severity. Must sit in a positioned wrapper that
+ * has exactly the size of the image.
+ */
+const DetectionOverlay = ({ leaves }) => {
+  const { classLabel } = useI18n();
+
+  return (
+    <div className="absolute inset-0 pointer-events-none">
+      {leaves.map((leaf, index) => {
+        const color = severityColor(leaf.class);
+        return (
+          <div
+            key={index}
+            className="absolute border-2 rounded-sm"
+            style={{
+              left: `${leaf.box.x * 100}%`,
+              top: `${leaf.box.y * 100}%`,
+              width: `${leaf.box.width * 100}%`,
+              height: `${leaf.box.height * 100}%`,
+              borderColor: color,
+            }}
+          >
+            <span
+              className="absolute left-0 top-0 px-1.5 py-0.5 rounded text-[11px] font-semibold text-white whitespace-nowrap"
+              style={{ backgroundColor: color }}
+            >
+              {index + 1}. {classLabel(leaf.class)}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DetectionOverlay;
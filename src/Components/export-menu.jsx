@@ -0,0 +1,73 @@
+import { FileText, FileJson, Printer } from "lucide-react";
+import {
+  toCSV,
+  toJSON,
+  downloadFile,
+  exportFileStem,
+  printReport,
+} from "../lib/export";
+import useI18n from "../hooks/use-i18n";
+
+const buttonClass =
+  "flex items-center px-3 py-1.5 bg-white border border-gray-200 rounded-lg text-sm font-medium text-gray-700 cursor-pointer hover:bg-gray-50 transition-colors";
+
+/**
+ * Downloads records in the chosen format
+ */
+const exportRecords = (records, format) => {
+  const stem = exportFileStem();
+  if (format === "csv") {
+    downloadFile(toCSV(records), `${stem}.csv`, "text/csv");
+  } else {
+    downloadFile(toJSON(records), `${stem}.json`, "application/json");
+  }
+};
+
+/**
+ * ExportMenu Component
+ *
+ * Export buttons for a set of records: CSV, JSON and, optionally, the
+ * printable report.
+ */
+const ExportMenu = ({ label, records, withReport = false }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  const openReport = () => {
+    try {
+      printReport(records, i18n);
+    } catch (error) {
+      // The report only fails to open when pop-ups are blocked
+      console.error("Error opening report:", error);
+      window.alert(error.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-sm text-emerald-600 font-medium mr-1">{label}</span>
+      <button
+        onClick={() => exportRecords(records, "csv")}
+        className={buttonClass}
+      >
+        <FileText className="w-4 h-4 mr-1.5 text-emerald-600" />
+        CSV
+      </button>
+      <button
+        onClick={() => exportRecords(records, "json")}
+        className={buttonClass}
+      >
+        <FileJson className="w-4 h-4 mr-1.5 text-blue-500" />
+        JSON
+      </button>
+      {withReport && (
+        <button onClick={openReport} className={buttonClass}>
+          <Printer className="w-4 h-4 mr-1.5 text-purple-500" />
+          {t("export.report")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,280 @@
+import { useState, useEffect } from "react";
+import { MapIcon, Grid3X3, Loader2, AlertCircle } from "lucide-react";
+import { getHistoryEntries } from "../lib/history-store";
+import { severityColor } from "../lib/knowledge-base";
+import { plotLabel, compareNames } from "../lib/plots";
+import { formatLocation } from "../lib/location";
+import useI18n from "../hooks/use-i18n";
+
+const plotKey = ({ field, plot, row }) => `${field}|${plot}|${row}`;
+
+/**
+ * Groups plots by field, with the sorted plot and row names of each
+ */
+const buildFieldGrids = (plots) => {
+  const fields = {};
+  plots.forEach((entry) => {
+    const grid = fields[entry.field] || { plots: new Set(), rows: new Set() };
+    grid.plots.add(entry.plot);
+    grid.rows.add(entry.row);
+    fields[entry.field] = grid;
+  });
+
+  return Object.entries(fields)
+    .sort(([a], [b]) => compareNames(a, b))
+    .map(([field, grid]) => ({
+      field,
+      plots: [...grid.plots].sort(compareNames),
+      rows: [...grid.rows].sort(compareNames),
+    }));
+};
+
+/**
+ * Projects locations onto a 100 x 100 square, keeping the aspect ratio
+ * of the area they cover
+ */
+const projectLocations = (entries) => {
+  const latitudes = entries.map((entry) => entry.location.latitude);
+  const minLatitude = Math.min(...latitudes);
+  const maxLatitude = Math.max(...latitudes);
+  // Degrees of longitude shrink towards the poles
+  const xScale = Math.cos((((minLatitude + maxLatitude) / 2) * Math.PI) / 180);
+  const xs = entries.map((entry) => entry.location.longitude * xScale);
+  const minX = Math.min(...xs);
+
+  const width = Math.max(...xs) - minX;
+  const height = maxLatitude - minLatitude;
+  // At least ~10 m across, so a single capture sits in the middle
+  const span = Math.max(width, height, 0.0001);
+
+  return entries.map((entry, index) => ({
+    entry,
+    x: 5 + ((xs[index] - minX + (span - width) / 2) / span) * 90,
+    y:
+      5 +
+      ((maxLatitude - entry.location.latitude + (span - height) / 2) / span) *
+        90,
+  }));
+};
+
+/**
+ * FieldView Component
+ *
+ * Shows the latest disease class of each plot as a grid per field (plots
+ * across, rows down), or every geotagged capture on a plain map. Both are
+ * drawn from the local history, so they work offline. Clicking a cell or
+ * a marker re-opens that classification.
+ */
+const FieldView = ({ refreshKey, plots, onOpen }) => {
+  const { t, classLabel } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState("grid");
+
+  useEffect(() => {
+    setIsLoading(true);
+    getHistoryEntries()
+      .then((loaded) => {
+        setEntries(loaded);
+        setError(null);
+      })
+      .catch((e) => {
+        console.error("Error loading history:", e);
+        setError(e);
+      })
+      .finally(() => setIsLoading(false));
+  }, [refreshKey]);
+
+  // Entries come newest first, so the first one per plot is the latest
+  const latestByPlot = {};
+  const countByPlot = {};
+  entries
+    .filter((entry) => entry.plot)
+    .forEach((entry) => {
+      const key = plotKey(entry.plot);
+      latestByPlot[key] = latestByPlot[key] || entry;
+      countByPlot[key] = (countByPlot[key] || 0) + 1;
+    });
+
+  const grids = buildFieldGrids([
+    ...plots,
+    ...entries.filter((entry) => entry.plot).map((entry) => entry.plot),
+  ]);
+  const located = entries.filter((entry) => entry.location);
+  const markers = located.length > 0 ? projectLocations(located) : [];
+  const legend = [
+    ...new Set(
+      (mode === "grid" ? Object.values(latestByPlot) : located).map(
+        (entry) => entry.class
+      )
+    ),
+  ].sort();
+
+  const tabClass = (active) =>
+    `flex items-center px-3 py-1.5 rounded-md text-sm cursor-pointer ${
+      active
+        ? "bg-emerald-600 text-white"
+        : "bg-white border border-gray-200 text-gray-700 hover:bg-gray-50"
+    }`;
+
+  return (
+    <div className="h-[400px] flex flex-col rounded-xl border border-emerald-100 bg-white shadow-lg overflow-hidden">
+      <div className="flex flex-wrap items-center gap-2 p-3 border-b border-emerald-100 bg-gradient-to-r from-emerald-50 to-teal-50">
+        <button
+          onClick={() => setMode("grid")}
+          className={tabClass(mode === "grid")}
+        >
+          <Grid3X3 className="w-4 h-4 mr-1.5" />
+          {t("field.plots")}
+        </button>
+        <button
+          onClick={() => setMode("map")}
+          className={tabClass(mode === "map")}
+        >
+          <MapIcon className="w-4 h-4 mr-1.5" />
+          {t("field.map")}
+        </button>
+        <ul className="ml-auto flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-600">
+          {legend.map((className) => (
+            <li key={className} className="flex items-center">
+              <span
+                className="w-2.5 h-2.5 mr-1 rounded-full"
+                style={{ backgroundColor: severityColor(className) }}
+              />
+              {classLabel(className)}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-full text-emerald-700">
+            <Loader2 className="w-5 h-5 animate-spin mr-2" />
+            {t("history.loading")}
+          </div>
+        ) : error ? (
+          <div className="m-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 flex items-start">
+            <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
+            <p className="text-sm">
+              {error.message || t("history.loadFailed")}
+            </p>
+          </div>
+        ) : mode === "grid" ? (
+          grids.length === 0 ? (
+            <p className="p-6 text-center text-gray-600">
+              {t("field.noPlots")}
+            </p>
+          ) : (
+            <div className="p-3 space-y-4">
+              {grids.map((grid) => (
+                <div key={grid.field}>
+                  <h4 className="mb-1 text-sm font-semibold text-emerald-800">
+                    {grid.field}
+                  </h4>
+                  <table className="text-xs text-center">
+                    <thead>
+                      <tr>
+                        <th></th>
+                        {grid.plots.map((plot) => (
+                          <th
+                            key={plot}
+                            className="px-1 font-medium text-gray-500"
+                          >
+                            {plot || "–"}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {grid.rows.map((row) => (
+                        <tr key={row}>
+                          <th className="pr-1 font-medium text-gray-500 text-right">
+                            {row ? t("field.row", { row }) : ""}
+                          </th>
+                          {grid.plots.map((plot) => {
+                            const key = plotKey({
+                              field: grid.field,
+                              plot,
+                              row,
+                            });
+                            const latest = latestByPlot[key];
+                            return (
+                              <td key={plot} className="p-0.5">
+                                <button
+                                  onClick={() => latest && onOpen(latest)}
+                                  disabled={!latest}
+                                  title={
+                                    latest
+                                      ? t("field.cellTitle", {
+                                          plot: plotLabel(latest.plot, t),
+                                          className: classLabel(latest.class),
+                                          count: countByPlot[key],
+                                        })
+                                      : t("field.noCaptures")
+                                  }
+                                  className="w-16 h-12 rounded-md text-white font-medium truncate px-1 cursor-pointer disabled:cursor-default disabled:bg-gray-100 disabled:text-gray-400"
+                                  style={
+                                    latest && {
+                                      backgroundColor: severityColor(
+                                        latest.class
+                                      ),
+                                    }
+                                  }
+                                >
+                                  {latest ? classLabel(latest.class) : "–"}
+                                </button>
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+          )
+        ) : markers.length === 0 ? (
+          <p className="p-6 text-center text-gray-600">
+            {t("field.noLocations")}
+          </p>
+        ) : (
+          <svg
+            viewBox="0 0 100 100"
+            className="w-full h-full bg-emerald-50/50"
+            role="img"
+            aria-label={t("field.mapLabel")}
+          >
+            {markers.map(({ entry, x, y }) => (
+              <circle
+                key={entry.id}
+                cx={x}
+                cy={y}
+                r="1.8"
+                fill={severityColor(entry.class)}
+                stroke="white"
+                strokeWidth="0.4"
+                className="cursor-pointer"
+                onClick={() => onOpen(entry)}
+              >
+                <title>
+                  {[
+                    classLabel(entry.class),
+                    formatLocation(entry.location),
+                    entry.plot && plotLabel(entry.plot, t),
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </title>
+              </circle>
+            ))}
+          </svg>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FieldView;
@@ -0,0 +1,234 @@
+import { useState, useEffect, useMemo } from "react";
+import {
+  History,
+  Trash2,
+  Loader2,
+  AlertCircle,
+  GitCompare,
+} from "lucide-react";
+import {
+  getHistoryEntries,
+  deleteHistoryEntry,
+  updateHistoryEntry,
+} from "../lib/history-store";
+import ComparisonSummary from "./comparison-summary";
+import useI18n from "../hooks/use-i18n";
+
+// How timestamps are shown in the history list
+const DATE_FORMAT = { dateStyle: "medium", timeStyle: "short" };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a date input value (YYYY-MM-DD) to local midnight
+ */
+const startOfDay = (value) => new Date(`${value}T00:00`).getTime();
+
+/**
+ * HistoryView Component
+ *
+ * Lists past classifications stored in IndexedDB, with filters by class
+ * and date. Clicking an entry re-opens it in the results panel.
+ *
+ * When `onCompare(image)` is given, the filtered entries can be sent to the
+ * comparison models; each answer is saved with its entry and the agreement
+ * is summarized above the list.
+ */
+const HistoryView = ({ refreshKey, onOpen, onCompare = null }) => {
+  const { t, formatDate, formatPercent, classLabel } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Entries compared so far out of the total, while a comparison runs
+  const [compareProgress, setCompareProgress] = useState(null);
+
+  // Filter states
+  const [classFilter, setClassFilter] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+
+  useEffect(() => {
+    setIsLoading(true);
+    getHistoryEntries()
+      .then((loaded) => {
+        setEntries(loaded);
+        setError(null);
+      })
+      .catch((e) => {
+        console.error("Error loading history:", e);
+        setError(e);
+      })
+      .finally(() => setIsLoading(false));
+  }, [refreshKey]);
+
+  const classes = useMemo(
+    () => [...new Set(entries.map((entry) => entry.class))].sort(),
+    [entries]
+  );
+
+  const filtered = entries.filter((entry) => {
+    if (classFilter && entry.class !== classFilter) return false;
+    if (fromDate && entry.createdAt < startOfDay(fromDate)) return false;
+    if (toDate && entry.createdAt >= startOfDay(toDate) + DAY_MS) return false;
+    return true;
+  });
+
+  const comparisons = filtered.map((entry) => entry.comparison).filter(Boolean);
+
+  /**
+   * Compares the filtered entries that have no comparison yet, one at a
+   * time to keep the load on the endpoints low
+   */
+  const compareEntries = async () => {
+    const pending = filtered.filter((entry) => !entry.comparison);
+    setCompareProgress({ done: 0, total: pending.length });
+
+    for (const [index, entry] of pending.entries()) {
+      try {
+        const comparison = await onCompare(entry.image);
+        await updateHistoryEntry(entry.id, { comparison });
+        setEntries((current) =>
+          current.map((item) =>
+            item.id === entry.id ? { ...item, comparison } : item
+          )
+        );
+      } catch (error) {
+        console.error("Error comparing history entry:", error);
+      }
+      setCompareProgress({ done: index + 1, total: pending.length });
+    }
+    setCompareProgress(null);
+  };
+
+  const removeEntry = async (e, id) => {
+    e.stopPropagation();
+    if (!window.confirm(t("history.confirmDelete"))) {
+      return;
+    }
+
+    try {
+      await deleteHistoryEntry(id);
+      setEntries(entries.filter((entry) => entry.id !== id));
+    } catch (error) {
+      console.error("Error deleting history entry:", error);
+    }
+  };
+
+  return (
+    <div className="h-[400px] flex flex-col rounded-xl border border-emerald-100 bg-white shadow-lg overflow-hidden">
+      {/* Filters */}
+      <div className="flex flex-wrap gap-2 p-3 border-b border-emerald-100 bg-gradient-to-r from-emerald-50 to-teal-50">
+        <select
+          value={classFilter}
+          onChange={(e) => setClassFilter(e.target.value)}
+          className="px-2 py-1.5 border border-gray-200 rounded-md text-sm bg-white"
+          aria-label={t("history.classFilter")}
+        >
+          <option value="">{t("history.allClasses")}</option>
+          {classes.map((className) => (
+            <option key={className} value={className}>
+              {classLabel(className)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={fromDate}
+          onChange={(e) => setFromDate(e.target.value)}
+          className="px-2 py-1.5 border border-gray-200 rounded-md text-sm bg-white"
+          aria-label={t("history.fromDate")}
+        />
+        <input
+          type="date"
+          value={toDate}
+          onChange={(e) => setToDate(e.target.value)}
+          className="px-2 py-1.5 border border-gray-200 rounded-md text-sm bg-white"
+          aria-label={t("history.toDate")}
+        />
+        {onCompare && (
+          <button
+            onClick={compareEntries}
+            disabled={Boolean(compareProgress) || filtered.length === 0}
+            className="ml-auto flex items-center px-3 py-1.5 bg-white border border-emerald-200 rounded-md text-sm text-emerald-800 cursor-pointer hover:bg-emerald-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {compareProgress ? (
+              <Loader2 className="w-4 h-4 mr-1.5 animate-spin" />
+            ) : (
+              <GitCompare className="w-4 h-4 mr-1.5" />
+            )}
+            {compareProgress
+              ? t("history.comparing", compareProgress)
+              : t("history.compare")}
+          </button>
+        )}
+      </div>
+
+      {/* Entries */}
+      <div className="flex-1 overflow-y-auto">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-full text-emerald-700">
+            <Loader2 className="w-5 h-5 animate-spin mr-2" />
+            {t("history.loading")}
+          </div>
+        ) : error ? (
+          <div className="m-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 flex items-start">
+            <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
+            <p className="text-sm">
+              {error.message || t("history.loadFailed")}
+            </p>
+          </div>
+        ) : filtered.length === 0 ? (
+          <div className="flex flex-col items-center justify-center h-full text-center p-6">
+            <History className="w-10 h-10 text-emerald-400 mb-3" />
+            <p className="text-gray-600">
+              {entries.length === 0
+                ? t("history.empty")
+                : t("history.noMatches")}
+            </p>
+          </div>
+        ) : (
+          <>
+            {comparisons.length > 0 && (
+              <div className="p-3 border-b border-emerald-100">
+                <ComparisonSummary comparisons={comparisons} />
+              </div>
+            )}
+            <ul className="divide-y divide-emerald-50">
+              {filtered.map((entry) => (
+                <li
+                  key={entry.id}
+                  onClick={() => onOpen(entry)}
+                  className="flex items-center gap-3 p-3 cursor-pointer hover:bg-emerald-50 transition-colors"
+                >
+                  <img
+                    src={entry.thumbnail}
+                    alt={classLabel(entry.class)}
+                    className="w-14 h-14 rounded-lg object-cover border border-emerald-100"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-emerald-900 truncate">
+                      {classLabel(entry.class)}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {formatPercent(entry.confidence, 1)} ·{" "}
+                      {formatDate(entry.createdAt, DATE_FORMAT)}
+                    </p>
+                  </div>
+                  <button
+                    onClick={(e) => removeEntry(e, entry.id)}
+                    className="p-2 text-gray-400 hover:text-red-500 cursor-pointer"
+                    aria-label={t("history.delete")}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryView;
@@ -0,0 +1,38 @@
+import { useState, useMemo, useEffect } from "react";
+import { I18nContext } from "../hooks/use-i18n";
+import { createI18n, loadLocale, saveLocale, resolveLocale } from "../lib/i18n";
+
+/**
+ * I18nProvider Component
+ *
+ * Provides the language to everything below it. Without a `locale` prop
+ * it starts from the saved or browser language, lets a LanguageSwitcher
+ * change it, remembers the choice and sets the page language. A `locale`
+ * prop fixes the language, for hosts that manage it themselves.
+ */
+const I18nProvider = ({ locale, children }) => {
+  const [chosenLocale, setChosenLocale] = useState(loadLocale);
+  const current = locale ? resolveLocale(locale) : chosenLocale;
+
+  const value = useMemo(
+    () => ({
+      ...createI18n(current),
+      setLocale: locale
+        ? null
+        : (next) => {
+            setChosenLocale(next);
+            saveLocale(next);
+          },
+    }),
+    [current, locale]
+  );
+
+  // Screen readers and hyphenation follow the page language
+  useEffect(() => {
+    if (!locale) document.documentElement.lang = current;
+  }, [current, locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,151 @@
+import { useState, useRef, useEffect } from "react";
+import { RotateCcw, RotateCw, Maximize, Check, X, Loader2 } from "lucide-react";
+import { loadImage } from "../lib/image-utils";
+import { FULL_BOX, drawEdited, editImage } from "../lib/image-edit";
+import CropBox from "./crop-box";
+import useI18n from "../hooks/use-i18n";
+
+// Longest side of the on-screen preview
+const PREVIEW_SIZE = 900;
+
+/**
+ * ImageEditor Component
+ *
+ * Lets the user crop and rotate an image before it is classified.
+ * `onConfirm(blob)` receives the edited image, or the original one when
+ * nothing was changed.
+ */
+const ImageEditor = ({ image, onConfirm, onCancel }) => {
+  const { t } = useI18n();
+  const [img, setImg] = useState(null);
+  const [rotation, setRotation] = useState(0);
+  const [crop, setCrop] = useState(FULL_BOX);
+  const [saving, setSaving] = useState(false);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const canvasRef = useRef(null);
+
+  // Decode the image once
+  useEffect(() => {
+    let active = true;
+    setImg(null);
+    setRotation(0);
+    setCrop(FULL_BOX);
+    setLoadFailed(false);
+
+    loadImage(image)
+      .then((decoded) => active && setImg(decoded))
+      .catch((error) => {
+        // e.g. HEIC in most browsers, the image can still be sent as is
+        console.error("Error loading image to edit:", error);
+        if (active) setLoadFailed(true);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [image]);
+
+  // Redraw the rotated preview, the crop box is drawn on top of it
+  useEffect(() => {
+    if (!img || !canvasRef.current) return;
+    const scale = Math.min(1, PREVIEW_SIZE / Math.max(img.width, img.height));
+    drawEdited(canvasRef.current, img, { rotation, crop: FULL_BOX }, scale);
+  }, [img, rotation]);
+
+  const rotate = (degrees) => {
+    setRotation((current) => (current + degrees + 360) % 360);
+    setCrop(FULL_BOX);
+  };
+
+  const confirm = async () => {
+    if (loadFailed) {
+      onConfirm(image);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      onConfirm(await editImage(img, image, { rotation, crop }));
+    } catch (error) {
+      console.error("Error editing image:", error);
+      setSaving(false);
+    }
+  };
+
+  const toolClass =
+    "flex items-center px-3 py-1.5 border border-gray-200 rounded-md text-sm text-gray-700 cursor-pointer hover:bg-gray-50 disabled:opacity-50";
+
+  return (
+    <div className="flex flex-col gap-4">
+      <h3 className="text-lg font-semibold text-emerald-800">
+        {t("editor.title")}
+      </h3>
+
+      <div className="relative self-center max-w-full overflow-hidden rounded-xl border border-emerald-50 shadow-md">
+        <canvas
+          ref={canvasRef}
+          className={`max-w-full h-auto ${img ? "block" : "hidden"}`}
+        />
+        {img && <CropBox box={crop} onChange={setCrop} />}
+        {!img && (
+          <div className="w-64 h-48 p-4 flex items-center justify-center text-center text-sm text-gray-500">
+            {loadFailed ? (
+              t("editor.loadFailed")
+            ) : (
+              <Loader2 className="w-6 h-6 text-emerald-500 animate-spin" />
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap justify-center gap-2">
+        <button
+          onClick={() => rotate(-90)}
+          disabled={!img}
+          className={toolClass}
+        >
+          <RotateCcw className="w-4 h-4 mr-1.5 text-emerald-600" />
+          {t("editor.left")}
+        </button>
+        <button
+          onClick={() => rotate(90)}
+          disabled={!img}
+          className={toolClass}
+        >
+          <RotateCw className="w-4 h-4 mr-1.5 text-emerald-600" />
+          {t("editor.right")}
+        </button>
+        <button
+          onClick={() => setCrop(FULL_BOX)}
+          disabled={!img}
+          className={toolClass}
+        >
+          <Maximize className="w-4 h-4 mr-1.5 text-emerald-600" />
+          {t("editor.fullImage")}
+        </button>
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          onClick={onCancel}
+          className="flex-1 flex items-center justify-center py-3 px-5 bg-white border border-gray-200 rounded-xl cursor-pointer hover:bg-gray-50 shadow-sm"
+        >
+          <X className="w-5 h-5 mr-2 text-gray-600" />
+          <span className="font-medium text-gray-700">
+            {t("editor.discard")}
+          </span>
+        </button>
+        <button
+          onClick={confirm}
+          disabled={(!img && !loadFailed) || saving}
+          className="flex-1 flex items-center justify-center py-3 px-5 bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-medium rounded-xl cursor-pointer hover:shadow-lg hover:shadow-emerald-200 transition-all duration-300 disabled:opacity-60"
+        >
+          <Check className="w-5 h-5 mr-2" />
+          {t("editor.classify")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImageEditor;
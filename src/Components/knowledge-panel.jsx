@@ -0,0 +1,131 @@
+import { useState } from "react";
+import { BookOpen, ChevronDown, Camera } from "lucide-react";
+import { UNDEFINED_CLASS } from "../lib/predictions";
+import {
+  getKnowledgeBase,
+  findKnowledgeEntry,
+  resolveImageUrl,
+} from "../lib/knowledge-base";
+import useI18n from "../hooks/use-i18n";
+
+const SEVERITY_STYLES = {
+  none: "bg-emerald-100 text-emerald-800",
+  low: "bg-lime-100 text-lime-800",
+  moderate: "bg-amber-100 text-amber-900",
+  high: "bg-red-100 text-red-800",
+};
+
+/**
+ * KnowledgePanel Component
+ *
+ * Expandable guidance for the predicted class from the knowledge base:
+ * description, symptoms, severity, recommended actions and reference
+ * images, or retake tips when the result is "undefined". The knowledge
+ * base follows the interface language.
+ */
+const KnowledgePanel = ({ predictedClass }) => {
+  const { t, locale, classLabel } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  const knowledge = getKnowledgeBase(locale);
+  const isUndefined = predictedClass === UNDEFINED_CLASS;
+  const entry = isUndefined ? null : findKnowledgeEntry(predictedClass, locale);
+
+  const title = isUndefined
+    ? t("knowledge.tips")
+    : t("knowledge.about", {
+        className: entry?.name || classLabel(predictedClass),
+      });
+
+  return (
+    <div className="rounded-xl border border-emerald-100 bg-white shadow-sm">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between px-5 py-3 cursor-pointer"
+        aria-expanded={open}
+      >
+        <span className="flex items-center font-medium text-emerald-800">
+          {isUndefined ? (
+            <Camera className="w-5 h-5 mr-2 text-emerald-500" />
+          ) : (
+            <BookOpen className="w-5 h-5 mr-2 text-emerald-500" />
+          )}
+          {title}
+        </span>
+        <ChevronDown
+          className={`w-5 h-5 text-gray-500 transition-transform ${
+            open ? "rotate-180" : ""
+          }`}
+        />
+      </button>
+
+      {open && (
+        <div className="px-5 pb-5 text-sm text-gray-700">
+          {isUndefined ? (
+            <>
+              <p className="mb-3">{knowledge.undefined.description}</p>
+              <ul className="list-disc pl-5 space-y-1">
+                {knowledge.undefined.tips.map((tip) => (
+                  <li key={tip}>{tip}</li>
+                ))}
+              </ul>
+            </>
+          ) : entry ? (
+            <>
+              <span
+                className={`inline-block mb-3 px-2 py-0.5 rounded-full text-xs font-medium ${
+                  SEVERITY_STYLES[entry.severity] || SEVERITY_STYLES.moderate
+                }`}
+              >
+                {knowledge.severityLabels[entry.severity] || entry.severity}
+              </span>
+              <p className="mb-3">{entry.description}</p>
+
+              <h4 className="font-medium text-emerald-700 mb-1">
+                {t("knowledge.symptoms")}
+              </h4>
+              <ul className="list-disc pl-5 space-y-1 mb-3">
+                {entry.symptoms.map((symptom) => (
+                  <li key={symptom}>{symptom}</li>
+                ))}
+              </ul>
+
+              <h4 className="font-medium text-emerald-700 mb-1">
+                {t("knowledge.actions")}
+              </h4>
+              <ul className="list-disc pl-5 space-y-1">
+                {entry.actions.map((action) => (
+                  <li key={action}>{action}</li>
+                ))}
+              </ul>
+
+              {entry.images?.length > 0 && (
+                <div className="grid grid-cols-3 gap-2 mt-4">
+                  {entry.images.map((image) => (
+                    <figure key={image.src}>
+                      <img
+                        src={resolveImageUrl(image.src)}
+                        alt={image.caption || entry.name}
+                        loading="lazy"
+                        className="w-full aspect-square object-cover rounded-md border border-emerald-50"
+                      />
+                      {image.caption && (
+                        <figcaption className="mt-1 text-xs text-gray-500">
+                          {image.caption}
+                        </figcaption>
+                      )}
+                    </figure>
+                  ))}
+                </div>
+              )}
+            </>
+          ) : (
+            <p className="text-gray-500">{t("knowledge.none")}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KnowledgePanel;
@@ -0,0 +1,35 @@
+import { Languages } from "lucide-react";
+import { LOCALES } from "../lib/i18n";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * LanguageSwitcher Component
+ *
+ * Picks the interface language. Renders nothing outside an I18nProvider
+ * or when the provider's language is fixed.
+ */
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  if (!setLocale) return null;
+
+  return (
+    <div className="inline-flex items-center rounded-lg border border-emerald-200 bg-white shadow-sm">
+      <Languages className="w-4 h-4 ml-2.5 text-emerald-500" />
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="pl-1.5 pr-2 py-2 text-sm bg-transparent"
+        aria-label={t("app.language")}
+      >
+        {LOCALES.map(({ code, name }) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -1,292 +1,447 @@
 "use client";
 
 import { useState, useRef, useEffect } from "react";
-import axios from "axios";
 import {
   Camera,
   X,
-  StopCircle,
-  Download,
-  RefreshCw,
   Upload,
   Loader2,
-  FileUp,
-  AlertCircle,
+  Settings,
+  History,
+  ClipboardCheck,
+  Sprout,
 } from "lucide-react";
+import { loadSettings, saveSettings } from "../lib/settings";
+import { addHistoryEntry, updateHistoryEntry } from "../lib/history-store";
+import { createThumbnail, isCanvasEmpty } from "../lib/image-utils";
+import { DEFAULT_FRAMING_BOX, loadFramingBox } from "../lib/camera";
+import { FULL_BOX } from "../lib/image-edit";
+import SettingsPanel from "./settings-panel";
+import HistoryView from "./history-view";
+import BatchResults from "./batch-results";
+import UploadZone from "./upload-zone";
+import ExportMenu from "./export-menu";
+import CameraView from "./camera-view";
+import ResultsView from "./results-view";
+import ImageEditor from "./image-editor";
+import ComparisonSummary from "./comparison-summary";
+import ReviewView from "./review-view";
+import MetricsDashboard from "./metrics-dashboard";
+import PlotPicker from "./plot-picker";
+import PlotManager from "./plot-manager";
+import FieldView from "./field-view";
+import I18nProvider from "./i18n-provider";
+import useBatchQueue from "../hooks/use-batch-queue";
+import useCamera from "../hooks/use-camera";
+import useClassifier from "../hooks/use-classifier";
+import useImageClassification from "../hooks/use-image-classification";
+import useLabelledEntries from "../hooks/use-labelled-entries";
+import useLiveClassification from "../hooks/use-live-classification";
+import useOfflineQueue from "../hooks/use-offline-queue";
+import useI18n from "../hooks/use-i18n";
+import OfflineQueueStatus from "./offline-queue-status";
+import { createGroundTruth } from "../lib/dataset";
+import { labelFromPath, MAX_IMAGE_BYTES } from "../lib/image-input";
+import { findLocation } from "../lib/location";
+import {
+  loadPlots,
+  savePlots,
+  loadActivePlotId,
+  saveActivePlotId,
+} from "../lib/plots";
+import { runComparison } from "../lib/model-comparison";
+import { toClassifierError, ERROR_CANCELLED } from "../lib/classifier-errors";
+import { shouldStayQueued } from "../lib/offline-queue";
+
+// Views the component can offer, in display order
+const TABS = [
+  { id: "camera", icon: Camera },
+  { id: "upload", icon: Upload },
+  { id: "history", icon: History },
+  { id: "review", icon: ClipboardCheck },
+  { id: "field", icon: Sprout },
+];
+
+const ALL_TABS = TABS.map((tab) => tab.id);
+
+// Texts the host app can replace through the `labels` prop, with the
+// catalog messages they default to
+const LABEL_MESSAGES = {
+  title: "app.title",
+  camera: "tabs.camera",
+  upload: "tabs.upload",
+  history: "tabs.history",
+  review: "tabs.review",
+  field: "tabs.field",
+  results: "results.title",
+  ready: "classifier.ready",
+};
 
 /**
  * LeafClassifier Component
  *
  * A component that handles leaf image classification through
- * both camera capture and file upload using the Roboflow API
+ * both camera capture and file upload. The classification backend is
+ * picked at runtime, see lib/classifier-config.js
+ *
+ * To embed it, `config` overrides the classifier config, `threshold` fixes
+ * the confidence threshold, `tabs` lists the views to offer (camera,
+ * upload, history, review, field) and `labels` replaces the texts in
+ * LABEL_MESSAGES; a null title hides the heading. `locale` fixes the
+ * language, otherwise it comes from the surrounding I18nProvider or the
+ * browser. `onCapture(blob)` is called with each camera capture,
+ * `onResult(result)` with each classification, including batch items and
+ * queued captures, and `onError(error, file)` with each failed one.
  */
-const LeafClassifier = () => {
+const LeafClassifier = ({ locale, ...props }) =>
+  locale ? (
+    <I18nProvider locale={locale}>
+      <ClassifierPanel {...props} />
+    </I18nProvider>
+  ) : (
+    <ClassifierPanel {...props} />
+  );
+
+const ClassifierPanel = ({
+  config,
+  threshold,
+  tabs = ALL_TABS,
+  labels,
+  onCapture,
+  onResult,
+  onError,
+}) => {
+  const { t } = useI18n();
+  const text = {
+    ...Object.fromEntries(
+      Object.entries(LABEL_MESSAGES).map(([id, key]) => [id, t(key)])
+    ),
+    ...labels,
+  };
+
   // File and image states
   const [selectedFile, setSelectedFile] = useState(null);
   const [preview, setPreview] = useState(null);
+  // Image waiting in the crop and rotate editor
+  const [editingImage, setEditingImage] = useState(null);
   const [image, setImage] = useState(false);
 
-  // API and results states
-  const [data, setData] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-
-  // Camera states
-  const [stream, setStream] = useState(null);
-  const [activeTab, setActiveTab] = useState("camera"); // "camera" or "upload"
-  const [cameraError, setCameraError] = useState(null);
-  const [cameraReady, setCameraReady] = useState(false);
+  // View states
+  const [activeTab, setActiveTab] = useState(tabs[0]); // "camera", "upload", "history", "review" or "field"
+  const [liveMode, setLiveMode] = useState(false);
+  const [framingBox, setFramingBox] = useState(DEFAULT_FRAMING_BOX);
+
+  // Settings states; a `threshold` prop wins over the stored one
+  const [storedSettings, setStoredSettings] = useState(loadSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const settings =
+    threshold === undefined ? storedSettings : { ...storedSettings, threshold };
+
+  // Field and plot states: the local plot list and the one new captures
+  // are tagged with
+  const [plots, setPlots] = useState(loadPlots);
+  const [activePlotId, setActivePlotId] = useState(loadActivePlotId);
+  const [showPlots, setShowPlots] = useState(false);
+  const activePlot = plots.find((plot) => plot.id === activePlotId) || null;
+  // Metadata of each image handed to submitImage, collected from the
+  // original before editing and preprocessing drop its EXIF data. Keyed
+  // by image, so a retry reuses it and no other image ever gets it.
+  const metadataRef = useRef(new WeakMap());
+
+  // Part of the video frame that is captured
+  const captureRegion = settings.framingGuide ? framingBox : FULL_BOX;
+
+  // History states
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [sessionResults, setSessionResults] = useState([]);
+  const reopenedUrlRef = useRef(null);
+
+  // Last image taken from the camera, and the leaves found on it when the
+  // boxes line up with the capture canvas
+  const lastCaptureRef = useRef(null);
+  const [captureLeaves, setCaptureLeaves] = useState(null);
+
+  // Camera, classification backends and the result on screen
+  const camera = useCamera({ active: activeTab === "camera" });
+  const classifier = useClassifier({ config, settings });
+  const analysis = useImageClassification(classifier, {
+    onResult: (result, sent) => handleResult(result, sent),
+    onError,
+    // Keep the capture and classify it once the connection returns
+    onOffline: (image, metadata) =>
+      offlineQueue
+        .enqueue(image, metadata)
+        .catch((e) => console.error("Error queueing image:", e)),
+  });
+  const {
+    result: data,
+    isLoading,
+    retryAttempt,
+    error: requestError,
+    qualityWarning,
+    processed,
+  } = analysis;
 
-  // Refs for DOM elements
-  const videoRef = useRef(null);
-  const canvasRef = useRef(null);
+  /**
+   * Collects the location and plot attached to a result
+   *
+   * Never rejects; the location is null when unknown.
+   */
+  const collectMetadata = async (blob) => ({
+    location: await findLocation(blob, { useDevice: settings.geotagging }),
+    plot: activePlot,
+  });
 
   /**
-   * Sends the image to the Roboflow API for classification
+   * Sends the image, `selectedFile` by default, to the classifier
+   *
+   * Images failing the quality checks are held back unless
+   * `skipQualityCheck` is set.
    */
-  const sendFile = async (fileToProcess = null) => {
+  const sendFile = (
+    fileToProcess = null,
+    { skipQualityCheck = false } = {}
+  ) => {
     const fileToSend = fileToProcess || selectedFile;
 
     if (!fileToSend) return;
 
-    setIsLoading(true);
-
-    const reader = new FileReader();
-    reader.onloadend = async () => {
-      try {
-        // Extract base64 data
-        const base64Image = reader.result.split(",")[1];
-
-        // Send to Roboflow API
-        const response = await axios({
-          method: "POST",
-          url: "https://detect.roboflow.com/leaf-classification-xbz6a/2",
-          params: {
-            api_key: "ET93zUL2yyYqCxikJ6NV",
-          },
-          data: base64Image,
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-        });
-
-        // Find best prediction
-        const predictions = response.data.predictions;
-        let bestPrediction = null;
-        let highestConfidence = 0;
-
-        for (const [className, details] of Object.entries(predictions)) {
-          if (details.confidence > highestConfidence) {
-            highestConfidence = details.confidence;
-            bestPrediction = {
-              class: className,
-              confidence: details.confidence,
-            };
-          }
-        }
-
-        // Set undefined if confidence is too low
-        if (!bestPrediction || highestConfidence < 0.6) {
-          bestPrediction = {
-            class: "undefined",
-            confidence: highestConfidence,
-          };
-        }
-
-        console.log("Best Prediction:", bestPrediction);
-        setData(bestPrediction);
-      } catch (error) {
-        console.error("Error analyzing image:", error);
-      } finally {
-        setIsLoading(false);
-      }
-    };
-
-    reader.readAsDataURL(fileToSend);
+    setCaptureLeaves(null);
+    analysis.classify(fileToSend, {
+      skipQualityCheck,
+      metadata:
+        metadataRef.current.get(fileToSend) || collectMetadata(fileToSend),
+    });
   };
 
   /**
-   * Clears all data and resets the component
+   * Saves a new result to the history and hands it to the host app
    */
-  const clearData = () => {
-    setData(null);
-    setImage(false);
-    setSelectedFile(null);
-    setPreview(null);
+  const handleResult = (result, { file, image }) => {
+    recordResult(image, result).then((historyId) =>
+      analysis.setResult((current) =>
+        current === result && historyId ? { ...current, historyId } : current
+      )
+    );
+
+    // The boxes only match the capture canvas when the image was sent
+    // as captured, possibly scaled but not cropped
+    const squareCropped = settings.preprocess && settings.preprocessSquareCrop;
+    if (result.leaves && file === lastCaptureRef.current && !squareCropped) {
+      setCaptureLeaves(result.leaves);
+    }
+
+    onResult?.(result);
   };
 
   /**
-   * Starts the camera
+   * Stores a classification in the session log and the local history
+   *
+   * Resolves with the history entry's id, or null when it was not saved.
    */
-  const startCamera = async () => {
+  const recordResult = async (imageBlob, result) => {
     try {
-      setCameraError(null);
-      setCameraReady(false);
-
-      console.log("Starting camera...");
-
-      // First check if getUserMedia is supported
-      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        throw new Error("Camera API is not supported in your browser");
-      }
-
-      // Try with basic constraints first
-      let mediaStream;
-      try {
-        mediaStream = await navigator.mediaDevices.getUserMedia({
-          video: true,
-          audio: false,
-        });
-      } catch (e) {
-        console.warn("Failed with basic constraints, trying fallback:", e);
-        // Fallback to more specific constraints
-        mediaStream = await navigator.mediaDevices.getUserMedia({
-          video: {
-            width: { ideal: 1280 },
-            height: { ideal: 720 },
-            facingMode: "environment", // Prefer back camera on mobile
-          },
-          audio: false,
-        });
-      }
-
-      console.log("Camera stream obtained:", mediaStream);
-      setStream(mediaStream);
-
-      // Set up video element
-      if (videoRef.current) {
-        console.log("Setting video source...");
-        videoRef.current.srcObject = mediaStream;
-
-        // Add event listeners to detect when video is ready
-        videoRef.current.onloadedmetadata = () => {
-          console.log("Video metadata loaded");
-          videoRef.current
-            .play()
-            .then(() => {
-              console.log("Video playing successfully");
-              setCameraReady(true);
-            })
-            .catch((e) => {
-              console.error("Error playing video:", e);
-              setCameraError("Failed to play video stream: " + e.message);
-            });
-        };
-
-        videoRef.current.onerror = (e) => {
-          console.error("Video element error:", e);
-          setCameraError(
-            "Video element error: " + (e.message || "Unknown error")
-          );
-        };
-      } else {
-        console.error("Video ref is null");
-        setCameraError("Video element not found");
-      }
+      const thumbnail = await createThumbnail(imageBlob);
+      setSessionResults((results) => [...results, { ...result, thumbnail }]);
+
+      const historyId = await addHistoryEntry({
+        image: imageBlob,
+        thumbnail,
+        result,
+      });
+      setHistoryVersion((version) => version + 1);
+      return historyId;
     } catch (error) {
-      console.error("Error accessing camera:", error);
-      setCameraError(error.message || "Failed to access camera");
+      console.error("Error saving to history:", error);
+      return null;
     }
   };
 
   /**
-   * Stops the camera
+   * Saves the user's ground-truth label for the result on screen
    */
-  const stopCamera = () => {
-    console.log("Stopping camera...");
-    if (stream) {
-      const tracks = stream.getTracks();
-      tracks.forEach((track) => {
-        console.log("Stopping track:", track.kind);
-        track.stop();
-      });
-      setStream(null);
-      setCameraReady(false);
+  const saveLabel = async (groundTruth) => {
+    await updateHistoryEntry(data.historyId, { groundTruth });
+    analysis.setResult((current) => ({ ...current, groundTruth }));
+    setHistoryVersion((version) => version + 1);
+  };
 
-      // Clear video source
-      if (videoRef.current) {
-        videoRef.current.srcObject = null;
-      }
+  /**
+   * Shows an already classified image in the results panel
+   */
+  const showResult = (imageBlob, result) => {
+    setEditingImage(null);
+    if (reopenedUrlRef.current) {
+      URL.revokeObjectURL(reopenedUrlRef.current);
     }
+    reopenedUrlRef.current = URL.createObjectURL(imageBlob);
+
+    setPreview(reopenedUrlRef.current);
+    analysis.show(result);
   };
 
   /**
-   * Captures an image from the video feed
+   * Re-opens a stored classification
    */
-  const captureImage = () => {
-    console.log("Capturing image...");
-    if (!videoRef.current || !canvasRef.current) {
-      console.error("Video or canvas ref is null");
-      return false;
-    }
+  const reopenHistoryEntry = (entry) => {
+    const { id, image, ...result } = entry;
+    showResult(image, { ...result, historyId: id });
+  };
 
-    // Ensure video is playing and has dimensions
-    if (videoRef.current.paused || videoRef.current.videoWidth === 0) {
-      console.error("Video is not ready for capture");
-      return false;
+  // Batch upload queue, every result also goes to the history
+  const classifyBatchItem = async (file, { label, ...options }) => {
+    const [output, metadata] = await Promise.all([
+      classifier.prepareImage(file),
+      collectMetadata(file),
+    ]);
+    const image = output?.blob || file;
+    const quality = await classifier.checkQuality(image);
+    const [classified, comparison, leaves] = await Promise.all([
+      classifier.classifyBlob(image, options),
+      classifier.compareImage(image),
+      classifier.classifyLeaves(image),
+    ]);
+    const result = {
+      ...classified,
+      quality,
+      comparison,
+      leaves,
+      ...metadata,
+      // Images from a labelled folder are saved with their true class
+      ...(label && { groundTruth: createGroundTruth(label) }),
+    };
+    const historyId = await recordResult(image, result);
+    onResult?.(result);
+    return { ...result, historyId };
+  };
+  const batch = useBatchQueue(async (file, options) => {
+    try {
+      return await classifyBatchItem(file, options);
+    } catch (e) {
+      const error = toClassifierError(e);
+      if (error.kind !== ERROR_CANCELLED) onError?.(error, file);
+      throw error;
     }
+  }, settings.batchConcurrency);
+
+  const batchComparisons = batch.items
+    .map((item) => item.result?.comparison)
+    .filter(Boolean);
+  const batchLabelled = batch.items
+    .map((item) => item.result)
+    .filter((result) => result?.groundTruth);
+
+  // Labelled history, read only while the Review tab is open
+  const labelledEntries = useLabelledEntries(
+    historyVersion,
+    activeTab === "review"
+  );
 
-    const context = canvasRef.current.getContext("2d");
-    if (!context) {
-      console.error("Could not get canvas context");
-      return false;
+  // Captures made offline, recorded with their capture time once sent
+  const offlineQueue = useOfflineQueue(async (image, entry) => {
+    let classified;
+    try {
+      classified = await classifier.classifyBlob(image);
+    } catch (e) {
+      // Transient errors leave the capture queued for the next sync
+      const error = toClassifierError(e);
+      if (!shouldStayQueued(error)) onError?.(error, image);
+      throw error;
     }
+    const result = {
+      ...classified,
+      ...entry.metadata,
+      createdAt: entry.queuedAt,
+    };
+    recordResult(image, result);
+    onResult?.(result);
+  });
 
-    // Set canvas dimensions to match video
-    const width = videoRef.current.videoWidth;
-    const height = videoRef.current.videoHeight;
+  /**
+   * Updates and persists the settings
+   */
+  const updateSettings = (nextSettings) => {
+    // A threshold fixed through the props is never stored
+    const stored =
+      threshold === undefined
+        ? nextSettings
+        : { ...nextSettings, threshold: storedSettings.threshold };
+    setStoredSettings(stored);
+    saveSettings(stored);
+  };
 
-    console.log("Video dimensions:", width, "x", height);
+  /**
+   * Picks and persists the plot new captures are tagged with
+   */
+  const selectPlot = (id) => {
+    setActivePlotId(id);
+    saveActivePlotId(id);
+  };
 
-    canvasRef.current.width = width;
-    canvasRef.current.height = height;
+  /**
+   * Updates and persists the plot list
+   */
+  const updatePlots = (nextPlots) => {
+    setPlots(nextPlots);
+    savePlots(nextPlots);
+    if (!nextPlots.some((plot) => plot.id === activePlotId)) selectPlot(null);
+  };
 
-    // Draw video frame to canvas
-    try {
-      context.drawImage(videoRef.current, 0, 0, width, height);
-      console.log("Image captured successfully");
-      return true;
-    } catch (e) {
-      console.error("Error drawing to canvas:", e);
-      return false;
-    }
+  /**
+   * Clears all data and resets the component
+   */
+  const clearData = () => {
+    setEditingImage(null);
+    analysis.reset();
+    setCaptureLeaves(null);
+    setImage(false);
+    setSelectedFile(null);
+    setPreview(null);
   };
 
   /**
-   * Processes the captured image and sends it for classification
+   * Captures the framing guide region (or the whole frame) and sends it
+   * for classification
+   *
+   * `review: false` skips the crop and rotate editor, for auto-capture.
    */
-  const processImage = () => {
+  const processImage = ({ review } = {}) => {
     console.log("Processing image...");
-    if (!videoRef.current || !canvasRef.current) {
-      console.error("Video or canvas ref is null");
-      return;
-    }
-
-    // Capture the image
-    const captureSuccess = captureImage();
-    if (!captureSuccess) {
+    const blob = camera.capture(captureRegion);
+    if (!blob) {
       console.error("Failed to capture image");
       return;
     }
 
-    // Get data URL from canvas because we need to send it to the API
-    try {
-      const dataUrl = canvasRef.current.toDataURL("image/jpeg", 0.9);
-      console.log("Data URL created");
-
-      // Convert to blob
-      const blob = dataURLtoBlob(dataUrl);
-      console.log("Blob created:", blob.size, "bytes");
+    lastCaptureRef.current = blob;
+    onCapture?.(blob);
 
-      // Update state and send for processing
-      setSelectedFile(blob);
-      setImage(true);
-      setIsLoading(true);
+    // Send for processing, through the editor when enabled
+    submitImage(blob, { review });
+  };
 
-      // Send to Roboflow API
-      sendFile(blob);
-    } catch (e) {
-      console.error("Error processing captured image:", e);
+  /**
+   * Hands a single image to the classifier, through the crop and rotate
+   * editor when enabled. The preview effect sends it. Edited images pass
+   * on the `metadata` of their original.
+   */
+  const submitImage = (
+    blob,
+    {
+      review = settings.reviewBeforeSend,
+      metadata = collectMetadata(blob),
+    } = {}
+  ) => {
+    metadataRef.current.set(blob, metadata);
+
+    if (review) {
+      setEditingImage(blob);
+      return;
     }
+
+    setEditingImage(null);
+    setSelectedFile(blob);
+    setImage(true);
   };
 
   /**
@@ -294,15 +449,11 @@ const LeafClassifier = () => {
    */
   const clearCapture = () => {
     console.log("Clearing capture...");
-    if (!canvasRef.current) return;
-
-    const context = canvasRef.current.getContext("2d");
-    if (!context) return;
-
-    context.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+    camera.clear();
 
     // Also clear any results
-    setData(null);
+    analysis.reset();
+    setCaptureLeaves(null);
     setImage(false);
     setSelectedFile(null);
     setPreview(null);
@@ -313,16 +464,16 @@ const LeafClassifier = () => {
    */
   const downloadImage = () => {
     console.log("Downloading image...");
-    if (!canvasRef.current) return;
+    const canvas = camera.canvasRef.current;
+    if (!canvas) return;
 
     // Check if canvas has content
-    const isEmpty = isCanvasEmpty(canvasRef.current);
-    if (isEmpty) {
+    if (isCanvasEmpty(canvas)) {
       console.error("Canvas is empty, nothing to download");
       return;
     }
 
-    const dataUrl = canvasRef.current.toDataURL("image/jpeg", 0.9);
+    const dataUrl = canvas.toDataURL("image/jpeg", 0.9);
 
     const downloadLink = document.createElement("a");
     downloadLink.href = dataUrl;
@@ -332,75 +483,49 @@ const LeafClassifier = () => {
     document.body.removeChild(downloadLink);
   };
 
-  /**
-   * Checks if canvas is empty
-   */
-  const isCanvasEmpty = (canvas) => {
-    const context = canvas.getContext("2d");
-    const pixelBuffer = new Uint32Array(
-      context.getImageData(0, 0, canvas.width, canvas.height).data.buffer
-    );
-    return !pixelBuffer.some((color) => color !== 0);
-  };
-
-  /**
-   * Converts a data URL to a Blob
-   */
-  const dataURLtoBlob = (dataUrl) => {
-    try {
-      const arr = dataUrl.split(",");
-      if (arr.length < 2) {
-        throw new Error("Invalid data URL format");
-      }
-
-      const mimeMatch = arr[0].match(/:(.*?);/);
-      if (!mimeMatch) {
-        throw new Error("Could not extract MIME type");
-      }
-
-      const mime = mimeMatch[1];
-      const bstr = atob(arr[1]);
-      let n = bstr.length;
-      const u8arr = new Uint8Array(n);
-
-      while (n--) {
-        u8arr[n] = bstr.charCodeAt(n);
-      }
-
-      return new Blob([u8arr], { type: mime });
-    } catch (error) {
-      console.error("Error converting data URL to blob:", error);
-      return new Blob([], { type: "image/jpeg" }); // Return empty blob as fallback
-    }
-  };
+  // Live mode: classify sampled frames, auto-capture once the class is stable
+  const live = useLiveClassification({
+    videoRef: camera.videoRef,
+    enabled: liveMode && camera.ready,
+    classify: (blob) => classifier.pickProvider().classify(blob),
+    settings,
+    onStable: () => processImage({ review: false }),
+    region: captureRegion,
+  });
 
   /**
    * Refreshes the page
    */
   const refreshPage = () => {
     // Stop camera before refreshing
-    if (stream) {
-      stopCamera();
-    }
+    camera.stop();
     window.location.reload();
   };
 
   /**
-   * Handles file selection from input
+   * Handles validated images from the upload zone
    */
-  const handleFileChange = (e) => {
-    // check if there are files
-    if (!e.target.files || e.target.files.length === 0) {
-      setSelectedFile(null);
+  const handleFiles = (files, { labelled = false } = {}) => {
+    // Labelled folders are named after each image's true class
+    if (labelled) {
+      batch.addFiles(files, labelFromPath);
       return;
     }
 
-    // Check if the file is an image
+    // Several files go through the batch queue
+    if (files.length > 1) {
+      batch.addFiles(files);
+      return;
+    }
 
-    setSelectedFile(e.target.files[0]);
-    setImage(true);
+    submitImage(files[0]);
   };
 
+  // Each camera remembers its own framing box
+  useEffect(() => {
+    setFramingBox(loadFramingBox(camera.features.deviceId));
+  }, [camera.features.deviceId]);
+
   // Create preview when file changes
   useEffect(() => {
     // check if there is a file
@@ -419,309 +544,202 @@ const LeafClassifier = () => {
     return () => URL.revokeObjectURL(objectUrl);
   }, [selectedFile]);
 
-  // Clean up camera on unmount
-  useEffect(() => {
-    return () => {
-      if (stream) {
-        const tracks = stream.getTracks();
-        tracks.forEach((track) => track.stop());
-      }
-    };
-  }, [stream]);
-
-  // Auto-start camera when tab is selected
-  useEffect(() => {
-    if (activeTab === "camera" && !stream) {
-      startCamera();
-    }
-  }, [activeTab]);
-
   return (
     <div className="w-full max-w-6xl mx-auto p-6 bg-gradient-to-b from-emerald-50 to-white rounded-xl shadow-lg">
-      <h2 className="text-2xl font-bold text-emerald-800 mb-6 text-center">
-        Leaf Classification System
-      </h2>
+      {text.title && (
+        <h2 className="text-2xl font-bold text-emerald-800 mb-6 text-center">
+          {text.title}
+        </h2>
+      )}
 
       {/* Tab Navigation */}
-      <div className="flex justify-center mb-6">
-        <div className="inline-flex rounded-lg border border-emerald-200 p-1 bg-white shadow-sm">
-          <button
-            onClick={() => setActiveTab("camera")}
-            className={`px-5 py-2 rounded-md flex items-center ${
-              activeTab === "camera"
-                ? "bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-medium"
-                : "text-gray-600 hover:bg-emerald-50"
-            } transition-all duration-200`}
-          >
-            <Camera
-              className={`w-5 h-5 mr-2 ${
-                activeTab === "camera" ? "text-white" : "text-emerald-500"
-              }`}
-            />
-            Camera
-          </button>
-
-          <button
-            onClick={() => setActiveTab("upload")}
-            className={`px-5 py-2 rounded-md flex items-center ${
-              activeTab === "upload"
-                ? "bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-medium"
-                : "text-gray-600 hover:bg-emerald-50"
-            } transition-all duration-200`}
-          >
-            <Upload
-              className={`w-5 h-5 mr-2 ${
-                activeTab === "upload" ? "text-white" : "text-emerald-500"
-              }`}
-            />
-            Upload
-          </button>
-        </div>
+      <div className="flex flex-wrap justify-center items-center gap-3 mb-6">
+        {tabs.length > 1 && (
+          <div className="inline-flex rounded-lg border border-emerald-200 p-1 bg-white shadow-sm">
+            {TABS.filter((tab) => tabs.includes(tab.id)).map(
+              ({ id, icon: Icon }) => (
+                <button
+                  key={id}
+                  onClick={() => setActiveTab(id)}
+                  className={`px-5 py-2 rounded-md flex items-center ${
+                    activeTab === id
+                      ? "bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-medium"
+                      : "text-gray-600 hover:bg-emerald-50"
+                  } transition-all duration-200`}
+                >
+                  <Icon
+                    className={`w-5 h-5 mr-2 ${
+                      activeTab === id ? "text-white" : "text-emerald-500"
+                    }`}
+                  />
+                  {text[id]}
+                </button>
+              )
+            )}
+          </div>
+        )}
+
+        <button
+          onClick={() => setShowSettings(!showSettings)}
+          className={`p-2.5 rounded-lg border shadow-sm cursor-pointer transition-all duration-200 ${
+            showSettings
+              ? "bg-emerald-600 border-emerald-600 text-white"
+              : "bg-white border-emerald-200 text-emerald-600 hover:bg-emerald-50"
+          }`}
+          aria-label={t("classifier.settings")}
+        >
+          <Settings className="w-5 h-5" />
+        </button>
+
+        <OfflineQueueStatus
+          pending={offlineQueue.pending}
+          syncing={offlineQueue.syncing}
+          online={offlineQueue.online}
+          failed={offlineQueue.failed}
+          onSync={offlineQueue.sync}
+          onDismissFailed={offlineQueue.dismissFailed}
+        />
+
+        <PlotPicker
+          plots={plots}
+          activePlotId={activePlot?.id}
+          onSelect={selectPlot}
+          onManage={() => setShowPlots(!showPlots)}
+        />
       </div>
 
+      {showPlots && (
+        <PlotManager
+          plots={plots}
+          onChange={updatePlots}
+          onClose={() => setShowPlots(false)}
+        />
+      )}
+
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          onChange={updateSettings}
+          knownClasses={Object.keys(data?.predictions || {})}
+          thresholdLocked={threshold !== undefined}
+          localModelAvailable={classifier.localModelAvailable}
+          comparisonAvailable={classifier.comparisonAvailable}
+          detectionAvailable={classifier.detectionAvailable}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
       <div className="w-full">
         <div className="flex flex-wrap gap-8">
-          {/* Left Section: Camera or Upload */}
+          {/* Left Section: Camera, Upload, History, Review or Field */}
           <div className="flex-1 min-w-[320px]">
             {activeTab === "camera" ? (
               // Camera Section
-              stream ? (
-                <div className="flex flex-col gap-6">
-                  {/* Live Video Feed */}
-                  <div className="relative rounded-xl overflow-hidden shadow-lg border border-emerald-100">
-                    <video
-                      ref={videoRef}
-                      autoPlay
-                      playsInline
-                      muted // Important for autoplay to work on mobile
-                      className="w-full h-auto block bg-gradient-to-r from-emerald-50 to-teal-50 min-h-[240px]"
-                      style={{ display: "block" }} // Force display block
-                    />
-                    <div className="absolute top-3 left-1/2 -translate-x-1/2 bg-white/90 backdrop-blur-sm px-5 py-1.5 rounded-full font-bold shadow-sm text-emerald-700 border border-emerald-100">
-                      Live Feed {cameraReady ? "✓" : "..."}
-                    </div>
-
-                    {/* Camera loading overlay */}
-                    {!cameraReady && (
-                      <div className="absolute inset-0 bg-emerald-50/50 flex items-center justify-center">
-                        <div className="bg-white p-3 rounded-lg shadow-md flex items-center">
-                          <Loader2 className="w-5 h-5 text-emerald-500 animate-spin mr-2" />
-                          <span className="text-emerald-700">
-                            Initializing camera...
-                          </span>
-                        </div>
-                      </div>
-                    )}
-                  </div>
-
-                  {/* Captured Image Canvas */}
-                  <div className="relative rounded-xl overflow-hidden shadow-lg border border-emerald-100">
-                    <canvas
-                      ref={canvasRef}
-                      className="w-full h-auto block bg-gradient-to-r from-emerald-50 to-teal-50 min-h-[240px]"
-                    />
-                    <div className="absolute top-3 left-1/2 -translate-x-1/2 bg-white/90 backdrop-blur-sm px-5 py-1.5 rounded-full font-bold shadow-sm text-emerald-700 border border-emerald-100">
-                      Captured Image
-                    </div>
-                  </div>
-
-                  {/* Camera Controls */}
-                  <div className="flex flex-wrap gap-4 justify-center">
-                    <button
-                      onClick={processImage}
-                      disabled={!cameraReady}
-                      className={`flex flex-col items-center p-4 ${
-                        cameraReady
-                          ? "bg-gradient-to-br from-emerald-500 to-teal-600 text-white hover:-translate-y-1 hover:shadow-lg hover:shadow-emerald-200 active:scale-95"
-                          : "bg-gray-300 text-gray-500 cursor-not-allowed"
-                      } rounded-xl cursor-pointer transition-all duration-300`}
-                    >
-                      <Camera className="mb-1.5 w-6 h-6" />
-                      <span className="font-medium">Capture</span>
-                    </button>
-
-                    <button
-                      onClick={clearCapture}
-                      className="flex flex-col items-center p-4 bg-white border border-gray-200 rounded-xl cursor-pointer transition-all duration-300 hover:-translate-y-1 hover:shadow-lg hover:shadow-gray-100 active:scale-95"
-                    >
-                      <X className="mb-1.5 w-6 h-6 text-gray-600" />
-                      <span className="font-medium text-gray-700">Clear</span>
-                    </button>
-
-                    <button
-                      onClick={stopCamera}
-                      className="flex flex-col items-center p-4 bg-white border border-gray-200 rounded-xl cursor-pointer transition-all duration-300 hover:-translate-y-1 hover:shadow-lg hover:shadow-gray-100 active:scale-95"
-                    >
-                      <StopCircle className="mb-1.5 w-6 h-6 text-red-500" />
-                      <span className="font-medium text-gray-700">Stop</span>
-                    </button>
-
-                    <button
-                      onClick={downloadImage}
-                      className="flex flex-col items-center p-4 bg-white border border-gray-200 rounded-xl cursor-pointer transition-all duration-300 hover:-translate-y-1 hover:shadow-lg hover:shadow-gray-100 active:scale-95"
-                    >
-                      <Download className="mb-1.5 w-6 h-6 text-blue-500" />
-                      <span className="font-medium text-gray-700">
-                        Download
-                      </span>
-                    </button>
-
-                    <button
-                      onClick={refreshPage}
-                      className="flex flex-col items-center p-4 bg-white border border-gray-200 rounded-xl cursor-pointer transition-all duration-300 hover:-translate-y-1 hover:shadow-lg hover:shadow-gray-100 active:scale-95"
-                    >
-                      <RefreshCw className="mb-1.5 w-6 h-6 text-purple-500" />
-                      <span className="font-medium text-gray-700">Reload</span>
-                    </button>
-                  </div>
-                </div>
-              ) : (
-                <div className="flex justify-center items-center h-[400px] bg-gradient-to-r from-emerald-50 to-teal-50 rounded-xl border border-dashed border-emerald-200 shadow-inner">
-                  <div className="text-center p-6">
-                    <div className="w-20 h-20 mx-auto mb-4 rounded-full bg-white flex items-center justify-center shadow-md">
-                      <Camera className="w-10 h-10 text-emerald-500" />
-                    </div>
-                    <h3 className="text-lg font-semibold text-emerald-800 mb-3">
-                      Camera Access Required
-                    </h3>
-                    <p className="text-gray-600 mb-5 max-w-xs">
-                      Click the button below to enable your camera and start
-                      capturing leaf images
-                    </p>
-
-                    {cameraError && (
-                      <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 flex items-start">
-                        <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
-                        <div>
-                          <p className="font-medium">Camera Error</p>
-                          <p className="text-sm">{cameraError}</p>
-                          <p className="text-sm mt-1">
-                            Please ensure you've granted camera permissions and
-                            try again.
-                          </p>
-                        </div>
-                      </div>
-                    )}
-
-                    <button
-                      onClick={startCamera}
-                      className="px-6 py-3 bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-medium rounded-full cursor-pointer text-base hover:shadow-lg hover:shadow-emerald-200 transition-all duration-300 active:scale-95"
-                    >
-                      Start Camera
-                    </button>
-                  </div>
-                </div>
-              )
-            ) : (
+              <CameraView
+                camera={camera}
+                settings={settings}
+                framingBox={framingBox}
+                onFramingBoxChange={setFramingBox}
+                live={live}
+                liveMode={liveMode}
+                onLiveModeChange={setLiveMode}
+                captureLeaves={captureLeaves}
+                onCapture={() => processImage()}
+                onClear={clearCapture}
+                onDownload={downloadImage}
+                onReload={refreshPage}
+              />
+            ) : activeTab === "upload" ? (
               // Upload Section
-              <div
-                className="relative border-2 border-dashed border-emerald-200 rounded-xl p-8 bg-gradient-to-r from-emerald-50 to-teal-50 cursor-pointer hover:border-emerald-300 transition-colors h-[400px] flex items-center justify-center"
-                onClick={() => document.getElementById("file-upload").click()}
-              >
-                <input
-                  id="file-upload"
-                  type="file"
-                  accept="image/*"
-                  onChange={handleFileChange}
-                  className="hidden"
-                />
-                <div className="flex flex-col items-center justify-center text-center">
-                  <div className="w-20 h-20 rounded-full bg-white flex items-center justify-center mb-4 shadow-md">
-                    <Upload className="w-10 h-10 text-emerald-500" />
-                  </div>
-                  <h3 className="text-lg font-semibold text-emerald-800 mb-2">
-                    Upload Leaf Image
-                  </h3>
-                  <p className="text-gray-600 mb-4">
-                    Click or drag and drop an image to classify
-                  </p>
-                  <button className="px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-medium rounded-full cursor-pointer text-base hover:shadow-lg hover:shadow-emerald-200 transition-all duration-300 active:scale-95 flex items-center">
-                    <FileUp className="w-5 h-5 mr-2" />
-                    Select Image
-                  </button>
-                </div>
-              </div>
+              <UploadZone
+                onFiles={handleFiles}
+                // Unprocessed images must fit the backend's limit as they are
+                maxBytes={
+                  settings.preprocess
+                    ? MAX_IMAGE_BYTES
+                    : classifier.config.maxImageBytes
+                }
+              />
+            ) : activeTab === "field" ? (
+              // Field Section
+              <FieldView
+                refreshKey={historyVersion}
+                plots={plots}
+                onOpen={reopenHistoryEntry}
+              />
+            ) : activeTab === "review" ? (
+              // Review Section
+              <ReviewView
+                entries={labelledEntries.entries}
+                isLoading={labelledEntries.isLoading}
+                error={labelledEntries.error}
+                onOpen={reopenHistoryEntry}
+              />
+            ) : (
+              // History Section
+              <HistoryView
+                refreshKey={historyVersion}
+                onOpen={reopenHistoryEntry}
+                onCompare={
+                  classifier.comparisonAvailable
+                    ? (image) =>
+                        runComparison(
+                          image,
+                          classifier.comparisonModels,
+                          settings
+                        )
+                    : null
+                }
+              />
             )}
           </div>
 
           {/* Right Section: Results */}
           <div className="flex-1 min-w-[320px]">
             <div className="relative h-full rounded-xl border border-emerald-100 overflow-hidden bg-white shadow-lg min-h-[500px]">
-              {preview ? (
-                <div className="p-6 flex flex-col gap-5">
-                  {/* Preview Image */}
-                  <div className="w-full rounded-xl overflow-hidden shadow-md border border-emerald-50">
-                    <img
-                      src={preview || "/placeholder.svg"}
-                      alt="Captured"
-                      className="w-full h-auto block object-cover"
-                    />
-                  </div>
-
-                  {/* Results Display */}
-                  {data && (
-                    <div className="bg-gradient-to-r from-emerald-50 to-teal-50 p-5 rounded-xl shadow-sm border border-emerald-100">
-                      <h3 className="text-lg font-semibold text-emerald-800 mb-3">
-                        Analysis Results
-                      </h3>
-                      <div className="grid grid-cols-2 gap-4">
-                        <div className="flex flex-col">
-                          <p className="text-sm text-emerald-600 font-medium mb-1">
-                            Classification:
-                          </p>
-                          <p className="text-xl font-bold text-emerald-900 capitalize">
-                            {data.class}
-                          </p>
-                        </div>
-                        <div className="flex flex-col">
-                          <p className="text-sm text-emerald-600 font-medium mb-1">
-                            Confidence:
-                          </p>
-                          <div className="flex items-center">
-                            <div className="w-full bg-gray-200 rounded-full h-2.5 mr-2">
-                              <div
-                                className="bg-gradient-to-r from-emerald-500 to-teal-600 h-2.5 rounded-full"
-                                style={{
-                                  width: `${(data.confidence * 100).toFixed(
-                                    2
-                                  )}%`,
-                                }}
-                              ></div>
-                            </div>
-                            <p className="text-xl font-bold text-emerald-900">
-                              {(data.confidence * 100).toFixed(1)}%
-                            </p>
-                          </div>
-                        </div>
-                      </div>
-                    </div>
-                  )}
-
-                  {/* Clear Button */}
-                  {data && (
-                    <button
-                      onClick={clearData}
-                      className="flex items-center justify-center py-3 px-5 bg-white border border-gray-200 rounded-xl cursor-pointer mt-2 hover:bg-gray-50 transition-colors shadow-sm active:scale-98"
-                    >
-                      <X className="w-5 h-5 mr-2 text-gray-600" />
-                      <span className="font-medium text-gray-700">
-                        Clear Results
-                      </span>
-                    </button>
-                  )}
+              {editingImage ? (
+                <div className="p-6">
+                  <ImageEditor
+                    image={editingImage}
+                    onConfirm={(blob) =>
+                      submitImage(blob, {
+                        review: false,
+                        metadata: metadataRef.current.get(editingImage),
+                      })
+                    }
+                    onCancel={() => setEditingImage(null)}
+                  />
                 </div>
+              ) : preview ? (
+                <ResultsView
+                  image={preview}
+                  processed={processed}
+                  result={data}
+                  qualityWarning={qualityWarning}
+                  error={requestError?.error}
+                  title={text.results}
+                  onClear={clearData}
+                  onSendAnyway={() =>
+                    sendFile(qualityWarning.file, { skipQualityCheck: true })
+                  }
+                  onRetry={() => sendFile(requestError.file)}
+                  onDismissError={analysis.dismissError}
+                  onSaveLabel={saveLabel}
+                />
               ) : (
                 <div className="flex flex-col items-center justify-center h-full p-10 text-center">
                   <div className="w-20 h-20 rounded-full bg-emerald-50 flex items-center justify-center mb-4">
                     <Camera className="w-10 h-10 text-emerald-400" />
                   </div>
                   <h3 className="text-xl font-semibold text-emerald-800 mb-2">
-                    Ready to Analyze
+                    {text.ready}
                   </h3>
                   <p className="text-gray-600 max-w-xs">
                     {activeTab === "camera"
-                      ? "Capture a leaf image using the camera to begin the classification process"
-                      : "Upload a leaf image to begin the classification process"}
+                      ? t("classifier.idleCamera")
+                      : activeTab === "upload"
+                      ? t("classifier.idleUpload")
+                      : t("classifier.idleSaved")}
                   </p>
                 </div>
               )}
@@ -734,16 +752,81 @@ const LeafClassifier = () => {
                     <div className="absolute inset-0 w-12 h-12 rounded-full border-t-2 border-emerald-200 animate-ping opacity-20"></div>
                   </div>
                   <p className="text-emerald-800 font-medium mt-4">
-                    Analyzing image...
+                    {t("classifier.analyzing")}
                   </p>
                   <p className="text-gray-500 text-sm mt-1">
-                    This may take a few moments
+                    {retryAttempt > 0
+                      ? t("classifier.retrying", {
+                          attempt: retryAttempt + 1,
+                          total: classifier.config.retries + 1,
+                        })
+                      : t("classifier.wait")}
                   </p>
+                  <button
+                    onClick={analysis.cancel}
+                    className="mt-4 flex items-center px-4 py-2 bg-white border border-gray-200 rounded-lg text-sm text-gray-700 cursor-pointer hover:bg-gray-50 shadow-sm"
+                  >
+                    <X className="w-4 h-4 mr-1.5" />
+                    {t("common.cancel")}
+                  </button>
                 </div>
               )}
             </div>
           </div>
         </div>
+
+        {/* Accuracy over the labelled history */}
+        {activeTab === "review" && (
+          <MetricsDashboard
+            records={labelledEntries.entries}
+            settings={settings}
+            onApplyThreshold={(threshold) =>
+              updateSettings({ ...settings, threshold })
+            }
+          />
+        )}
+
+        {/* Session Export */}
+        {sessionResults.length > 0 && (
+          <div className="mt-8 flex justify-center">
+            <ExportMenu
+              label={t("classifier.exportSession", {
+                count: sessionResults.length,
+              })}
+              records={sessionResults}
+              withReport
+            />
+          </div>
+        )}
+
+        {/* Batch Results */}
+        {batch.items.length > 0 && (
+          <BatchResults
+            items={batch.items}
+            onRetry={batch.retry}
+            onClear={batch.clear}
+            onOpen={(item) => showResult(item.file, item.result)}
+          />
+        )}
+
+        {/* Accuracy on a labelled folder */}
+        {batchLabelled.length > 0 && (
+          <MetricsDashboard
+            title={t("classifier.batchAccuracy")}
+            records={batchLabelled}
+            settings={settings}
+          />
+        )}
+
+        {/* Model agreement across the batch */}
+        {batchComparisons.length > 0 && (
+          <div className="mt-4">
+            <ComparisonSummary
+              title={t("classifier.batchAgreement")}
+              comparisons={batchComparisons}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,264 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import axios from "axios";
+import LeafClassifier from "./leaf-classifier";
+import { ERROR_SERVER } from "../lib/classifier-errors";
+import { mockCamera, mockVideoPlayback } from "../test-utils";
+
+jest.mock("axios", () => {
+  const actual = jest.requireActual("axios");
+  const request = jest.fn();
+  request.isCancel = actual.isCancel;
+  request.isAxiosError = actual.isAxiosError;
+  return { __esModule: true, default: request };
+});
+
+// IndexedDB does not exist in jsdom
+jest.mock("../lib/history-store", () => ({
+  addHistoryEntry: () => Promise.resolve(1),
+  getHistoryEntries: () => Promise.resolve([]),
+  updateHistoryEntry: () => Promise.resolve(),
+  deleteHistoryEntry: () => Promise.resolve(),
+}));
+jest.mock("../lib/offline-queue", () => ({
+  ...jest.requireActual("../lib/offline-queue"),
+  countQueuedCaptures: () => Promise.resolve(0),
+  getQueuedCaptures: () => Promise.resolve([]),
+}));
+
+// Sent straight away: no editor, preprocessing or quality checks, which
+// need a real image decoder
+const SETTINGS = {
+  reviewBeforeSend: false,
+  preprocess: false,
+  qualityChecks: false,
+};
+const CONFIG = { provider: "proxy", retries: 0 };
+
+const answer = (predictions) => ({ data: { predictions } });
+
+const leafFile = () =>
+  new File(["leaf"], "leaf.jpeg", { type: "image/jpeg", lastModified: 0 });
+
+/**
+ * Renders the upload tab and uploads one image
+ */
+const uploadLeaf = (props = {}) => {
+  render(<LeafClassifier config={CONFIG} tabs={["upload"]} {...props} />);
+  userEvent.upload(screen.getByLabelText("Choose images"), leafFile());
+};
+
+beforeEach(() => {
+  localStorage.setItem("leafClassifier.settings", JSON.stringify(SETTINGS));
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => localStorage.clear());
+
+describe("upload", () => {
+  it("classifies the image and reports the result", async () => {
+    axios.mockResolvedValue(
+      answer({ healthy: { confidence: 0.91 }, "downy mildew": 0.09 })
+    );
+    const onResult = jest.fn();
+
+    uploadLeaf({ onResult });
+
+    expect(await screen.findByText("Analysis Results")).toBeInTheDocument();
+    expect(screen.getAllByText("91.0%").length).toBeGreaterThan(0);
+    expect(axios).toHaveBeenCalledWith(
+      expect.objectContaining({ method: "POST", url: "/api/classify" })
+    );
+    expect(onResult).toHaveBeenCalledWith(
+      expect.objectContaining({
+        class: "healthy",
+        confidence: 0.91,
+        fileName: "leaf.jpeg",
+      })
+    );
+  });
+
+  it("falls back to undefined below the threshold prop", async () => {
+    axios.mockResolvedValue(
+      answer({ healthy: { confidence: 0.55 }, "downy mildew": 0.45 })
+    );
+    const onResult = jest.fn();
+
+    uploadLeaf({ threshold: 0.7, onResult });
+
+    await waitFor(() => expect(onResult).toHaveBeenCalled());
+    expect(onResult.mock.calls[0][0]).toMatchObject({
+      class: "undefined",
+      lowConfidence: true,
+      topClass: "healthy",
+      threshold: 0.7,
+    });
+    expect(screen.getAllByText("undefined").length).toBeGreaterThan(0);
+  });
+
+  it("shows a server error, reports it and retries on demand", async () => {
+    axios.mockRejectedValueOnce({
+      isAxiosError: true,
+      message: "Request failed with status code 500",
+      response: { status: 500, data: {}, headers: {} },
+    });
+    const onError = jest.fn();
+
+    uploadLeaf({ onError });
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "The classifier had a problem"
+    );
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: ERROR_SERVER, status: 500 }),
+      expect.any(File)
+    );
+
+    axios.mockResolvedValueOnce(answer({ healthy: { confidence: 0.8 } }));
+    userEvent.click(screen.getByRole("button", { name: /try again/i }));
+
+    expect(await screen.findByText("Analysis Results")).toBeInTheDocument();
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  });
+
+  it("reports every failed item of a batch", async () => {
+    axios.mockRejectedValue({
+      isAxiosError: true,
+      message: "Request failed with status code 500",
+      response: { status: 500, data: {}, headers: {} },
+    });
+    const onError = jest.fn();
+
+    render(
+      <LeafClassifier config={CONFIG} tabs={["upload"]} onError={onError} />
+    );
+    userEvent.upload(screen.getByLabelText("Choose images"), [
+      leafFile(),
+      new File(["leaf"], "other.jpeg", { type: "image/jpeg" }),
+    ]);
+
+    await waitFor(() => expect(onError).toHaveBeenCalledTimes(2));
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: ERROR_SERVER, status: 500 }),
+      expect.any(File)
+    );
+  });
+
+  it("refuses unprocessed images over the backend's limit", () => {
+    render(<LeafClassifier config={CONFIG} tabs={["upload"]} />);
+    userEvent.upload(
+      screen.getByLabelText("Choose images"),
+      new File([new Uint8Array(6 * 1024 * 1024)], "large.jpeg", {
+        type: "image/jpeg",
+      })
+    );
+
+    expect(
+      screen.getByText("large.jpeg is larger than 5 MB")
+    ).toBeInTheDocument();
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  it("reports a malformed answer", async () => {
+    axios.mockResolvedValue({ data: "<html>" });
+
+    uploadLeaf();
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "The classifier sent an unexpected answer"
+    );
+  });
+});
+
+describe("camera", () => {
+  let restoreVideo = () => {};
+  afterEach(() => restoreVideo());
+
+  it("captures a frame and classifies it", async () => {
+    const { getUserMedia } = mockCamera();
+    restoreVideo = mockVideoPlayback();
+    axios.mockResolvedValue(answer({ healthy: { confidence: 0.88 } }));
+    const onCapture = jest.fn();
+    const onResult = jest.fn();
+
+    render(
+      <LeafClassifier
+        config={CONFIG}
+        tabs={["camera"]}
+        onCapture={onCapture}
+        onResult={onResult}
+      />
+    );
+
+    const video = await screen.findByLabelText("Camera preview");
+    expect(getUserMedia).toHaveBeenCalled();
+    fireEvent.loadedMetadata(video);
+    expect(await screen.findByText(/live feed ✓/i)).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole("button", { name: /^capture$/i }));
+
+    expect(onCapture).toHaveBeenCalledWith(expect.any(Blob));
+    expect(onCapture.mock.calls[0][0].type).toBe("image/jpeg");
+    await waitFor(() =>
+      expect(onResult).toHaveBeenCalledWith(
+        expect.objectContaining({ class: "healthy", fileName: "capture.jpeg" })
+      )
+    );
+    expect(axios).toHaveBeenCalledWith(
+      expect.objectContaining({ data: onCapture.mock.calls[0][0] })
+    );
+  });
+
+  it("explains a denied camera permission and can try again", async () => {
+    const { getUserMedia } = mockCamera({
+      error: new Error("Permission denied"),
+    });
+
+    render(<LeafClassifier config={CONFIG} tabs={["camera"]} />);
+
+    expect(await screen.findByText("Camera Error")).toBeInTheDocument();
+    expect(screen.getByText("Permission denied")).toBeInTheDocument();
+
+    const callsBefore = getUserMedia.mock.calls.length;
+    userEvent.click(screen.getByRole("button", { name: /start camera/i }));
+    await waitFor(() =>
+      expect(getUserMedia.mock.calls.length).toBeGreaterThan(callsBefore)
+    );
+  });
+});
+
+describe("embedding", () => {
+  it("offers only the requested tabs and texts", () => {
+    mockCamera();
+
+    render(
+      <LeafClassifier
+        config={CONFIG}
+        tabs={["upload", "history"]}
+        labels={{ title: null, upload: "Subir" }}
+      />
+    );
+
+    expect(screen.queryByRole("heading", { level: 2 })).not.toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Subir" })).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "History" })).toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "Camera" })
+    ).not.toBeInTheDocument();
+  });
+
+  it("shows the interface and class names in the given language", async () => {
+    axios.mockResolvedValue(answer({ "downy mildew": { confidence: 0.834 } }));
+
+    render(<LeafClassifier config={CONFIG} tabs={["upload"]} locale="es" />);
+    expect(screen.getByText("Listo para analizar")).toBeInTheDocument();
+    userEvent.upload(screen.getByLabelText("Elegir imágenes"), leafFile());
+
+    expect(
+      await screen.findByText("Resultados del análisis")
+    ).toBeInTheDocument();
+    expect(screen.getAllByText("Mildiu").length).toBeGreaterThan(0);
+    expect(screen.getAllByText(/^83,4\s%$/).length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,49 @@
+import { Leaf } from "lucide-react";
+import { severityColor } from "../lib/knowledge-base";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * LeafResults Component
+ *
+ * Lists the class of every leaf found in a multi-leaf image, numbered
+ * like the boxes drawn over the image.
+ */
+const LeafResults = ({ leaves }) => {
+  const { t, formatPercent, classLabel } = useI18n();
+
+  return (
+    <div className="p-5 rounded-xl bg-white border border-emerald-100 shadow-sm">
+      <h3 className="flex items-center font-semibold text-emerald-800 mb-3">
+        <Leaf className="w-5 h-5 mr-2 text-emerald-500" />
+        {leaves.length === 0
+          ? t("leaves.none")
+          : t("leaves.found", { count: leaves.length })}
+      </h3>
+      <ol className="space-y-1.5 text-sm">
+        {leaves.map((leaf, index) => (
+          <li key={index} className="flex items-center justify-between">
+            <span className="flex items-center text-emerald-900">
+              <span
+                className="w-5 h-5 mr-2 rounded-full text-[11px] font-bold text-white flex items-center justify-center"
+                style={{ backgroundColor: severityColor(leaf.class) }}
+              >
+                {index + 1}
+              </span>
+              {classLabel(leaf.class)}
+              {leaf.lowConfidence && (
+                <span className="ml-1.5 text-xs text-amber-700">
+                  {t("leaves.lowConfidence")}
+                </span>
+              )}
+            </span>
+            <span className="text-gray-600">
+              {formatPercent(leaf.confidence, 1)}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default LeafResults;
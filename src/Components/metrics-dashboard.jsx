@@ -0,0 +1,284 @@
+import { useState, useMemo } from "react";
+import { BarChart3 } from "lucide-react";
+import {
+  toSamples,
+  evaluate,
+  calibration,
+  thresholdSweep,
+} from "../lib/metrics";
+import { UNDEFINED_CLASS } from "../lib/predictions";
+import useI18n from "../hooks/use-i18n";
+
+// Shares as CSS lengths, which must not follow the display locale
+const cssPercent = (value) => `${((value || 0) * 100).toFixed(0)}%`;
+
+/**
+ * MetricsDashboard Component
+ *
+ * Measures the model on labelled records: accuracy, per-class precision
+ * and recall, the confusion matrix, confidence calibration and what
+ * moving the "undefined" threshold would change. The threshold slider
+ * re-applies the rules locally; `onApplyThreshold` can save its value.
+ */
+const MetricsDashboard = ({ records, settings, title, onApplyThreshold }) => {
+  const { t, formatPercent, classLabel } = useI18n();
+  const [threshold, setThreshold] = useState(settings.threshold);
+
+  const percent = (value) => (value === null ? "–" : formatPercent(value));
+
+  const samples = useMemo(() => toSamples(records), [records]);
+  const result = useMemo(
+    () => evaluate(samples, { ...settings, threshold }),
+    [samples, settings, threshold]
+  );
+  const calibrated = useMemo(() => calibration(samples), [samples]);
+  const sweep = useMemo(() => thresholdSweep(samples), [samples]);
+
+  if (samples.length === 0) return null;
+
+  const columns = [...result.labels, UNDEFINED_CLASS];
+
+  return (
+    <div className="mt-8 p-5 bg-white rounded-xl border border-emerald-100 shadow-lg text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="flex items-center text-lg font-semibold text-emerald-800">
+          <BarChart3 className="w-5 h-5 mr-2 text-emerald-500" />
+          {title ?? t("metrics.title")}
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            {t("metrics.labelledImages", { count: result.total })}
+          </span>
+        </h3>
+        <p className="text-emerald-900">
+          {t("metrics.accuracy")} <strong>{percent(result.accuracy)}</strong> ·{" "}
+          {t("metrics.undefinedCount", {
+            count: result.undefinedCount,
+            className: classLabel(UNDEFINED_CLASS),
+          })}
+        </p>
+      </div>
+
+      {/* Threshold */}
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <label
+          htmlFor="metrics-threshold"
+          className="text-emerald-600 font-medium"
+        >
+          {t("metrics.threshold", { threshold: percent(threshold) })}
+        </label>
+        <input
+          id="metrics-threshold"
+          type="range"
+          min="0"
+          max="0.95"
+          step="0.05"
+          value={threshold}
+          onChange={(e) => setThreshold(Number(e.target.value))}
+          className="flex-1 min-w-[160px] accent-emerald-600"
+        />
+        {onApplyThreshold && threshold !== settings.threshold && (
+          <button
+            onClick={() => onApplyThreshold(threshold)}
+            className="px-3 py-1.5 bg-emerald-600 text-white font-medium rounded-md cursor-pointer hover:bg-emerald-700"
+          >
+            {t("metrics.useThreshold")}
+          </button>
+        )}
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        {/* Per-class metrics */}
+        <div>
+          <h4 className="font-semibold text-emerald-800 mb-2">
+            {t("metrics.perClass")}
+          </h4>
+          <table className="w-full text-left">
+            <thead className="text-xs text-gray-500">
+              <tr>
+                <th className="font-medium py-1">{t("metrics.class")}</th>
+                <th className="font-medium py-1">{t("metrics.images")}</th>
+                <th className="font-medium py-1">{t("metrics.precision")}</th>
+                <th className="font-medium py-1">{t("metrics.recall")}</th>
+                <th className="font-medium py-1">F1</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-emerald-50">
+              {result.classes.map((row) => (
+                <tr key={row.class}>
+                  <td className="py-1 text-emerald-900">
+                    {classLabel(row.class)}
+                  </td>
+                  <td className="py-1">{row.support}</td>
+                  <td className="py-1">{percent(row.precision)}</td>
+                  <td className="py-1">{percent(row.recall)}</td>
+                  <td className="py-1">{percent(row.f1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Confusion matrix */}
+        <div className="overflow-x-auto">
+          <h4 className="font-semibold text-emerald-800 mb-2">
+            {t("metrics.confusion")}{" "}
+            <span className="font-normal text-xs text-gray-500">
+              {t("metrics.confusionHint")}
+            </span>
+          </h4>
+          <table className="text-center text-xs">
+            <thead>
+              <tr>
+                <th></th>
+                {columns.map((label) => (
+                  <th
+                    key={label}
+                    className="px-1 py-1 font-medium text-gray-600 max-w-[5rem] truncate"
+                    title={classLabel(label)}
+                  >
+                    {classLabel(label)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {result.labels
+                .filter((actual) => result.matrix[actual])
+                .map((actual) => {
+                  const row = result.matrix[actual];
+                  const rowTotal = Object.values(row).reduce(
+                    (sum, count) => sum + count,
+                    0
+                  );
+                  return (
+                    <tr key={actual}>
+                      <th className="pr-2 py-1 text-right font-medium text-gray-600">
+                        {classLabel(actual)}
+                      </th>
+                      {columns.map((predicted) => {
+                        const count = row[predicted] || 0;
+                        const share = count / rowTotal;
+                        return (
+                          <td
+                            key={predicted}
+                            className={`w-10 h-8 border border-white ${
+                              predicted === actual
+                                ? "text-emerald-950"
+                                : "text-amber-950"
+                            }`}
+                            style={{
+                              backgroundColor:
+                                predicted === actual
+                                  ? `rgba(16, 185, 129, ${share * 0.6})`
+                                  : `rgba(245, 158, 11, ${share * 0.6})`,
+                            }}
+                          >
+                            {count || ""}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Calibration */}
+        <div>
+          <h4 className="font-semibold text-emerald-800 mb-2">
+            {t("metrics.calibration")}{" "}
+            <span className="font-normal text-xs text-gray-500">
+              {t("metrics.ece", { ece: percent(calibrated.ece) })}
+            </span>
+          </h4>
+          <ul className="space-y-1">
+            {calibrated.bins
+              .filter((bin) => bin.count > 0)
+              .map((bin) => (
+                <li key={bin.from} className="flex items-center gap-2">
+                  <span className="w-20 text-xs text-gray-500">
+                    {percent(bin.from)}–{percent(bin.to)}
+                  </span>
+                  <div className="relative flex-1 h-3 bg-gray-100 rounded-full">
+                    <div
+                      className="absolute inset-y-0 left-0 bg-emerald-500 rounded-full"
+                      style={{ width: cssPercent(bin.accuracy) }}
+                    />
+                    <div
+                      className="absolute inset-y-0 w-0.5 bg-gray-800"
+                      style={{ left: cssPercent(bin.meanConfidence) }}
+                      title={t("metrics.meanConfidence")}
+                    />
+                  </div>
+                  <span className="w-24 text-xs text-gray-600">
+                    {t("metrics.rightOf", {
+                      accuracy: percent(bin.accuracy),
+                      count: bin.count,
+                    })}
+                  </span>
+                </li>
+              ))}
+          </ul>
+          <p className="mt-1 text-xs text-gray-500">
+            {t("metrics.calibrationHint")}
+          </p>
+        </div>
+
+        {/* Threshold sweep */}
+        <div>
+          <h4 className="font-semibold text-emerald-800 mb-2">
+            {t("metrics.sweep")}
+          </h4>
+          <table className="w-full text-left text-xs">
+            <thead className="text-gray-500">
+              <tr>
+                <th className="font-medium py-0.5">
+                  {t("metrics.sweepThreshold")}
+                </th>
+                <th className="font-medium py-0.5">
+                  {t("metrics.classified")}
+                </th>
+                <th className="font-medium py-0.5">
+                  {t("metrics.rightWhenClassified")}
+                </th>
+                <th className="font-medium py-0.5">
+                  {t("metrics.rightOverall")}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {sweep
+                .filter((_, index) => index % 2 === 0)
+                .map((row) => (
+                  <tr
+                    key={row.threshold}
+                    onClick={() => setThreshold(row.threshold)}
+                    className={`cursor-pointer hover:bg-emerald-50 ${
+                      Math.abs(row.threshold - threshold) < 0.001
+                        ? "bg-emerald-100 font-semibold"
+                        : ""
+                    }`}
+                  >
+                    <td className="py-0.5">{percent(row.threshold)}</td>
+                    <td className="py-0.5">
+                      <span
+                        className="inline-block h-2 mr-1.5 bg-teal-400 rounded-full align-middle"
+                        style={{
+                          width: `${(row.coverage || 0) * 3}rem`,
+                        }}
+                      />
+                      {percent(row.coverage)}
+                    </td>
+                    <td className="py-0.5">{percent(row.acceptedAccuracy)}</td>
+                    <td className="py-0.5">{percent(row.accuracy)}</td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MetricsDashboard;
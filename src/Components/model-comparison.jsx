@@ -0,0 +1,99 @@
+import { GitCompare, AlertCircle } from "lucide-react";
+import { consensusClass, modelsAgree } from "../lib/model-comparison";
+import { describedKind } from "../lib/classifier-errors";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * ModelComparison Component
+ *
+ * Shows how each compared model classified the same image: top class,
+ * confidence, latency and its ranking. Models that disagree with the
+ * majority are highlighted.
+ */
+const ModelComparison = ({ comparison }) => {
+  const { t, formatNumber, formatPercent, classLabel } = useI18n();
+  const consensus = consensusClass(comparison);
+  const agree = modelsAgree(comparison);
+
+  return (
+    <div className="p-5 rounded-xl bg-white border border-emerald-100 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="flex items-center font-semibold text-emerald-800">
+          <GitCompare className="w-5 h-5 mr-2 text-emerald-500" />
+          {t("comparison.title")}
+        </h3>
+        <span
+          className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+            agree
+              ? "bg-emerald-100 text-emerald-800"
+              : "bg-amber-300 text-amber-950"
+          }`}
+        >
+          {agree ? t("comparison.agree") : t("comparison.disagree")}
+        </span>
+      </div>
+
+      <div
+        className="grid gap-3"
+        style={{
+          gridTemplateColumns: `repeat(${Math.min(
+            comparison.length,
+            3
+          )}, minmax(0, 1fr))`,
+        }}
+      >
+        {comparison.map((model) => {
+          const disagrees = !model.error && model.class !== consensus;
+
+          return (
+            <div
+              key={model.label}
+              className={`p-3 rounded-lg border text-sm ${
+                model.error
+                  ? "bg-red-50 border-red-200"
+                  : disagrees
+                  ? "bg-amber-50 border-amber-300"
+                  : "bg-emerald-50 border-emerald-100"
+              }`}
+            >
+              <p className="text-xs font-medium text-gray-500 mb-1">
+                {model.label} · {formatNumber(model.latencyMs)} ms
+              </p>
+              {model.error ? (
+                <p
+                  className="flex items-start text-red-700"
+                  title={model.error}
+                >
+                  <AlertCircle className="w-4 h-4 mr-1 mt-0.5 shrink-0" />
+                  {t(`errors.${describedKind(model.errorKind)}.title`)}
+                </p>
+              ) : (
+                <>
+                  <p className="font-bold text-emerald-900">
+                    {classLabel(model.class)}
+                  </p>
+                  <p className="text-gray-700">
+                    {formatPercent(model.confidence, 1)}
+                    {model.lowConfidence && ` ${t("comparison.low")}`}
+                  </p>
+                  <ol className="mt-2 space-y-0.5 text-xs text-gray-600">
+                    {model.ranking.map((entry, index) => (
+                      <li key={entry.class} className="flex justify-between">
+                        <span className="truncate mr-2">
+                          {index + 1}. {classLabel(entry.class)}
+                        </span>
+                        <span>{formatPercent(entry.confidence)}</span>
+                      </li>
+                    ))}
+                  </ol>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ModelComparison;
@@ -0,0 +1,68 @@
+import { CloudUpload, RefreshCw, WifiOff, X } from "lucide-react";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * OfflineQueueStatus Component
+ *
+ * Shows when the app is offline and how many captures are waiting to be
+ * classified, with a button to send them right away, and how many were
+ * rejected by the backend when sent. Renders nothing while online with
+ * an empty queue and no rejections.
+ */
+const OfflineQueueStatus = ({
+  pending,
+  syncing,
+  online,
+  failed,
+  onSync,
+  onDismissFailed,
+}) => {
+  const { t } = useI18n();
+
+  if (online && pending === 0 && !failed) return null;
+
+  return (
+    <div className="flex items-center gap-2 px-3 py-2 rounded-lg border border-amber-300 bg-amber-50 text-amber-950 text-sm shadow-sm">
+      {online ? (
+        <CloudUpload className="w-4 h-4" />
+      ) : (
+        <WifiOff className="w-4 h-4" />
+      )}
+      {!online && <span className="font-medium">{t("offline.offline")}</span>}
+      {pending > 0 && (
+        <span className="px-2 py-0.5 rounded-full bg-amber-300 text-xs font-semibold">
+          {t("offline.waiting", { count: pending })}
+        </span>
+      )}
+      {pending > 0 && (
+        <button
+          onClick={onSync}
+          disabled={!online || syncing}
+          className="flex items-center text-emerald-700 font-medium cursor-pointer disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          <RefreshCw
+            className={`w-3.5 h-3.5 mr-1 ${syncing ? "animate-spin" : ""}`}
+          />
+          {syncing ? t("offline.syncing") : t("offline.sync")}
+        </button>
+      )}
+      {failed && (
+        <span
+          className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-red-100 text-red-800 text-xs font-semibold"
+          title={failed.error?.message}
+        >
+          {t("offline.failed", { count: failed.count })}
+          <button
+            onClick={onDismissFailed}
+            className="cursor-pointer"
+            aria-label={t("common.dismiss")}
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default OfflineQueueStatus;
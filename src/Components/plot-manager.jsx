@@ -0,0 +1,118 @@
+import { useState } from "react";
+import { X, Trash2 } from "lucide-react";
+import { createPlot, plotLabel, compareNames } from "../lib/plots";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * PlotManager Component
+ *
+ * Edits the local list of fields, plots and rows captures can be tagged
+ * with. Every change is passed to `onChange` straight away; the parent
+ * takes care of persisting it.
+ */
+const PlotManager = ({ plots, onChange, onClose }) => {
+  const { t } = useI18n();
+  const [field, setField] = useState("");
+  const [plot, setPlot] = useState("");
+  const [row, setRow] = useState("");
+
+  const fields = [...new Set(plots.map((entry) => entry.field))].sort(
+    compareNames
+  );
+  const sorted = [...plots].sort(
+    (a, b) =>
+      compareNames(a.field, b.field) ||
+      compareNames(a.plot, b.plot) ||
+      compareNames(a.row, b.row)
+  );
+
+  const addPlot = (e) => {
+    e.preventDefault();
+    if (!field.trim()) return;
+
+    onChange([...plots, createPlot({ field, plot, row })]);
+    // Keep the field, plots are usually entered one field at a time
+    setPlot("");
+    setRow("");
+  };
+
+  return (
+    <div className="mb-6 p-5 bg-white rounded-xl border border-emerald-100 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-emerald-800">
+          {t("plots.title")}
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 rounded-md text-gray-500 hover:bg-gray-100 cursor-pointer"
+          aria-label={t("plots.close")}
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <form onSubmit={addPlot} className="flex flex-wrap gap-2 text-sm">
+        <input
+          list="plot-fields"
+          value={field}
+          onChange={(e) => setField(e.target.value)}
+          placeholder={t("plots.field")}
+          className="flex-1 min-w-[8rem] px-2 py-1.5 border border-gray-200 rounded-md"
+          aria-label={t("plots.field")}
+          required
+        />
+        <datalist id="plot-fields">
+          {fields.map((name) => (
+            <option key={name} value={name} />
+          ))}
+        </datalist>
+        <input
+          value={plot}
+          onChange={(e) => setPlot(e.target.value)}
+          placeholder={t("plots.plot")}
+          className="w-24 px-2 py-1.5 border border-gray-200 rounded-md"
+          aria-label={t("plots.plot")}
+        />
+        <input
+          value={row}
+          onChange={(e) => setRow(e.target.value)}
+          placeholder={t("plots.row")}
+          className="w-24 px-2 py-1.5 border border-gray-200 rounded-md"
+          aria-label={t("plots.row")}
+        />
+        <button
+          type="submit"
+          className="px-3 py-1.5 bg-emerald-600 text-white font-medium rounded-md cursor-pointer hover:bg-emerald-700"
+        >
+          {t("plots.add")}
+        </button>
+      </form>
+
+      {sorted.length === 0 ? (
+        <p className="mt-4 text-sm text-gray-500">{t("plots.empty")}</p>
+      ) : (
+        <ul className="mt-4 divide-y divide-emerald-50 text-sm">
+          {sorted.map((entry) => (
+            <li
+              key={entry.id}
+              className="flex items-center justify-between py-1.5"
+            >
+              <span className="text-gray-700">{plotLabel(entry, t)}</span>
+              <button
+                onClick={() =>
+                  onChange(plots.filter((item) => item.id !== entry.id))
+                }
+                className="p-1.5 text-gray-400 hover:text-red-500 cursor-pointer"
+                aria-label={t("plots.delete", { plot: plotLabel(entry, t) })}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PlotManager;
@@ -0,0 +1,41 @@
+import { MapPin, ListPlus } from "lucide-react";
+import { plotLabel } from "../lib/plots";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * PlotPicker Component
+ *
+ * Picks the field/plot/row attached to new captures and uploads, with a
+ * button to open the plot manager.
+ */
+const PlotPicker = ({ plots, activePlotId, onSelect, onManage }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="flex items-center rounded-lg border border-emerald-200 bg-white shadow-sm">
+      <MapPin className="w-4 h-4 ml-2.5 text-emerald-500" />
+      <select
+        value={activePlotId || ""}
+        onChange={(e) => onSelect(e.target.value || null)}
+        className="pl-1.5 pr-2 py-2 text-sm bg-transparent max-w-[12rem]"
+        aria-label={t("plots.picker")}
+      >
+        <option value="">{t("plots.none")}</option>
+        {plots.map((plot) => (
+          <option key={plot.id} value={plot.id}>
+            {plotLabel(plot, t)}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={onManage}
+        className="p-2 border-l border-emerald-100 text-emerald-600 cursor-pointer hover:bg-emerald-50 rounded-r-lg"
+        aria-label={t("plots.manage")}
+      >
+        <ListPlus className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default PlotPicker;
@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { Check, HelpCircle, ChevronDown, ChevronUp } from "lucide-react";
+import { rankPredictions, UNDEFINED_CLASS } from "../lib/predictions";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * PredictionBreakdown Component
+ *
+ * Lists every class the model returned, best first, with a confidence bar
+ * each. The winning class is marked, and so is the "undefined" fallback
+ * or low-confidence flag when no class passed its threshold.
+ */
+const PredictionBreakdown = ({ predictions, result, topN = 5 }) => {
+  const { t, formatPercent, classLabel } = useI18n();
+  const [showAll, setShowAll] = useState(false);
+
+  const ranked = rankPredictions(predictions);
+  const visible = showAll ? ranked : ranked.slice(0, topN);
+  const isFallback = result.class === UNDEFINED_CLASS;
+
+  if (ranked.length === 0) return null;
+
+  return (
+    <div className="mt-5 pt-4 border-t border-emerald-100">
+      <p className="text-sm text-emerald-600 font-medium mb-3">
+        {t("breakdown.title")}
+      </p>
+
+      {result.lowConfidence && (
+        <div className="mb-3 p-2.5 bg-white border border-amber-300 rounded-lg text-sm text-amber-950 flex items-center">
+          <HelpCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+          <span>
+            {isFallback
+              ? t("breakdown.undefined", {
+                  className: classLabel(UNDEFINED_CLASS),
+                })
+              : t("breakdown.flagged", {
+                  threshold: formatPercent(result.threshold),
+                })}
+          </span>
+        </div>
+      )}
+
+      <ul className="flex flex-col gap-2.5">
+        {visible.map((prediction) => {
+          const isWinner = !isFallback && prediction.class === result.class;
+
+          return (
+            <li key={prediction.class}>
+              <div className="flex items-center justify-between mb-1">
+                <span
+                  className={`text-sm flex items-center ${
+                    isWinner ? "font-bold text-emerald-900" : "text-gray-700"
+                  }`}
+                >
+                  {isWinner && (
+                    <Check className="w-4 h-4 mr-1 text-emerald-600" />
+                  )}
+                  {classLabel(prediction.class)}
+                </span>
+                <span
+                  className={`text-sm ${
+                    isWinner ? "font-bold text-emerald-900" : "text-gray-600"
+                  }`}
+                >
+                  {formatPercent(prediction.confidence, 1)}
+                </span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className={`h-2 rounded-full ${
+                    isWinner
+                      ? "bg-gradient-to-r from-emerald-500 to-teal-600"
+                      : "bg-emerald-300"
+                  }`}
+                  style={{
+                    width: `${(prediction.confidence * 100).toFixed(2)}%`,
+                  }}
+                ></div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {ranked.length > topN && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="mt-3 text-sm text-emerald-700 font-medium flex items-center cursor-pointer hover:text-emerald-900"
+        >
+          {showAll ? (
+            <>
+              <ChevronUp className="w-4 h-4 mr-1" />
+              {t("breakdown.showTop", { count: topN })}
+            </>
+          ) : (
+            <>
+              <ChevronDown className="w-4 h-4 mr-1" />
+              {t("breakdown.showAll", { count: ranked.length })}
+            </>
+          )}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PredictionBreakdown;
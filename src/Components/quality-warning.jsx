@@ -0,0 +1,73 @@
+import { AlertTriangle, Send, RotateCcw } from "lucide-react";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * QualityWarning Component
+ *
+ * Shown instead of sending an image that failed the quality checks, with
+ * the measured values so the user can judge, and a choice between
+ * retaking the photo or sending it anyway.
+ */
+const QualityWarning = ({ issues, metrics, onRetake, onSendAnyway }) => {
+  const { t, formatNumber, formatPercent } = useI18n();
+
+  return (
+    <div
+      className="p-5 rounded-xl bg-amber-50 border border-amber-300 text-amber-950"
+      role="alert"
+    >
+      <div className="flex items-start">
+        <AlertTriangle className="w-5 h-5 mr-3 mt-0.5 shrink-0" />
+        <div className="flex-1">
+          <h3 className="font-semibold">
+            {t("quality.title", {
+              issues: issues
+                .map((issue) => t(`quality.issues.${issue}`))
+                .join(", "),
+            })}
+          </h3>
+          <p className="text-sm mt-1">{t("quality.hint")}</p>
+          <dl className="grid grid-cols-3 gap-2 mt-3 text-xs">
+            <div>
+              <dt className="text-amber-800">{t("quality.sharpness")}</dt>
+              <dd className="font-semibold">
+                {formatNumber(metrics.sharpness, { maximumFractionDigits: 0 })}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-amber-800">{t("quality.brightness")}</dt>
+              <dd className="font-semibold">
+                {formatPercent(metrics.brightness / 255)}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-amber-800">{t("quality.leafCoverage")}</dt>
+              <dd className="font-semibold">
+                {formatPercent(metrics.greenCoverage)}
+              </dd>
+            </div>
+          </dl>
+        </div>
+      </div>
+
+      <div className="flex gap-2 mt-4">
+        <button
+          onClick={onRetake}
+          className="flex items-center px-4 py-2 bg-gradient-to-r from-emerald-500 to-teal-600 text-white text-sm font-medium rounded-lg cursor-pointer hover:shadow-md transition-all duration-200"
+        >
+          <RotateCcw className="w-4 h-4 mr-1.5" />
+          {t("quality.retake")}
+        </button>
+        <button
+          onClick={onSendAnyway}
+          className="flex items-center px-4 py-2 bg-white border border-gray-200 text-gray-700 text-sm rounded-lg cursor-pointer hover:bg-gray-50"
+        >
+          <Send className="w-4 h-4 mr-1.5" />
+          {t("quality.sendAnyway")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QualityWarning;
@@ -0,0 +1,204 @@
+import { X, Cpu, Cloud, MapPin } from "lucide-react";
+import { describeRule, UNDEFINED_CLASS } from "../lib/predictions";
+import { formatBytes } from "../lib/image-utils";
+import { OUTPUT_FORMATS } from "../lib/preprocess";
+import { formatLocation, LOCATION_EXIF } from "../lib/location";
+import { plotLabel } from "../lib/plots";
+import PredictionBreakdown from "./prediction-breakdown";
+import ExportMenu from "./export-menu";
+import KnowledgePanel from "./knowledge-panel";
+import ModelComparison from "./model-comparison";
+import CorrectionForm from "./correction-form";
+import DetectionOverlay from "./detection-overlay";
+import LeafResults from "./leaf-results";
+import QualityWarning from "./quality-warning";
+import ClassificationError from "./classification-error";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * ResultsView Component
+ *
+ * Shows the image being classified (the preprocessed version when there
+ * is one) with whatever is known about it: a quality warning, the error
+ * of a failed request, or the result with its breakdown, labelling form,
+ * guidance and export. `result`, `qualityWarning` and `error` are null
+ * when there is nothing to show for them.
+ */
+const ResultsView = ({
+  image,
+  processed,
+  result,
+  qualityWarning,
+  error,
+  title,
+  onClear,
+  onSendAnyway,
+  onRetry,
+  onDismissError,
+  onSaveLabel,
+}) => {
+  const i18n = useI18n();
+  const { t, locale, formatPercent, classLabel } = i18n;
+
+  return (
+    <div className="p-6 flex flex-col gap-5">
+      {/* Preview Image */}
+      <div className="relative w-full rounded-xl overflow-hidden shadow-md border border-emerald-50">
+        <img
+          src={processed?.url || image || "/placeholder.svg"}
+          alt={t("results.imageAlt")}
+          className="w-full h-auto block object-cover"
+        />
+        {result?.leaves && <DetectionOverlay leaves={result.leaves} />}
+      </div>
+      {processed && (
+        <p className="-mt-3 text-xs text-gray-500 text-center">
+          {t("results.sentAs", {
+            size: `${processed.width}x${processed.height}`,
+            format: OUTPUT_FORMATS[processed.blob.type]?.label,
+            bytes: formatBytes(processed.bytes, locale),
+            originalSize: `${processed.originalWidth}x${processed.originalHeight}`,
+            originalBytes: formatBytes(processed.originalBytes, locale),
+          })}
+        </p>
+      )}
+
+      {/* Quality Warning */}
+      {qualityWarning && (
+        <QualityWarning
+          issues={qualityWarning.issues}
+          metrics={qualityWarning}
+          onRetake={onClear}
+          onSendAnyway={onSendAnyway}
+        />
+      )}
+
+      {/* Error Display */}
+      {error && (
+        <ClassificationError
+          error={error}
+          onRetry={onRetry}
+          onDismiss={onDismissError}
+        />
+      )}
+
+      {/* Results Display */}
+      {result && (
+        <div className="bg-gradient-to-r from-emerald-50 to-teal-50 p-5 rounded-xl shadow-sm border border-emerald-100">
+          <h3 className="text-lg font-semibold text-emerald-800 mb-3">
+            {title ?? t("results.title")}
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <div className="flex flex-col">
+              <p className="text-sm text-emerald-600 font-medium mb-1">
+                {t("results.classification")}
+              </p>
+              <p className="text-xl font-bold text-emerald-900">
+                {classLabel(result.class)}
+              </p>
+              {result.lowConfidence && result.class !== UNDEFINED_CLASS && (
+                <span className="self-start mt-1 px-2 py-0.5 rounded-full bg-white border border-amber-300 text-xs font-medium text-amber-950">
+                  {t("results.lowConfidence")}
+                </span>
+              )}
+            </div>
+            <div className="flex flex-col">
+              <p className="text-sm text-emerald-600 font-medium mb-1">
+                {t("results.confidence")}
+              </p>
+              <div className="flex items-center">
+                <div className="w-full bg-gray-200 rounded-full h-2.5 mr-2">
+                  <div
+                    className="bg-gradient-to-r from-emerald-500 to-teal-600 h-2.5 rounded-full"
+                    style={{
+                      width: `${(result.confidence * 100).toFixed(2)}%`,
+                    }}
+                  ></div>
+                </div>
+                <p className="text-xl font-bold text-emerald-900">
+                  {formatPercent(result.confidence, 1)}
+                </p>
+              </div>
+            </div>
+          </div>
+
+          <p className="mt-3 text-xs text-gray-500">
+            {describeRule(result, i18n)}
+          </p>
+          {result.engine && (
+            <p className="mt-1 text-xs text-gray-500 flex items-center">
+              {result.engine === "local" ? (
+                <Cpu className="w-3.5 h-3.5 mr-1" />
+              ) : (
+                <Cloud className="w-3.5 h-3.5 mr-1" />
+              )}
+              {result.engine === "local"
+                ? t("results.engineLocal")
+                : t("results.engineRemote", { engine: result.engine })}
+            </p>
+          )}
+          {(result.plot || result.location) && (
+            <p className="mt-1 text-xs text-gray-500 flex items-center">
+              <MapPin className="w-3.5 h-3.5 mr-1 shrink-0" />
+              {[
+                result.plot && plotLabel(result.plot, t),
+                result.location &&
+                  (result.location.source === LOCATION_EXIF
+                    ? t("results.locationFromPhoto", {
+                        location: formatLocation(result.location),
+                      })
+                    : formatLocation(result.location)),
+              ]
+                .filter(Boolean)
+                .join(" · ")}
+            </p>
+          )}
+
+          <PredictionBreakdown
+            predictions={result.predictions}
+            result={result}
+          />
+        </div>
+      )}
+
+      {/* Classes of the individual leaves */}
+      {result?.leaves && <LeafResults leaves={result.leaves} />}
+
+      {/* Answers of the compared models */}
+      {result?.comparison && <ModelComparison comparison={result.comparison} />}
+
+      {/* Ground-truth label */}
+      {result?.historyId && (
+        <CorrectionForm
+          key={result.historyId}
+          result={result}
+          knownClasses={Object.keys(result.predictions || {})}
+          onSave={onSaveLabel}
+        />
+      )}
+
+      {/* Guidance for the predicted class */}
+      {result && (
+        <KnowledgePanel key={result.class} predictedClass={result.class} />
+      )}
+
+      {/* Export */}
+      {result && <ExportMenu label={t("results.export")} records={[result]} />}
+
+      {/* Clear Button */}
+      {result && (
+        <button
+          onClick={onClear}
+          className="flex items-center justify-center py-3 px-5 bg-white border border-gray-200 rounded-xl cursor-pointer mt-2 hover:bg-gray-50 transition-colors shadow-sm active:scale-98"
+        >
+          <X className="w-5 h-5 mr-2 text-gray-600" />
+          <span className="font-medium text-gray-700">
+            {t("results.clear")}
+          </span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ResultsView;
@@ -0,0 +1,134 @@
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import ResultsView from "./results-view";
+import I18nProvider from "./i18n-provider";
+import { pickBestPrediction } from "../lib/predictions";
+import { DEFAULT_SETTINGS, FALLBACK_FLAG } from "../lib/settings";
+import {
+  ClassifierError,
+  ERROR_SERVER,
+  ERROR_TIMEOUT,
+} from "../lib/classifier-errors";
+import { ISSUE_BLURRY } from "../lib/quality";
+
+const predictions = {
+  healthy: { confidence: 0.45 },
+  "downy mildew": { confidence: 0.35 },
+  "bacterial leaf spot": { confidence: 0.2 },
+};
+
+/**
+ * Builds a result the way the classifier does, for the given settings
+ */
+const classify = (settings) => ({
+  ...pickBestPrediction(predictions, { ...DEFAULT_SETTINGS, ...settings }),
+  predictions,
+  engine: "proxy",
+  fileName: "leaf.jpeg",
+  createdAt: Date.now(),
+});
+
+it("shows an accepted class with its confidence", () => {
+  render(
+    <ResultsView image="blob:leaf" result={classify({ threshold: 0.4 })} />
+  );
+
+  expect(screen.getByText("Analysis Results")).toBeInTheDocument();
+  expect(screen.getByAltText("Captured")).toHaveAttribute("src", "blob:leaf");
+  expect(screen.getAllByText("Healthy").length).toBeGreaterThan(0);
+  expect(screen.getAllByText("45.0%").length).toBeGreaterThan(0);
+  expect(screen.queryByText("Low confidence")).not.toBeInTheDocument();
+});
+
+it("reports undefined below the threshold", () => {
+  render(
+    <ResultsView image="blob:leaf" result={classify({ threshold: 0.6 })} />
+  );
+
+  expect(screen.getAllByText("undefined").length).toBeGreaterThan(0);
+  expect(screen.queryByText("Low confidence")).not.toBeInTheDocument();
+});
+
+it("flags a low-confidence class when the fallback keeps it", () => {
+  render(
+    <ResultsView
+      image="blob:leaf"
+      result={classify({ threshold: 0.6, fallback: FALLBACK_FLAG })}
+    />
+  );
+
+  expect(screen.getByText("Low confidence")).toBeInTheDocument();
+});
+
+it("explains a failed request and offers to retry", () => {
+  const onRetry = jest.fn();
+  const onDismissError = jest.fn();
+  render(
+    <ResultsView
+      image="blob:leaf"
+      error={
+        new ClassifierError(ERROR_SERVER, "Upstream failed", { status: 502 })
+      }
+      onRetry={onRetry}
+      onDismissError={onDismissError}
+    />
+  );
+
+  expect(screen.getByRole("alert")).toHaveTextContent(
+    "The classifier had a problem"
+  );
+  expect(screen.getByRole("alert")).toHaveTextContent("502: Upstream failed");
+
+  userEvent.click(screen.getByRole("button", { name: /try again/i }));
+  userEvent.click(screen.getByRole("button", { name: /dismiss/i }));
+  expect(onRetry).toHaveBeenCalledTimes(1);
+  expect(onDismissError).toHaveBeenCalledTimes(1);
+});
+
+it("holds back a poor image until it is sent anyway", () => {
+  const onSendAnyway = jest.fn();
+  render(
+    <ResultsView
+      image="blob:leaf"
+      qualityWarning={{
+        issues: [ISSUE_BLURRY],
+        sharpness: 10,
+        brightness: 120,
+        greenCoverage: 0.5,
+      }}
+      onSendAnyway={onSendAnyway}
+    />
+  );
+
+  expect(screen.getByText(/too blurry/i)).toBeInTheDocument();
+  userEvent.click(screen.getByRole("button", { name: /send anyway/i }));
+  expect(onSendAnyway).toHaveBeenCalledTimes(1);
+});
+
+it("describes a failed comparison model in the chosen language", () => {
+  render(
+    <I18nProvider locale="es">
+      <ResultsView
+        image="blob:leaf"
+        result={{
+          ...classify({ threshold: 0.4 }),
+          comparison: [
+            { label: "v2", class: "healthy", confidence: 0.45, ranking: [] },
+            {
+              label: "v3",
+              error: "Request timed out",
+              errorKind: ERROR_TIMEOUT,
+              latencyMs: 50,
+            },
+          ],
+        }}
+      />
+    </I18nProvider>
+  );
+
+  const error = screen.getByText(
+    "El clasificador tardó demasiado en responder"
+  );
+  expect(error).toHaveAttribute("title", "Request timed out");
+  expect(screen.queryByText("Request timed out")).not.toBeInTheDocument();
+});
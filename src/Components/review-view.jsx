@@ -0,0 +1,158 @@
+import { useState } from "react";
+import {
+  ClipboardCheck,
+  Loader2,
+  AlertCircle,
+  FileArchive,
+  ArrowRight,
+} from "lucide-react";
+import { buildDatasetZip, isMisclassified } from "../lib/dataset";
+import { downloadFile, exportFileStem } from "../lib/export";
+import useI18n from "../hooks/use-i18n";
+
+const FILTER_ALL = "all";
+const FILTER_CORRECTED = "corrected";
+const FILTER_CONFIRMED = "confirmed";
+
+/**
+ * ReviewView Component
+ *
+ * Lists the labelled history entries (see useLabelledEntries), predicted
+ * class next to the true one, and exports them as a training dataset.
+ * Clicking an entry re-opens it in the results panel.
+ */
+const ReviewView = ({ entries, isLoading, error, onOpen }) => {
+  const { t, formatDate, classLabel } = useI18n();
+  const [filter, setFilter] = useState(FILTER_ALL);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const corrected = entries.filter(isMisclassified);
+  const filtered =
+    filter === FILTER_CORRECTED
+      ? corrected
+      : filter === FILTER_CONFIRMED
+      ? entries.filter((entry) => !isMisclassified(entry))
+      : entries;
+
+  const exportDataset = async () => {
+    setIsExporting(true);
+    try {
+      const zip = await buildDatasetZip(entries);
+      downloadFile(
+        zip,
+        `${exportFileStem(new Date(), "leaf-dataset")}.zip`,
+        "application/zip"
+      );
+    } catch (e) {
+      console.error("Error exporting dataset:", e);
+      window.alert(e.message || t("review.exportFailed"));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="h-[400px] flex flex-col rounded-xl border border-emerald-100 bg-white shadow-lg overflow-hidden">
+      {/* Filters and export */}
+      <div className="flex flex-wrap items-center gap-2 p-3 border-b border-emerald-100 bg-gradient-to-r from-emerald-50 to-teal-50">
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="px-2 py-1.5 border border-gray-200 rounded-md text-sm bg-white"
+          aria-label={t("review.filter")}
+        >
+          <option value={FILTER_ALL}>
+            {t("review.all", { count: entries.length })}
+          </option>
+          <option value={FILTER_CORRECTED}>
+            {t("review.corrections", { count: corrected.length })}
+          </option>
+          <option value={FILTER_CONFIRMED}>
+            {t("review.confirmed", {
+              count: entries.length - corrected.length,
+            })}
+          </option>
+        </select>
+        <button
+          onClick={exportDataset}
+          disabled={isExporting || entries.length === 0}
+          className="ml-auto flex items-center px-3 py-1.5 bg-white border border-emerald-200 rounded-md text-sm text-emerald-800 cursor-pointer hover:bg-emerald-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isExporting ? (
+            <Loader2 className="w-4 h-4 mr-1.5 animate-spin" />
+          ) : (
+            <FileArchive className="w-4 h-4 mr-1.5" />
+          )}
+          {t("review.export")}
+        </button>
+      </div>
+
+      {/* Entries */}
+      <div className="flex-1 overflow-y-auto">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-full text-emerald-700">
+            <Loader2 className="w-5 h-5 animate-spin mr-2" />
+            {t("review.loading")}
+          </div>
+        ) : error ? (
+          <div className="m-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 flex items-start">
+            <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
+            <p className="text-sm">{error.message || t("review.loadFailed")}</p>
+          </div>
+        ) : filtered.length === 0 ? (
+          <div className="flex flex-col items-center justify-center h-full text-center p-6">
+            <ClipboardCheck className="w-10 h-10 text-emerald-400 mb-3" />
+            <p className="text-gray-600">
+              {entries.length === 0
+                ? t("review.empty", { action: t("correction.correct") })
+                : t("review.noMatches")}
+            </p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-emerald-50">
+            {filtered.map((entry) => (
+              <li
+                key={entry.id}
+                onClick={() => onOpen(entry)}
+                className="flex items-center gap-3 p-3 cursor-pointer hover:bg-emerald-50 transition-colors"
+              >
+                <img
+                  src={entry.thumbnail}
+                  alt={classLabel(entry.groundTruth.class)}
+                  className="w-14 h-14 rounded-lg object-cover border border-emerald-100"
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="flex items-center font-semibold truncate">
+                    <span
+                      className={
+                        isMisclassified(entry)
+                          ? "text-gray-400 line-through"
+                          : "text-emerald-900"
+                      }
+                    >
+                      {classLabel(entry.class)}
+                    </span>
+                    {isMisclassified(entry) && (
+                      <>
+                        <ArrowRight className="w-4 h-4 mx-1 text-gray-400 shrink-0" />
+                        <span className="text-amber-800">
+                          {classLabel(entry.groundTruth.class)}
+                        </span>
+                      </>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500 truncate">
+                    {entry.groundTruth.notes ||
+                      formatDate(entry.groundTruth.labelledAt)}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewView;
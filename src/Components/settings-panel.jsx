@@ -0,0 +1,475 @@
+import { useState } from "react";
+import { X, Trash2, RotateCcw } from "lucide-react";
+import {
+  DEFAULT_SETTINGS,
+  FALLBACK_UNDEFINED,
+  FALLBACK_FLAG,
+} from "../lib/settings";
+import { OUTPUT_FORMATS } from "../lib/preprocess";
+import { UNDEFINED_CLASS } from "../lib/predictions";
+import useI18n from "../hooks/use-i18n";
+
+/**
+ * SettingsPanel Component
+ *
+ * Edits the classification rules: the global confidence threshold, what to
+ * do below it and per-class minimum confidences, plus the inference engine,
+ * model comparison, leaf detection, capture, image preprocessing, batch and
+ * live mode options. Every change is passed to `onChange` straight away; the parent
+ * takes care of persisting it.
+ */
+const SettingsPanel = ({
+  settings,
+  onChange,
+  knownClasses = [],
+  thresholdLocked = false,
+  localModelAvailable = false,
+  comparisonAvailable = false,
+  detectionAvailable = false,
+  onClose,
+}) => {
+  const { t, formatPercent, classLabel } = useI18n();
+  const [newClass, setNewClass] = useState("");
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const setClassThreshold = (className, value) =>
+    update({
+      classThresholds: { ...settings.classThresholds, [className]: value },
+    });
+
+  const removeClassThreshold = (className) => {
+    const { [className]: removed, ...rest } = settings.classThresholds;
+    update({ classThresholds: rest });
+  };
+
+  const addClassThreshold = () => {
+    const className = newClass.trim();
+    if (!className || settings.classThresholds[className] !== undefined) {
+      return;
+    }
+    setClassThreshold(className, settings.threshold);
+    setNewClass("");
+  };
+
+  return (
+    <div className="mb-6 p-5 bg-white rounded-xl border border-emerald-100 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-emerald-800">
+          {t("settings.title")}
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 rounded-md text-gray-500 hover:bg-gray-100 cursor-pointer"
+          aria-label={t("settings.close")}
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        {/* Global threshold */}
+        <div>
+          <label
+            htmlFor="threshold"
+            className="block text-sm text-emerald-600 font-medium mb-2"
+          >
+            {t("settings.threshold", {
+              threshold: formatPercent(settings.threshold),
+            })}
+          </label>
+          <input
+            id="threshold"
+            type="range"
+            min="0"
+            max="100"
+            value={Math.round(settings.threshold * 100)}
+            onChange={(e) => update({ threshold: e.target.value / 100 })}
+            disabled={thresholdLocked}
+            className="w-full accent-emerald-600 disabled:opacity-50"
+          />
+          {thresholdLocked && (
+            <p className="text-xs text-gray-500 mt-1">
+              {t("settings.thresholdLocked")}
+            </p>
+          )}
+
+          <p className="text-sm text-emerald-600 font-medium mt-4 mb-2">
+            {t("settings.belowThreshold")}
+          </p>
+          <div className="flex flex-col gap-1.5 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="fallback"
+                checked={settings.fallback === FALLBACK_UNDEFINED}
+                onChange={() => update({ fallback: FALLBACK_UNDEFINED })}
+                className="accent-emerald-600"
+              />
+              {t("settings.reportUndefined", {
+                className: classLabel(UNDEFINED_CLASS),
+              })}
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="fallback"
+                checked={settings.fallback === FALLBACK_FLAG}
+                onChange={() => update({ fallback: FALLBACK_FLAG })}
+                className="accent-emerald-600"
+              />
+              {t("settings.keepFlagged")}
+            </label>
+          </div>
+
+          <label
+            htmlFor="inference-engine"
+            className="block text-sm text-emerald-600 font-medium mt-4 mb-2"
+          >
+            {t("settings.engine")}
+          </label>
+          <select
+            id="inference-engine"
+            value={localModelAvailable ? settings.inferenceEngine : "remote"}
+            onChange={(e) => update({ inferenceEngine: e.target.value })}
+            disabled={!localModelAvailable}
+            className="px-2 py-1.5 border border-gray-200 rounded-md text-sm bg-white disabled:text-gray-400"
+          >
+            <option value="remote">{t("settings.engineRemote")}</option>
+            <option value="local">{t("settings.engineLocal")}</option>
+            <option value="auto">{t("settings.engineAuto")}</option>
+          </select>
+          {!localModelAvailable && (
+            <p className="text-xs text-gray-500 mt-1">
+              {t("settings.noLocalModel")}
+            </p>
+          )}
+
+          <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={comparisonAvailable && settings.compareModels}
+              onChange={(e) => update({ compareModels: e.target.checked })}
+              disabled={!comparisonAvailable}
+              className="accent-emerald-600"
+            />
+            {t("settings.compareModels")}
+          </label>
+          {!comparisonAvailable && (
+            <p className="text-xs text-gray-500 mt-1">
+              {t("settings.noComparison")}
+            </p>
+          )}
+
+          <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={detectionAvailable && settings.detectLeaves}
+              onChange={(e) => update({ detectLeaves: e.target.checked })}
+              disabled={!detectionAvailable}
+              className="accent-emerald-600"
+            />
+            {t("settings.detectLeaves")}
+          </label>
+          {!detectionAvailable && (
+            <p className="text-xs text-gray-500 mt-1">
+              {t("settings.noDetector")}
+            </p>
+          )}
+
+          <label
+            htmlFor="batch-concurrency"
+            className="block text-sm text-emerald-600 font-medium mt-4 mb-2"
+          >
+            {t("settings.batchConcurrency")}
+          </label>
+          <input
+            id="batch-concurrency"
+            type="number"
+            min="1"
+            max="10"
+            value={settings.batchConcurrency}
+            onChange={(e) =>
+              update({
+                batchConcurrency: Math.min(
+                  10,
+                  Math.max(1, parseInt(e.target.value, 10) || 1)
+                ),
+              })
+            }
+            className="w-20 px-2 py-1 border border-gray-200 rounded-md text-sm"
+          />
+
+          <p className="text-sm text-emerald-600 font-medium mt-4 mb-2">
+            {t("settings.live")}
+          </p>
+          <div className="grid grid-cols-2 gap-x-3 gap-y-2 items-center text-sm text-gray-700">
+            <label htmlFor="live-interval">{t("settings.liveInterval")}</label>
+            <input
+              id="live-interval"
+              type="number"
+              min="250"
+              step="250"
+              value={settings.liveInterval}
+              onChange={(e) =>
+                update({
+                  liveInterval: Math.max(
+                    250,
+                    parseInt(e.target.value, 10) || 0
+                  ),
+                })
+              }
+              className="w-24 px-2 py-1 border border-gray-200 rounded-md text-sm"
+            />
+            <label htmlFor="live-smoothing">
+              {t("settings.liveSmoothing", {
+                value: formatPercent(1 - settings.liveSmoothing),
+              })}
+            </label>
+            <input
+              id="live-smoothing"
+              type="range"
+              min="0"
+              max="90"
+              value={Math.round((1 - settings.liveSmoothing) * 100)}
+              onChange={(e) =>
+                update({ liveSmoothing: 1 - e.target.value / 100 })
+              }
+              className="accent-emerald-600"
+            />
+            <label htmlFor="live-stable-frames">
+              {t("settings.liveStableFrames")}
+            </label>
+            <input
+              id="live-stable-frames"
+              type="number"
+              min="1"
+              max="20"
+              value={settings.liveStableFrames}
+              onChange={(e) =>
+                update({
+                  liveStableFrames: Math.min(
+                    20,
+                    Math.max(1, parseInt(e.target.value, 10) || 1)
+                  ),
+                })
+              }
+              className="w-24 px-2 py-1 border border-gray-200 rounded-md text-sm"
+            />
+            <label className="col-span-2 flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.liveAutoCapture}
+                onChange={(e) => update({ liveAutoCapture: e.target.checked })}
+                className="accent-emerald-600"
+              />
+              {t("settings.liveAutoCapture")}
+            </label>
+          </div>
+        </div>
+
+        {/* Per-class minimums */}
+        <div>
+          <p className="text-sm text-emerald-600 font-medium mb-2">
+            {t("settings.classThresholds")}
+          </p>
+
+          {Object.keys(settings.classThresholds).length === 0 && (
+            <p className="text-sm text-gray-500 mb-2">
+              {t("settings.noClassThresholds")}
+            </p>
+          )}
+
+          <ul className="flex flex-col gap-2 mb-3">
+            {Object.entries(settings.classThresholds).map(
+              ([className, value]) => (
+                <li key={className} className="flex items-center gap-2">
+                  <span className="flex-1 text-sm text-gray-700 truncate">
+                    {classLabel(className)}
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={Math.round(value * 100)}
+                    onChange={(e) =>
+                      setClassThreshold(className, e.target.value / 100)
+                    }
+                    className="w-16 px-2 py-1 border border-gray-200 rounded-md text-sm"
+                  />
+                  <span className="text-sm text-gray-500">%</span>
+                  <button
+                    onClick={() => removeClassThreshold(className)}
+                    className="p-1 text-gray-400 hover:text-red-500 cursor-pointer"
+                    aria-label={t("settings.removeClassThreshold", {
+                      className: classLabel(className),
+                    })}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              )
+            )}
+          </ul>
+
+          <div className="flex gap-2">
+            <input
+              list="known-classes"
+              value={newClass}
+              onChange={(e) => setNewClass(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && addClassThreshold()}
+              placeholder={t("settings.className")}
+              className="flex-1 px-3 py-1.5 border border-gray-200 rounded-md text-sm"
+            />
+            <datalist id="known-classes">
+              {knownClasses.map((className) => (
+                <option
+                  key={className}
+                  value={className}
+                  label={classLabel(className)}
+                />
+              ))}
+            </datalist>
+            <button
+              onClick={addClassThreshold}
+              className="px-3 py-1.5 bg-emerald-600 text-white text-sm font-medium rounded-md cursor-pointer hover:bg-emerald-700"
+            >
+              {t("settings.add")}
+            </button>
+          </div>
+
+          <p className="text-sm text-emerald-600 font-medium mt-6 mb-2">
+            {t("settings.capture")}
+          </p>
+          <div className="flex flex-col gap-1.5 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.framingGuide}
+                onChange={(e) => update({ framingGuide: e.target.checked })}
+                className="accent-emerald-600"
+              />
+              {t("settings.framingGuide")}
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.reviewBeforeSend}
+                onChange={(e) => update({ reviewBeforeSend: e.target.checked })}
+                className="accent-emerald-600"
+              />
+              {t("settings.reviewBeforeSend")}
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.qualityChecks}
+                onChange={(e) => update({ qualityChecks: e.target.checked })}
+                className="accent-emerald-600"
+              />
+              {t("settings.qualityChecks")}
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.geotagging}
+                onChange={(e) => update({ geotagging: e.target.checked })}
+                className="accent-emerald-600"
+              />
+              {t("settings.geotagging")}
+            </label>
+          </div>
+
+          <p className="text-sm text-emerald-600 font-medium mt-6 mb-2">
+            {t("settings.preprocessing")}
+          </p>
+          <div className="grid grid-cols-2 gap-x-3 gap-y-2 items-center text-sm text-gray-700">
+            <label className="col-span-2 flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.preprocess}
+                onChange={(e) => update({ preprocess: e.target.checked })}
+                className="accent-emerald-600"
+              />
+              {t("settings.preprocess")}
+            </label>
+            <label htmlFor="preprocess-max-size">{t("settings.maxSize")}</label>
+            <input
+              id="preprocess-max-size"
+              type="number"
+              min="0"
+              step="32"
+              value={settings.preprocessMaxSize}
+              disabled={!settings.preprocess}
+              onChange={(e) =>
+                update({
+                  preprocessMaxSize: Math.max(
+                    0,
+                    parseInt(e.target.value, 10) || 0
+                  ),
+                })
+              }
+              className="w-24 px-2 py-1 border border-gray-200 rounded-md text-sm disabled:text-gray-400"
+            />
+            <label htmlFor="preprocess-format">{t("settings.format")}</label>
+            <select
+              id="preprocess-format"
+              value={settings.preprocessFormat}
+              disabled={!settings.preprocess}
+              onChange={(e) => update({ preprocessFormat: e.target.value })}
+              className="w-24 px-2 py-1 border border-gray-200 rounded-md text-sm bg-white disabled:text-gray-400"
+            >
+              {Object.entries(OUTPUT_FORMATS).map(([type, { label }]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <label htmlFor="preprocess-quality">
+              {t("settings.quality", {
+                value: formatPercent(settings.preprocessQuality),
+              })}
+            </label>
+            <input
+              id="preprocess-quality"
+              type="range"
+              min="30"
+              max="100"
+              value={Math.round(settings.preprocessQuality * 100)}
+              disabled={!settings.preprocess}
+              onChange={(e) =>
+                update({ preprocessQuality: e.target.value / 100 })
+              }
+              className="accent-emerald-600"
+            />
+            <label className="col-span-2 flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.preprocessSquareCrop}
+                disabled={!settings.preprocess}
+                onChange={(e) =>
+                  update({ preprocessSquareCrop: e.target.checked })
+                }
+                className="accent-emerald-600"
+              />
+              {t("settings.squareCrop")}
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {t("settings.fullResolution")}
+          </p>
+        </div>
+      </div>
+
+      <button
+        onClick={() => onChange({ ...DEFAULT_SETTINGS })}
+        className="mt-5 text-sm text-gray-600 flex items-center cursor-pointer hover:text-gray-900"
+      >
+        <RotateCcw className="w-4 h-4 mr-1" />
+        {t("settings.reset")}
+      </button>
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,271 @@
+import { useState, useEffect, useRef } from "react";
+import {
+  Upload,
+  FileUp,
+  FolderOpen,
+  Tags,
+  AlertCircle,
+  Loader2,
+} from "lucide-react";
+import {
+  partitionImageFiles,
+  MAX_IMAGE_BYTES,
+  getTransferUrl,
+  fetchImageFile,
+} from "../lib/image-input";
+import useI18n from "../hooks/use-i18n";
+
+// Problems reported here besides rejected files
+const ERROR_DOWNLOAD = "download";
+const ERROR_DROP = "drop";
+
+/**
+ * Tells whether a keyboard event target is a text field, where paste
+ * should keep its normal behaviour
+ */
+const isEditable = (target) =>
+  target.isContentEditable ||
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+
+/**
+ * UploadZone Component
+ *
+ * Collects images from the file and folder pickers, drag and drop
+ * (files or image URLs from another tab) and clipboard paste. Everything
+ * is validated here; only acceptable images reach `onFiles(files, options)`.
+ * Images from the labelled folder picker come with `{ labelled: true }`:
+ * each one's folder name is its true class. Files over `maxBytes` are
+ * refused.
+ */
+const UploadZone = ({ onFiles, maxBytes = MAX_IMAGE_BYTES }) => {
+  const { t } = useI18n();
+  const [isDragging, setIsDragging] = useState(false);
+  const [isFetching, setIsFetching] = useState(false);
+  // { reason, ...params } for each problem, worded at render time
+  const [errors, setErrors] = useState([]);
+
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const labelledInputRef = useRef(null);
+  // dragenter/dragleave fire for every child, count them to know when
+  // the pointer really left the zone
+  const dragDepthRef = useRef(0);
+
+  /**
+   * Validates files and hands the good ones over
+   */
+  const acceptFiles = (files, options = {}) => {
+    const { valid, errors: rejected } = partitionImageFiles(files, maxBytes);
+    setErrors(rejected);
+    if (valid.length > 0) onFiles(valid, options);
+  };
+
+  /**
+   * Downloads an image URL and hands it over
+   */
+  const acceptUrl = async (url) => {
+    setIsFetching(true);
+    try {
+      acceptFiles([await fetchImageFile(url)]);
+    } catch (error) {
+      console.error("Error fetching dropped image:", error);
+      setErrors([{ reason: ERROR_DOWNLOAD, status: error.status }]);
+    } finally {
+      setIsFetching(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    let files = Array.from(e.target.files || []);
+    const labelled = e.target === labelledInputRef.current;
+
+    // Folders can contain anything, skip non-images without complaining
+    if (e.target === folderInputRef.current || labelled) {
+      files = files.filter((file) => file.type.startsWith("image/"));
+    }
+
+    // Allow picking the same files again later
+    e.target.value = "";
+
+    if (files.length > 0) acceptFiles(files, { labelled });
+  };
+
+  const handleDragEnter = (e) => {
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    dragDepthRef.current -= 1;
+    if (dragDepthRef.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDragging(false);
+
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length > 0) {
+      acceptFiles(files);
+      return;
+    }
+
+    const url = getTransferUrl(e.dataTransfer);
+    if (url) {
+      acceptUrl(url);
+    } else {
+      setErrors([{ reason: ERROR_DROP }]);
+    }
+  };
+
+  // Paste images (or image links) anywhere on the page while mounted
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (isEditable(e.target)) return;
+
+      const files = Array.from(e.clipboardData.items)
+        .filter((item) => item.kind === "file")
+        .map((item) => item.getAsFile())
+        .filter(Boolean);
+
+      if (files.length > 0) {
+        e.preventDefault();
+        acceptFiles(files);
+        return;
+      }
+
+      const url = getTransferUrl(e.clipboardData);
+      if (url) {
+        e.preventDefault();
+        acceptUrl(url);
+      }
+    };
+
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+  });
+
+  // Stop the browser from opening images dropped next to the zone
+  useEffect(() => {
+    const preventNavigation = (e) => e.preventDefault();
+    window.addEventListener("dragover", preventNavigation);
+    window.addEventListener("drop", preventNavigation);
+    return () => {
+      window.removeEventListener("dragover", preventNavigation);
+      window.removeEventListener("drop", preventNavigation);
+    };
+  }, []);
+
+  return (
+    <div
+      className={`relative border-2 border-dashed rounded-xl p-8 cursor-pointer transition-colors h-[400px] flex items-center justify-center ${
+        isDragging
+          ? "border-emerald-500 bg-emerald-100"
+          : "border-emerald-200 bg-gradient-to-r from-emerald-50 to-teal-50 hover:border-emerald-300"
+      }`}
+      onClick={() => fileInputRef.current.click()}
+      onDragEnter={handleDragEnter}
+      onDragOver={(e) => e.preventDefault()}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*,.heic,.heif"
+        aria-label={t("upload.chooseImages")}
+        multiple
+        onChange={handleInputChange}
+        onClick={(e) => e.stopPropagation()}
+        className="hidden"
+      />
+      <input
+        ref={folderInputRef}
+        type="file"
+        webkitdirectory=""
+        directory=""
+        onChange={handleInputChange}
+        onClick={(e) => e.stopPropagation()}
+        className="hidden"
+      />
+      <input
+        ref={labelledInputRef}
+        type="file"
+        webkitdirectory=""
+        directory=""
+        onChange={handleInputChange}
+        onClick={(e) => e.stopPropagation()}
+        className="hidden"
+      />
+      <div className="flex flex-col items-center justify-center text-center">
+        <div className="w-20 h-20 rounded-full bg-white flex items-center justify-center mb-4 shadow-md">
+          {isFetching ? (
+            <Loader2 className="w-10 h-10 text-emerald-500 animate-spin" />
+          ) : (
+            <Upload className="w-10 h-10 text-emerald-500" />
+          )}
+        </div>
+        <h3 className="text-lg font-semibold text-emerald-800 mb-2">
+          {isDragging ? t("upload.dropTitle") : t("upload.title")}
+        </h3>
+        <p className="text-gray-600 mb-4">{t("upload.hint")}</p>
+
+        {errors.length > 0 && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 flex items-start text-left max-w-sm">
+            <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
+            <ul className="text-sm">
+              {errors
+                .slice(0, 3)
+                .map(({ reason, name, limit, status }, index) => (
+                  <li key={index}>
+                    {reason === ERROR_DOWNLOAD && status
+                      ? t("upload.errors.downloadStatus", { status })
+                      : t(`upload.errors.${reason}`, {
+                          name: name || t("upload.errors.unnamed"),
+                          limit,
+                        })}
+                  </li>
+                ))}
+              {errors.length > 3 && (
+                <li>{t("upload.errors.more", { count: errors.length - 3 })}</li>
+              )}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex flex-wrap justify-center gap-3">
+          <button className="px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-teal-600 text-white font-medium rounded-full cursor-pointer text-base hover:shadow-lg hover:shadow-emerald-200 transition-all duration-300 active:scale-95 flex items-center">
+            <FileUp className="w-5 h-5 mr-2" />
+            {t("upload.selectImages")}
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              folderInputRef.current.click();
+            }}
+            className="px-5 py-2.5 bg-white border border-emerald-200 text-emerald-700 font-medium rounded-full cursor-pointer text-base hover:shadow-lg hover:shadow-emerald-100 transition-all duration-300 active:scale-95 flex items-center"
+          >
+            <FolderOpen className="w-5 h-5 mr-2" />
+            {t("upload.selectFolder")}
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              labelledInputRef.current.click();
+            }}
+            title={t("upload.labelledHint")}
+            className="px-5 py-2.5 bg-white border border-emerald-200 text-emerald-700 font-medium rounded-full cursor-pointer text-base hover:shadow-lg hover:shadow-emerald-100 transition-all duration-300 active:scale-95 flex items-center"
+          >
+            <Tags className="w-5 h-5 mr-2" />
+            {t("upload.labelledFolder")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadZone;
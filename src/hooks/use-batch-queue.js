@@ -0,0 +1,157 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { toClassifierError } from "../lib/classifier-errors";
+
+// Batch item statuses
+export const STATUS_QUEUED = "queued";
+export const STATUS_UPLOADING = "uploading";
+export const STATUS_CLASSIFYING = "classifying";
+export const STATUS_DONE = "done";
+export const STATUS_ERROR = "error";
+
+let nextItemId = 1;
+
+/**
+ * useBatchQueue Hook
+ *
+ * Classifies many files with at most `concurrency` requests in flight.
+ * `classify(file, { onUploadProgress, label })` must resolve with a result
+ * or reject; each item tracks its own status, upload progress and outcome.
+ * `label` is the item's true class for labelled folder uploads, or null.
+ */
+const useBatchQueue = (classify, concurrency) => {
+  const [items, setItems] = useState([]);
+
+  const pendingRef = useRef([]);
+  const activeRef = useRef(0);
+
+  // Keep the latest callback and limit without restarting running tasks
+  const classifyRef = useRef(classify);
+  const concurrencyRef = useRef(concurrency);
+  classifyRef.current = classify;
+  concurrencyRef.current = concurrency;
+
+  const updateItem = (id, changes) =>
+    setItems((current) =>
+      current.map((item) => (item.id === id ? { ...item, ...changes } : item))
+    );
+
+  const pump = useCallback(() => {
+    while (
+      activeRef.current < concurrencyRef.current &&
+      pendingRef.current.length > 0
+    ) {
+      const { id, file, label } = pendingRef.current.shift();
+      activeRef.current += 1;
+      updateItem(id, { status: STATUS_UPLOADING, progress: 0 });
+
+      classifyRef
+        .current(file, {
+          label,
+          onUploadProgress: (event) => {
+            const progress = event.total ? event.loaded / event.total : 0;
+            updateItem(id, {
+              progress,
+              status: progress >= 1 ? STATUS_CLASSIFYING : STATUS_UPLOADING,
+            });
+          },
+        })
+        .then((result) =>
+          updateItem(id, { status: STATUS_DONE, progress: 1, result })
+        )
+        .catch((e) => {
+          const { kind, message } = toClassifierError(e);
+          updateItem(id, {
+            status: STATUS_ERROR,
+            error: message,
+            errorKind: kind,
+          });
+        })
+        .finally(() => {
+          activeRef.current -= 1;
+          pump();
+        });
+    }
+  }, []);
+
+  const enqueue = useCallback(
+    (item) => {
+      pendingRef.current.push(item);
+      pump();
+    },
+    [pump]
+  );
+
+  /**
+   * Adds files to the end of the queue, optionally with their true class
+   * from `getLabel(file)`
+   */
+  const addFiles = useCallback(
+    (files, getLabel = null) => {
+      const added = files.map((file) => ({
+        id: nextItemId++,
+        file,
+        label: getLabel ? getLabel(file) : null,
+        name: file.webkitRelativePath || file.name,
+        url: URL.createObjectURL(file),
+        status: STATUS_QUEUED,
+        progress: 0,
+        result: null,
+        error: null,
+        errorKind: null,
+      }));
+
+      setItems((current) => [...current, ...added]);
+      added.forEach(enqueue);
+    },
+    [enqueue]
+  );
+
+  /**
+   * Re-queues failed items, or only the one with `id` when given
+   */
+  const retry = useCallback(
+    (id = null) => {
+      const failed = items.filter(
+        (item) =>
+          item.status === STATUS_ERROR && (id === null || item.id === id)
+      );
+
+      failed.forEach((item) => {
+        updateItem(item.id, {
+          status: STATUS_QUEUED,
+          error: null,
+          errorKind: null,
+        });
+        enqueue(item);
+      });
+    },
+    [items, enqueue]
+  );
+
+  /**
+   * Drops every item that is no longer queued or running
+   */
+  const clear = useCallback(() => {
+    setItems((current) =>
+      current.filter((item) => {
+        const finished =
+          item.status === STATUS_DONE || item.status === STATUS_ERROR;
+        if (finished) URL.revokeObjectURL(item.url);
+        return !finished;
+      })
+    );
+  }, []);
+
+  // Release object URLs on unmount
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  useEffect(
+    () => () =>
+      itemsRef.current.forEach((item) => URL.revokeObjectURL(item.url)),
+    []
+  );
+
+  return { items, addFiles, retry, clear };
+};
+
+export default useBatchQueue;
@@ -0,0 +1,312 @@
+import { useState, useRef, useEffect } from "react";
+import {
+  loadCameraPreferences,
+  saveCameraPreferences,
+  buildVideoConstraints,
+  listCameras,
+  getTrackFeatures,
+} from "../lib/camera";
+import { boxToPixels } from "../lib/image-edit";
+import { dataURLtoBlob } from "../lib/image-utils";
+
+/**
+ * useCamera Hook
+ *
+ * Owns the camera stream: starting and stopping it, the remembered camera
+ * choice, torch and zoom, and following cameras being plugged in or
+ * removed. Attach `videoRef` to a <video> and `canvasRef` to the <canvas>
+ * that receives captures. The camera starts on its own whenever `active`
+ * becomes true, and `capture(region)` copies a region of the current
+ * frame to the canvas and returns it as a JPEG Blob.
+ */
+const useCamera = ({ active = true } = {}) => {
+  const [stream, setStream] = useState(null);
+  const [error, setError] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [cameras, setCameras] = useState([]);
+  const [preferences, setPreferences] = useState(loadCameraPreferences);
+  const [features, setFeatures] = useState(getTrackFeatures(null));
+  const [torchOn, setTorchOn] = useState(false);
+
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  /**
+   * Starts the camera with the given (or remembered) preferences
+   */
+  const start = async (nextPreferences = preferences) => {
+    try {
+      setError(null);
+      setReady(false);
+
+      console.log("Starting camera...");
+
+      // First check if getUserMedia is supported
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        throw new Error("Camera API is not supported in your browser");
+      }
+
+      // Try the preferred camera and resolution first
+      let mediaStream;
+      try {
+        mediaStream = await navigator.mediaDevices.getUserMedia({
+          video: buildVideoConstraints(nextPreferences),
+          audio: false,
+        });
+      } catch (e) {
+        console.warn("Failed with preferred constraints, trying fallback:", e);
+        // Fallback to whatever camera the browser picks
+        mediaStream = await navigator.mediaDevices.getUserMedia({
+          video: true,
+          audio: false,
+        });
+      }
+
+      console.log("Camera stream obtained:", mediaStream);
+      setStream(mediaStream);
+
+      const [track] = mediaStream.getVideoTracks();
+      setFeatures(getTrackFeatures(track));
+      setTorchOn(false);
+
+      // Device labels are only available once permission is granted
+      setCameras(await listCameras());
+    } catch (e) {
+      console.error("Error accessing camera:", e);
+      setError(e.message || "Failed to access camera");
+    }
+  };
+
+  /**
+   * Stops the camera
+   */
+  const stop = () => {
+    console.log("Stopping camera...");
+    if (stream) {
+      const tracks = stream.getTracks();
+      tracks.forEach((track) => {
+        console.log("Stopping track:", track.kind);
+        track.stop();
+      });
+      setStream(null);
+      setReady(false);
+
+      // Clear video source
+      if (videoRef.current) {
+        videoRef.current.srcObject = null;
+      }
+    }
+  };
+
+  /**
+   * Remembers a new camera choice and restarts the camera with it
+   */
+  const changePreferences = (nextPreferences) => {
+    setPreferences(nextPreferences);
+    saveCameraPreferences(nextPreferences);
+
+    if (stream) {
+      // Release the current camera first, some devices only open one at a time
+      stream.getTracks().forEach((track) => track.stop());
+      start(nextPreferences);
+    }
+  };
+
+  /**
+   * Switches the torch of the active camera
+   */
+  const changeTorch = async (on) => {
+    const [track] = stream ? stream.getVideoTracks() : [];
+    if (!track) return;
+
+    try {
+      await track.applyConstraints({ advanced: [{ torch: on }] });
+      setTorchOn(on);
+    } catch (e) {
+      console.error("Error switching torch:", e);
+    }
+  };
+
+  /**
+   * Sets the zoom level of the active camera
+   */
+  const changeZoom = async (zoom) => {
+    const [track] = stream ? stream.getVideoTracks() : [];
+    if (!track) return;
+
+    try {
+      await track.applyConstraints({ advanced: [{ zoom }] });
+      setFeatures((current) => ({
+        ...current,
+        zoom: { ...current.zoom, value: zoom },
+      }));
+    } catch (e) {
+      console.error("Error setting zoom:", e);
+    }
+  };
+
+  /**
+   * Copies `region` (fractions of the frame) of the current video frame to
+   * the canvas and returns it as a JPEG Blob, or null when the camera is
+   * not ready
+   */
+  const capture = (region) => {
+    console.log("Capturing image...");
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!video || !canvas) {
+      console.error("Video or canvas ref is null");
+      return null;
+    }
+
+    // Ensure video is playing and has dimensions
+    if (video.paused || video.videoWidth === 0) {
+      console.error("Video is not ready for capture");
+      return null;
+    }
+
+    const context = canvas.getContext("2d");
+    if (!context) {
+      console.error("Could not get canvas context");
+      return null;
+    }
+
+    // Set canvas dimensions to match the captured region
+    const pixels = boxToPixels(region, video.videoWidth, video.videoHeight);
+    console.log("Video dimensions:", video.videoWidth, "x", video.videoHeight);
+
+    canvas.width = pixels.width;
+    canvas.height = pixels.height;
+
+    try {
+      context.drawImage(
+        video,
+        pixels.x,
+        pixels.y,
+        pixels.width,
+        pixels.height,
+        0,
+        0,
+        pixels.width,
+        pixels.height
+      );
+
+      // High quality here, the preprocessing step re-encodes the image
+      const blob = dataURLtoBlob(canvas.toDataURL("image/jpeg", 0.95));
+      console.log("Image captured:", blob.size, "bytes");
+      return blob;
+    } catch (e) {
+      console.error("Error capturing image:", e);
+      return null;
+    }
+  };
+
+  /**
+   * Clears the capture canvas
+   */
+  const clear = () => {
+    const canvas = canvasRef.current;
+    const context = canvas?.getContext("2d");
+    if (!context) return;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+  };
+
+  // Clean up camera on unmount
+  useEffect(() => {
+    return () => {
+      if (stream) {
+        const tracks = stream.getTracks();
+        tracks.forEach((track) => track.stop());
+      }
+    };
+  }, [stream]);
+
+  // Attach the stream to the video element, which only exists while the
+  // camera view is shown
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!stream || !video) return;
+
+    console.log("Setting video source...");
+    video.srcObject = stream;
+
+    // Add event listeners to detect when video is ready
+    video.onloadedmetadata = () => {
+      console.log("Video metadata loaded");
+      video
+        .play()
+        .then(() => {
+          console.log("Video playing successfully");
+          setReady(true);
+        })
+        .catch((e) => {
+          console.error("Error playing video:", e);
+          setError("Failed to play video stream: " + e.message);
+        });
+    };
+
+    video.onerror = (e) => {
+      console.error("Video element error:", e);
+      setError("Video element error: " + (e.message || "Unknown error"));
+    };
+  }, [stream, active]);
+
+  // Follow cameras being plugged in or removed
+  useEffect(() => {
+    if (!navigator.mediaDevices?.addEventListener) return;
+
+    const handleDeviceChange = async () => {
+      const available = await listCameras();
+      setCameras(available);
+
+      // Fall back to the default camera if ours disappeared, the saved
+      // choice is kept for when it comes back
+      const activeId = features.deviceId;
+      if (
+        stream &&
+        activeId &&
+        !available.some((camera) => camera.deviceId === activeId)
+      ) {
+        console.warn("Active camera was disconnected, switching camera");
+        stream.getTracks().forEach((track) => track.stop());
+        start({ ...preferences, deviceId: null });
+      }
+    };
+
+    navigator.mediaDevices.addEventListener("devicechange", handleDeviceChange);
+    return () =>
+      navigator.mediaDevices.removeEventListener(
+        "devicechange",
+        handleDeviceChange
+      );
+  });
+
+  // Auto-start the camera when it becomes active
+  useEffect(() => {
+    if (active && !stream) {
+      start();
+    }
+  }, [active]);
+
+  return {
+    videoRef,
+    canvasRef,
+    stream,
+    error,
+    ready,
+    cameras,
+    preferences,
+    features,
+    torchOn,
+    start,
+    stop,
+    changePreferences,
+    changeTorch,
+    changeZoom,
+    capture,
+    clear,
+  };
+};
+
+export default useCamera;
@@ -0,0 +1,128 @@
+import { renderHook, waitFor, act } from "@testing-library/react";
+import useCamera from "./use-camera";
+import { FULL_BOX } from "../lib/image-edit";
+import { mockCamera, mockVideoPlayback } from "../test-utils";
+
+/**
+ * Renders the hook with a real <video> and <canvas> attached
+ */
+const renderCamera = (options) => {
+  const view = renderHook(() => useCamera(options));
+  view.result.current.videoRef.current = document.createElement("video");
+  view.result.current.canvasRef.current = document.createElement("canvas");
+  return view;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+it("starts the camera when active", async () => {
+  const { stream, getUserMedia } = mockCamera();
+
+  const { result } = renderHook(() => useCamera({ active: true }));
+
+  await waitFor(() => expect(result.current.stream).toBe(stream));
+  expect(getUserMedia).toHaveBeenCalledTimes(1);
+  expect(result.current.features.deviceId).toBe("back-camera");
+  expect(result.current.cameras).toEqual([
+    { deviceId: "back-camera", label: "Back" },
+  ]);
+});
+
+it("waits until it becomes active", () => {
+  const { getUserMedia } = mockCamera();
+
+  renderHook(() => useCamera({ active: false }));
+
+  expect(getUserMedia).not.toHaveBeenCalled();
+});
+
+it("falls back to any camera when the preferred one fails", async () => {
+  const { stream, getUserMedia } = mockCamera();
+  getUserMedia
+    .mockRejectedValueOnce(new Error("OverconstrainedError"))
+    .mockResolvedValueOnce(stream);
+
+  const { result } = renderHook(() => useCamera());
+
+  await waitFor(() => expect(result.current.stream).toBe(stream));
+  expect(getUserMedia).toHaveBeenLastCalledWith({ video: true, audio: false });
+});
+
+it("reports a denied permission", async () => {
+  mockCamera({ error: new Error("Permission denied") });
+
+  const { result } = renderHook(() => useCamera());
+
+  await waitFor(() => expect(result.current.error).toBe("Permission denied"));
+  expect(result.current.stream).toBeNull();
+});
+
+it("reports browsers without a camera API", async () => {
+  Object.defineProperty(navigator, "mediaDevices", {
+    configurable: true,
+    value: undefined,
+  });
+
+  const { result } = renderHook(() => useCamera());
+
+  await waitFor(() =>
+    expect(result.current.error).toBe(
+      "Camera API is not supported in your browser"
+    )
+  );
+});
+
+it("stops every track", async () => {
+  const { track } = mockCamera();
+  const { result } = renderHook(() => useCamera());
+  await waitFor(() => expect(result.current.stream).not.toBeNull());
+
+  act(() => result.current.stop());
+
+  expect(track.stop).toHaveBeenCalled();
+  expect(result.current.stream).toBeNull();
+});
+
+describe("capture", () => {
+  let restoreVideo = () => {};
+  afterEach(() => restoreVideo());
+
+  it("copies the region of the frame to the canvas as a JPEG", () => {
+    mockCamera();
+    restoreVideo = mockVideoPlayback({ width: 640, height: 480 });
+    const { result } = renderCamera({ active: false });
+
+    const blob = result.current.capture({
+      x: 0.25,
+      y: 0.25,
+      width: 0.5,
+      height: 0.5,
+    });
+
+    const canvas = result.current.canvasRef.current;
+    expect(blob.type).toBe("image/jpeg");
+    expect(canvas.width).toBe(320);
+    expect(canvas.height).toBe(240);
+    expect(canvas.getContext("2d").drawImage).toHaveBeenCalledWith(
+      result.current.videoRef.current,
+      160,
+      120,
+      320,
+      240,
+      0,
+      0,
+      320,
+      240
+    );
+  });
+
+  it("returns null while the video has no frame", () => {
+    mockCamera();
+    const { result } = renderCamera({ active: false });
+
+    expect(result.current.capture(FULL_BOX)).toBeNull();
+  });
+});
@@ -0,0 +1,212 @@
+import { useState, useMemo, useEffect } from "react";
+import { getClassifierConfig } from "../lib/classifier-config";
+import { createClassifierProvider } from "../lib/classifier-providers";
+import { pickBestPrediction } from "../lib/predictions";
+import { preprocessImage, isHeic } from "../lib/preprocess";
+import {
+  toClassifierError,
+  isRetryable,
+  ERROR_CANCELLED,
+} from "../lib/classifier-errors";
+import { retryWithBackoff } from "../lib/retry";
+import { assessImageQuality } from "../lib/quality";
+import { createComparisonModels, runComparison } from "../lib/model-comparison";
+import { createDetectionProvider } from "../lib/detection-providers";
+import {
+  getDetectionOptions,
+  selectLeaves,
+  cropLeaves,
+} from "../lib/leaf-detection";
+
+/**
+ * useClassifier Hook
+ *
+ * Sets up the classification backends from the runtime configuration,
+ * with `config` as overrides read once on mount, and returns the steps
+ * every image goes through: preprocessing, quality checks, classification
+ * with the threshold `settings` applied, and the optional model comparison
+ * and per-leaf detection. Holds no result state, so any UI can call it.
+ */
+const useClassifier = ({ config, settings }) => {
+  const [classifierConfig] = useState(() => getClassifierConfig(config));
+
+  // The configured backend and, when a model is configured, on-device
+  // inference
+  const provider = useMemo(
+    () => createClassifierProvider(classifierConfig),
+    [classifierConfig]
+  );
+  const localProvider = useMemo(
+    () =>
+      classifierConfig.localModel
+        ? createClassifierProvider({ ...classifierConfig, provider: "local" })
+        : null,
+    [classifierConfig]
+  );
+  // Model endpoints compared side by side, when configured
+  const comparisonModels = useMemo(
+    () => createComparisonModels(classifierConfig),
+    [classifierConfig]
+  );
+  // Leaf detector for multi-leaf images, when configured
+  const detectionProvider = useMemo(
+    () => createDetectionProvider(classifierConfig),
+    [classifierConfig]
+  );
+  const detectionOptions = useMemo(
+    () => getDetectionOptions(classifierConfig),
+    [classifierConfig]
+  );
+
+  const comparisonAvailable = comparisonModels.length >= 2;
+
+  /**
+   * Picks the backend for the next request from the engine setting and
+   * the connection state
+   */
+  const pickProvider = () => {
+    if (!localProvider) return provider;
+    if (settings.inferenceEngine === "local") return localProvider;
+    if (settings.inferenceEngine === "auto" && !navigator.onLine) {
+      return localProvider;
+    }
+    return provider;
+  };
+
+  /**
+   * Classifies an image and applies the threshold settings
+   *
+   * Retryable failures are tried again with backoff; `options.onRetry`
+   * is told about each new attempt.
+   */
+  const classifyBlob = async (blob, { onRetry, ...options } = {}) => {
+    const engine = pickProvider();
+    const predictions = await retryWithBackoff(
+      () => engine.classify(blob, options),
+      {
+        retries: classifierConfig.retries,
+        baseDelay: classifierConfig.retryDelay,
+        shouldRetry: (error) => isRetryable(error) && navigator.onLine,
+        onRetry,
+        signal: options.signal,
+      }
+    );
+    return {
+      ...pickBestPrediction(predictions, settings),
+      predictions,
+      engine: engine.name,
+      fileName: blob.name || "capture.jpeg",
+      createdAt: Date.now(),
+    };
+  };
+
+  /**
+   * Sends the image to every comparison model when comparison mode is on
+   *
+   * Resolves with null when it is off.
+   */
+  const compareImage = (blob, options) =>
+    comparisonAvailable && settings.compareModels
+      ? runComparison(blob, comparisonModels, settings, options)
+      : Promise.resolve(null);
+
+  /**
+   * Finds the leaves in an image and classifies each crop on its own
+   *
+   * Resolves with `[{ box, class, confidence, ... }]`, or null when leaf
+   * detection is off or failed; the whole-image result still stands then.
+   */
+  const classifyLeaves = async (blob, options = {}) => {
+    if (!detectionProvider || !settings.detectLeaves) return null;
+    try {
+      const detections = await detectionProvider.detect(blob, {
+        signal: options.signal,
+      });
+      const boxes = selectLeaves(detections, detectionOptions);
+      const crops = await cropLeaves(blob, boxes, detectionOptions);
+      const leaves = [];
+      // One crop at a time, like a batch with a single slot
+      for (const [index, crop] of crops.entries()) {
+        const leaf = await classifyBlob(crop, {
+          ...options,
+          leafToken: detections.leafToken,
+        });
+        leaves.push({
+          box: boxes[index],
+          class: leaf.class,
+          confidence: leaf.confidence,
+          lowConfidence: leaf.lowConfidence,
+          predictions: leaf.predictions,
+        });
+      }
+      return leaves;
+    } catch (e) {
+      const error = toClassifierError(e);
+      if (error.kind === ERROR_CANCELLED) throw error;
+      console.warn("Could not classify the individual leaves:", error);
+      return null;
+    }
+  };
+
+  /**
+   * Runs the preprocessing pipeline configured in the settings
+   *
+   * Resolves with null when the image goes out untouched. HEIC photos are
+   * always converted, since most backends cannot read them.
+   */
+  const prepareImage = (blob) => {
+    if (settings.preprocess) {
+      return preprocessImage(blob, {
+        maxSize: settings.preprocessMaxSize,
+        format: settings.preprocessFormat,
+        quality: settings.preprocessQuality,
+        squareCrop: settings.preprocessSquareCrop,
+      });
+    }
+    if (isHeic(blob)) {
+      return preprocessImage(blob, { quality: 0.92 });
+    }
+    return Promise.resolve(null);
+  };
+
+  /**
+   * Measures the image quality when the checks are enabled
+   *
+   * Resolves with null when they are off or the image can't be measured,
+   * which never blocks sending.
+   */
+  const checkQuality = async (blob) => {
+    if (!settings.qualityChecks) return null;
+    try {
+      return await assessImageQuality(blob);
+    } catch (error) {
+      console.warn("Could not measure image quality:", error);
+      return null;
+    }
+  };
+
+  // Load the on-device model ahead of time so it is ready when offline
+  useEffect(() => {
+    if (localProvider && settings.inferenceEngine !== "remote") {
+      localProvider
+        .load()
+        .catch((e) => console.error("Error loading local model:", e));
+    }
+  }, [localProvider, settings.inferenceEngine]);
+
+  return {
+    config: classifierConfig,
+    localModelAvailable: Boolean(localProvider),
+    comparisonModels,
+    comparisonAvailable,
+    detectionAvailable: Boolean(detectionProvider),
+    pickProvider,
+    classifyBlob,
+    compareImage,
+    classifyLeaves,
+    prepareImage,
+    checkQuality,
+  };
+};
+
+export default useClassifier;
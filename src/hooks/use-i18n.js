@@ -0,0 +1,23 @@
+import { createContext, useContext, useMemo } from "react";
+import { createI18n, loadLocale } from "../lib/i18n";
+
+export const I18nContext = createContext(null);
+
+/**
+ * useI18n Hook
+ *
+ * Returns the translation and formatting functions of the current
+ * language (see lib/i18n.js) plus `setLocale` to switch it. Outside an
+ * I18nProvider it follows the saved or browser language and `setLocale`
+ * is null.
+ */
+const useI18n = () => {
+  const context = useContext(I18nContext);
+  const fallback = useMemo(
+    () => (context ? null : { ...createI18n(loadLocale()), setLocale: null }),
+    [context]
+  );
+  return context || fallback;
+};
+
+export default useI18n;
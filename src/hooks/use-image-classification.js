@@ -0,0 +1,183 @@
+import { useState, useRef, useEffect } from "react";
+import { toClassifierError, ERROR_CANCELLED } from "../lib/classifier-errors";
+import { isConnectionError } from "../lib/offline-queue";
+
+/**
+ * useImageClassification Hook
+ *
+ * Runs single images through the steps of a `useClassifier` instance and
+ * keeps what the results panel shows: the result, the loading and retry
+ * state, the last error and a quality warning for images held back as
+ * too poor. A new request cancels the one in flight, so a slow earlier
+ * answer can never replace the result of a newer image.
+ *
+ * `onResult(result, { file, image })` is called with every result, where
+ * `image` is the preprocessed Blob that was sent. `onError(error, file)`
+ * is called with every failure except cancellations. When `onOffline` is
+ * given, connection errors are handed to `onOffline(image, metadata)`
+ * instead of being reported.
+ */
+const useImageClassification = (
+  classifier,
+  { onResult, onError, onOffline } = {}
+) => {
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [retryAttempt, setRetryAttempt] = useState(0);
+  // { error, file } for the last failed classification
+  const [error, setError] = useState(null);
+  // { issues, file, ...metrics } for an image held back as too poor
+  const [qualityWarning, setQualityWarning] = useState(null);
+  // Output of the preprocessing pipeline for the image being shown
+  const [processed, setProcessed] = useState(null);
+
+  // Id and AbortController of the latest classification request
+  const requestRef = useRef({ id: 0, controller: null });
+  const callbacksRef = useRef({ onResult, onError, onOffline });
+  callbacksRef.current = { onResult, onError, onOffline };
+
+  /**
+   * Classifies an image
+   *
+   * `metadata` (a value or a promise) is merged into the result. Images
+   * failing the quality checks are held back unless `skipQualityCheck`
+   * is set.
+   */
+  const classify = async (
+    file,
+    { skipQualityCheck = false, metadata = null } = {}
+  ) => {
+    requestRef.current.controller?.abort();
+    const controller = new AbortController();
+    const requestId = ++requestRef.current.id;
+    requestRef.current.controller = controller;
+    const isCurrent = () => requestRef.current.id === requestId;
+
+    setIsLoading(true);
+    setRetryAttempt(0);
+    setError(null);
+    setQualityWarning(null);
+
+    let image = file;
+    let resolvedMetadata = null;
+    try {
+      let output;
+      [output, resolvedMetadata] = await Promise.all([
+        classifier.prepareImage(file),
+        metadata,
+      ]);
+      if (!isCurrent()) return;
+      if (output) {
+        image = output.blob;
+        setProcessed({ ...output, url: URL.createObjectURL(output.blob) });
+      } else {
+        setProcessed(null);
+      }
+
+      // Check the image before spending a request on it
+      const quality = await classifier.checkQuality(image);
+      if (!isCurrent()) return;
+      if (quality?.issues.length > 0 && !skipQualityCheck) {
+        setResult(null);
+        setQualityWarning({ ...quality, file });
+        return;
+      }
+
+      const [classified, comparison, leaves] = await Promise.all([
+        classifier.classifyBlob(image, {
+          signal: controller.signal,
+          onRetry: (attempt) => isCurrent() && setRetryAttempt(attempt),
+        }),
+        classifier.compareImage(image, { signal: controller.signal }),
+        classifier.classifyLeaves(image, { signal: controller.signal }),
+      ]);
+      if (!isCurrent()) return;
+      const nextResult = {
+        ...classified,
+        quality,
+        comparison,
+        leaves,
+        ...resolvedMetadata,
+      };
+
+      console.log("Best Prediction:", nextResult);
+      setResult(nextResult);
+      callbacksRef.current.onResult?.(nextResult, { file, image });
+    } catch (e) {
+      if (!isCurrent()) return;
+
+      const classifierError = toClassifierError(e);
+      const { onError, onOffline } = callbacksRef.current;
+      setResult(null);
+      if (classifierError.kind === ERROR_CANCELLED) {
+        // Cancelled by the user, nothing to report
+      } else if (onOffline && isConnectionError(classifierError)) {
+        // Keep the image and classify it once the connection returns
+        onOffline(image, resolvedMetadata);
+      } else {
+        console.error("Error analyzing image:", classifierError);
+        setError({ error: classifierError, file });
+        onError?.(classifierError, file);
+      }
+    } finally {
+      if (isCurrent()) {
+        requestRef.current.controller = null;
+        setIsLoading(false);
+      }
+    }
+  };
+
+  /**
+   * Aborts the classification in flight. Whatever it still answers, even
+   * from a step that cannot be aborted, is ignored from then on.
+   */
+  const cancel = () => {
+    requestRef.current.controller?.abort();
+    requestRef.current.controller = null;
+    requestRef.current.id += 1;
+    setIsLoading(false);
+    setRetryAttempt(0);
+    setResult(null);
+  };
+
+  /**
+   * Cancels any request and clears the result, error and warning
+   */
+  const reset = () => {
+    cancel();
+    setResult(null);
+    setError(null);
+    setQualityWarning(null);
+    setProcessed(null);
+  };
+
+  /**
+   * Shows an already classified result in place of the current one
+   */
+  const show = (storedResult) => {
+    reset();
+    setResult(storedResult);
+  };
+
+  // Release the processed image once it is replaced
+  useEffect(() => {
+    return () => processed && URL.revokeObjectURL(processed.url);
+  }, [processed]);
+
+  return {
+    result,
+    setResult,
+    isLoading,
+    retryAttempt,
+    error,
+    dismissError: () => setError(null),
+    qualityWarning,
+    processed,
+    classify,
+    cancel,
+    reset,
+    show,
+  };
+};
+
+export default useImageClassification;
@@ -0,0 +1,89 @@
+import { renderHook, act, waitFor } from "@testing-library/react";
+import useImageClassification from "./use-image-classification";
+
+const STORED = { class: "healthy", confidence: 0.9 };
+const QUALITY_ISSUES = { issues: ["blurry"], sharpness: 1 };
+
+/**
+ * Returns a promise with its resolve and reject functions
+ */
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+/**
+ * A classifier whose quality check and classification wait for the test
+ */
+const createClassifier = () => {
+  const quality = deferred();
+  const classification = deferred();
+  return {
+    quality,
+    classification,
+    prepareImage: () => Promise.resolve(null),
+    checkQuality: () => quality.promise,
+    classifyBlob: (image, { signal }) => {
+      signal.addEventListener("abort", () =>
+        classification.reject(new DOMException("Aborted", "AbortError"))
+      );
+      return classification.promise;
+    },
+    compareImage: () => Promise.resolve(null),
+    classifyLeaves: () => Promise.resolve(null),
+  };
+};
+
+const leafFile = () => new File(["leaf"], "leaf.jpeg", { type: "image/jpeg" });
+
+it("keeps a reopened result when the pending request is aborted", async () => {
+  const classifier = createClassifier();
+  const { result } = renderHook(() => useImageClassification(classifier));
+
+  act(() => {
+    result.current.classify(leafFile());
+  });
+  await act(async () => classifier.quality.resolve({ issues: [] }));
+  expect(result.current.isLoading).toBe(true);
+
+  act(() => result.current.show(STORED));
+  await act(() => classifier.classification.promise.catch(() => {}));
+
+  expect(result.current.result).toBe(STORED);
+  expect(result.current.isLoading).toBe(false);
+  expect(result.current.error).toBeNull();
+});
+
+it("ignores a quality check that finishes after a result was reopened", async () => {
+  const classifier = createClassifier();
+  const { result } = renderHook(() => useImageClassification(classifier));
+
+  act(() => {
+    result.current.classify(leafFile());
+  });
+  act(() => result.current.show(STORED));
+  await act(async () => classifier.quality.resolve(QUALITY_ISSUES));
+
+  expect(result.current.result).toBe(STORED);
+  expect(result.current.qualityWarning).toBeNull();
+  expect(result.current.isLoading).toBe(false);
+});
+
+it("shows the result of the current request", async () => {
+  const classifier = createClassifier();
+  const { result } = renderHook(() => useImageClassification(classifier));
+
+  act(() => {
+    result.current.classify(leafFile());
+  });
+  await act(async () => classifier.quality.resolve({ issues: [] }));
+  await act(async () => classifier.classification.resolve(STORED));
+
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+  expect(result.current.result).toMatchObject(STORED);
+});
@@ -0,0 +1,35 @@
+import { useState, useEffect } from "react";
+import { getHistoryEntries } from "../lib/history-store";
+
+/**
+ * useLabelledEntries Hook
+ *
+ * Loads the history entries that have a ground-truth label, again
+ * whenever `refreshKey` changes. Nothing is read while `enabled` is false.
+ * `error` is the Error of the last failed read, or null.
+ */
+const useLabelledEntries = (refreshKey, enabled = true) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    setIsLoading(true);
+    getHistoryEntries()
+      .then((loaded) => {
+        setEntries(loaded.filter((entry) => entry.groundTruth));
+        setError(null);
+      })
+      .catch((e) => {
+        console.error("Error loading labelled entries:", e);
+        setError(e);
+      })
+      .finally(() => setIsLoading(false));
+  }, [refreshKey, enabled]);
+
+  return { entries, isLoading, error };
+};
+
+export default useLabelledEntries;
@@ -0,0 +1,161 @@
+import { useState, useRef, useEffect } from "react";
+import { pickBestPrediction, UNDEFINED_CLASS } from "../lib/predictions";
+import { FULL_BOX, boxToPixels } from "../lib/image-edit";
+
+// Longest side of the frames sent in live mode
+const LIVE_FRAME_SIZE = 640;
+
+/**
+ * Grabs `region` of the current video frame as a JPEG Blob, downscaled
+ * for speed
+ */
+const grabFrame = (video, canvas, region) =>
+  new Promise((resolve) => {
+    const source = boxToPixels(region, video.videoWidth, video.videoHeight);
+    const scale = Math.min(
+      1,
+      LIVE_FRAME_SIZE / Math.max(source.width, source.height)
+    );
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    canvas
+      .getContext("2d")
+      .drawImage(
+        video,
+        source.x,
+        source.y,
+        source.width,
+        source.height,
+        0,
+        0,
+        canvas.width,
+        canvas.height
+      );
+    canvas.toBlob(resolve, "image/jpeg", 0.8);
+  });
+
+/**
+ * Blends a new predictions map into the running average
+ *
+ * `alpha` is the weight of the new frame: 1 disables smoothing, lower
+ * values react more slowly but flicker less.
+ */
+export const smoothPredictions = (previous, next, alpha) => {
+  if (!previous) return next;
+
+  const classes = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  return Object.fromEntries(
+    [...classes].map((className) => [
+      className,
+      {
+        confidence:
+          alpha * (next[className]?.confidence ?? 0) +
+          (1 - alpha) * (previous[className]?.confidence ?? 0),
+      },
+    ])
+  );
+};
+
+/**
+ * useLiveClassification Hook
+ *
+ * While `enabled`, samples `region` of a frame from `videoRef` every
+ * `settings.liveInterval` ms and classifies it with `classify(blob)`,
+ * which must resolve with a predictions map. A tick is skipped while the
+ * previous request is still in flight. Predictions are smoothed across
+ * frames, and with auto-capture on, `onStable` fires once when the same
+ * accepted class has held for `liveStableFrames` frames.
+ */
+const useLiveClassification = ({
+  videoRef,
+  enabled,
+  classify,
+  settings,
+  onStable,
+  region = FULL_BOX,
+}) => {
+  const [result, setResult] = useState(null);
+  const [streak, setStreak] = useState(0);
+
+  const canvasRef = useRef(null);
+  const inFlightRef = useRef(false);
+  const smoothedRef = useRef(null);
+  const streakRef = useRef({ class: null, count: 0, fired: false });
+
+  // Read the latest callbacks and settings from inside the interval
+  const latestRef = useRef({});
+  latestRef.current = { classify, settings, onStable, region };
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    if (!canvasRef.current) {
+      canvasRef.current = document.createElement("canvas");
+    }
+
+    // Results arriving after live mode was switched off are dropped
+    let active = true;
+
+    const tick = async () => {
+      const video = videoRef.current;
+      if (inFlightRef.current || !video || video.videoWidth === 0) return;
+
+      inFlightRef.current = true;
+      try {
+        const { classify, settings, onStable, region } = latestRef.current;
+        const frame = await grabFrame(video, canvasRef.current, region);
+        const predictions = await classify(frame);
+        if (!active) return;
+
+        smoothedRef.current = smoothPredictions(
+          smoothedRef.current,
+          predictions,
+          settings.liveSmoothing
+        );
+        const best = pickBestPrediction(smoothedRef.current, settings);
+        setResult(best);
+
+        // Track how long the same confident class has held
+        const state = streakRef.current;
+        const accepted = best.class !== UNDEFINED_CLASS && !best.lowConfidence;
+        if (!accepted) {
+          streakRef.current = { class: null, count: 0, fired: false };
+        } else if (best.class === state.class) {
+          state.count += 1;
+        } else {
+          streakRef.current = { class: best.class, count: 1, fired: false };
+        }
+        setStreak(streakRef.current.count);
+
+        // Fire once per stable stretch, the class has to change to fire again
+        if (
+          settings.liveAutoCapture &&
+          streakRef.current.count >= settings.liveStableFrames &&
+          !streakRef.current.fired
+        ) {
+          streakRef.current.fired = true;
+          onStable(best);
+        }
+      } catch (error) {
+        console.warn("Live classification frame failed:", error);
+      } finally {
+        inFlightRef.current = false;
+      }
+    };
+
+    const timer = setInterval(tick, settings.liveInterval);
+
+    return () => {
+      active = false;
+      clearInterval(timer);
+      smoothedRef.current = null;
+      streakRef.current = { class: null, count: 0, fired: false };
+      setResult(null);
+      setStreak(0);
+    };
+  }, [enabled, settings.liveInterval, videoRef]);
+
+  return { result, streak };
+};
+
+export default useLiveClassification;
@@ -0,0 +1,40 @@
+import { smoothPredictions } from "./use-live-classification";
+
+describe("smoothPredictions", () => {
+  const frame = {
+    healthy: { confidence: 0.8 },
+    "downy mildew": { confidence: 0.2 },
+  };
+
+  it("starts from the first frame", () => {
+    expect(smoothPredictions(null, frame, 0.4)).toBe(frame);
+  });
+
+  it("blends the new frame in with weight alpha", () => {
+    const previous = {
+      healthy: { confidence: 0.2 },
+      "downy mildew": { confidence: 0.8 },
+    };
+
+    const smoothed = smoothPredictions(previous, frame, 0.25);
+
+    expect(smoothed.healthy.confidence).toBeCloseTo(0.35);
+    expect(smoothed["downy mildew"].confidence).toBeCloseTo(0.65);
+  });
+
+  it("follows the new frame alone when alpha is 1", () => {
+    const previous = { healthy: { confidence: 0.1 } };
+
+    expect(smoothPredictions(previous, frame, 1)).toEqual(frame);
+  });
+
+  it("treats classes missing from either side as zero", () => {
+    const previous = { "tip burn": { confidence: 0.6 } };
+
+    const smoothed = smoothPredictions(previous, frame, 0.5);
+
+    expect(smoothed["tip burn"].confidence).toBeCloseTo(0.3);
+    expect(smoothed.healthy.confidence).toBeCloseTo(0.4);
+    expect(smoothed["downy mildew"].confidence).toBeCloseTo(0.1);
+  });
+});
@@ -0,0 +1,121 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import {
+  enqueueCapture,
+  getQueuedCaptures,
+  countQueuedCaptures,
+  removeQueuedCapture,
+  shouldStayQueued,
+} from "../lib/offline-queue";
+
+/**
+ * useOfflineQueue Hook
+ *
+ * Keeps captures made while offline in the IndexedDB queue and sends them
+ * with `send(image, entry)` when the connection returns, when the service
+ * worker fires a background sync, or on demand through `sync()`. Entries
+ * are removed once `send` resolves. A connection or other transient error
+ * stops the run and leaves the rest queued; entries the backend rejects
+ * are removed too and counted in `failed`, with the last `error`.
+ */
+const useOfflineQueue = (send) => {
+  const [pending, setPending] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const [online, setOnline] = useState(navigator.onLine);
+  // { count, error } for captures dropped since the last dismissal
+  const [failed, setFailed] = useState(null);
+
+  const syncingRef = useRef(false);
+  const sendRef = useRef(send);
+  sendRef.current = send;
+
+  const refresh = useCallback(async () => {
+    try {
+      setPending(await countQueuedCaptures());
+    } catch (error) {
+      console.error("Error reading offline queue:", error);
+    }
+  }, []);
+
+  const sync = useCallback(async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+
+    try {
+      const entries = await getQueuedCaptures();
+      for (const entry of entries) {
+        try {
+          await sendRef.current(entry.image, entry);
+          await removeQueuedCapture(entry.id);
+          setPending((count) => Math.max(0, count - 1));
+        } catch (error) {
+          // Keep it queued so a later sync can retry
+          if (shouldStayQueued(error)) break;
+
+          // Sending it again would fail the same way
+          console.error("Error sending queued capture:", error);
+          await removeQueuedCapture(entry.id);
+          setPending((count) => Math.max(0, count - 1));
+          setFailed((current) => ({
+            count: (current?.count || 0) + 1,
+            error,
+          }));
+        }
+      }
+    } catch (error) {
+      console.error("Error reading offline queue:", error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      refresh();
+    }
+  }, [refresh]);
+
+  const enqueue = useCallback(
+    async (image, metadata) => {
+      await enqueueCapture(image, metadata);
+      refresh();
+    },
+    [refresh]
+  );
+
+  useEffect(() => {
+    // Send anything left over from a previous session
+    if (navigator.onLine) sync();
+    else refresh();
+
+    const handleOnline = () => {
+      setOnline(true);
+      sync();
+    };
+    const handleOffline = () => setOnline(false);
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type === "SYNC_QUEUE") sync();
+    };
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    navigator.serviceWorker?.addEventListener("message", handleWorkerMessage);
+
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      navigator.serviceWorker?.removeEventListener(
+        "message",
+        handleWorkerMessage
+      );
+    };
+  }, [sync, refresh]);
+
+  return {
+    pending,
+    syncing,
+    online,
+    failed,
+    dismissFailed: () => setFailed(null),
+    enqueue,
+    sync,
+  };
+};
+
+export default useOfflineQueue;
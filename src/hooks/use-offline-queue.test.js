@@ -0,0 +1,80 @@
+import { renderHook, waitFor } from "@testing-library/react";
+import useOfflineQueue from "./use-offline-queue";
+import {
+  getQueuedCaptures,
+  countQueuedCaptures,
+  removeQueuedCapture,
+} from "../lib/offline-queue";
+import {
+  ClassifierError,
+  ERROR_CLIENT,
+  ERROR_NETWORK,
+} from "../lib/classifier-errors";
+
+// IndexedDB does not exist in jsdom
+jest.mock("../lib/offline-queue", () => ({
+  ...jest.requireActual("../lib/offline-queue"),
+  getQueuedCaptures: jest.fn(),
+  countQueuedCaptures: jest.fn(),
+  removeQueuedCapture: jest.fn(),
+}));
+
+const entries = [
+  { id: 1, image: new Blob(["a"]), queuedAt: 1 },
+  { id: 2, image: new Blob(["b"]), queuedAt: 2 },
+];
+
+let queue;
+
+beforeEach(() => {
+  queue = [...entries];
+  getQueuedCaptures.mockImplementation(() => Promise.resolve([...queue]));
+  countQueuedCaptures.mockImplementation(() => Promise.resolve(queue.length));
+  removeQueuedCapture.mockImplementation((id) => {
+    queue = queue.filter((entry) => entry.id !== id);
+    return Promise.resolve();
+  });
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+it("sends the queued captures and empties the queue", async () => {
+  const send = jest.fn(() => Promise.resolve());
+
+  const { result } = renderHook(() => useOfflineQueue(send));
+
+  await waitFor(() => expect(removeQueuedCapture).toHaveBeenCalledTimes(2));
+  expect(send).toHaveBeenCalledWith(entries[0].image, entries[0]);
+  await waitFor(() => expect(result.current.syncing).toBe(false));
+  expect(result.current.pending).toBe(0);
+  expect(result.current.failed).toBeNull();
+});
+
+it("keeps the queue when the backend is unreachable", async () => {
+  const send = jest.fn(() =>
+    Promise.reject(new ClassifierError(ERROR_NETWORK, "Unreachable"))
+  );
+
+  const { result } = renderHook(() => useOfflineQueue(send));
+
+  await waitFor(() => expect(result.current.pending).toBe(2));
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(removeQueuedCapture).not.toHaveBeenCalled();
+});
+
+it("drops captures the backend rejects and counts them", async () => {
+  const rejection = new ClassifierError(ERROR_CLIENT, "Too large", {
+    status: 413,
+  });
+  const send = jest
+    .fn()
+    .mockRejectedValueOnce(rejection)
+    .mockResolvedValueOnce();
+
+  const { result } = renderHook(() => useOfflineQueue(send));
+
+  await waitFor(() => expect(result.current.failed?.count).toBe(1));
+  expect(result.current.failed.error).toBe(rejection);
+  await waitFor(() => expect(result.current.pending).toBe(0));
+  expect(removeQueuedCapture).toHaveBeenCalledWith(1);
+  expect(removeQueuedCapture).toHaveBeenCalledWith(2);
+});
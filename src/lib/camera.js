@@ -0,0 +1,138 @@
+/**
+ * Camera helpers: device listing, constraints and remembered preferences
+ */
+
+const STORAGE_KEY = "leafClassifier.camera";
+
+export const RESOLUTION_PRESETS = {
+  auto: { label: "Auto" },
+  "480p": { label: "480p", width: 640, height: 480 },
+  "720p": { label: "720p", width: 1280, height: 720 },
+  "1080p": { label: "1080p", width: 1920, height: 1080 },
+  "4k": { label: "4K", width: 3840, height: 2160 },
+};
+
+export const DEFAULT_CAMERA_PREFERENCES = {
+  // A specific camera, or null to pick by facingMode
+  deviceId: null,
+  // "environment" (back) or "user" (front)
+  facingMode: "environment",
+  resolution: "auto",
+};
+
+/**
+ * Loads the remembered camera choice
+ */
+export const loadCameraPreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_CAMERA_PREFERENCES, ...saved };
+  } catch (error) {
+    console.warn("Could not read camera preferences:", error);
+    return { ...DEFAULT_CAMERA_PREFERENCES };
+  }
+};
+
+/**
+ * Remembers the camera choice for the next session
+ */
+export const saveCameraPreferences = (preferences) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.warn("Could not save camera preferences:", error);
+  }
+};
+
+/**
+ * Builds getUserMedia video constraints from the preferences
+ */
+export const buildVideoConstraints = ({ deviceId, facingMode, resolution }) => {
+  const video = deviceId
+    ? { deviceId: { exact: deviceId } }
+    : { facingMode: { ideal: facingMode } };
+
+  const preset = RESOLUTION_PRESETS[resolution];
+  if (preset?.width) {
+    video.width = { ideal: preset.width };
+    video.height = { ideal: preset.height };
+  }
+
+  return video;
+};
+
+/**
+ * Lists the video input devices
+ *
+ * Labels are empty until the user has granted camera permission once.
+ */
+export const listCameras = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === "videoinput")
+    .map((device) => ({
+      deviceId: device.deviceId,
+      label: device.label,
+    }));
+};
+
+/**
+ * Returns the torch and zoom capabilities of a video track, if exposed
+ */
+export const getTrackFeatures = (track) => {
+  const capabilities = track?.getCapabilities?.() || {};
+  const settings = track?.getSettings?.() || {};
+
+  return {
+    torch: Boolean(capabilities.torch),
+    zoom: capabilities.zoom
+      ? {
+          min: capabilities.zoom.min,
+          max: capabilities.zoom.max,
+          step: capabilities.zoom.step || 0.1,
+          value: settings.zoom ?? capabilities.zoom.min,
+        }
+      : null,
+    deviceId: settings.deviceId || null,
+  };
+};
+
+const FRAMING_STORAGE_KEY = "leafClassifier.framing";
+
+// Framing guide as fractions of the video frame
+export const DEFAULT_FRAMING_BOX = {
+  x: 0.15,
+  y: 0.15,
+  width: 0.7,
+  height: 0.7,
+};
+
+/**
+ * Loads the framing box remembered for a camera
+ */
+export const loadFramingBox = (deviceId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FRAMING_STORAGE_KEY));
+    return saved?.[deviceId || "default"] || { ...DEFAULT_FRAMING_BOX };
+  } catch (error) {
+    console.warn("Could not read framing box:", error);
+    return { ...DEFAULT_FRAMING_BOX };
+  }
+};
+
+/**
+ * Remembers the framing box for a camera
+ */
+export const saveFramingBox = (deviceId, box) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FRAMING_STORAGE_KEY));
+    localStorage.setItem(
+      FRAMING_STORAGE_KEY,
+      JSON.stringify({ ...saved, [deviceId || "default"]: box })
+    );
+  } catch (error) {
+    console.warn("Could not save framing box:", error);
+  }
+};
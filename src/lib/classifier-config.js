@@ -0,0 +1,87 @@
+/**
+ * Classifier configuration
+ *
+ * The classification backend is picked at runtime. Values are merged in
+ * this order, later sources winning:
+ *
+ *   1. DEFAULT_CONFIG below
+ *   2. REACT_APP_CLASSIFIER_* environment variables (build time)
+ *   3. window.LEAF_CLASSIFIER_CONFIG, set by public/config.js (deploy time)
+ *
+ * Editing public/config.js on the server switches providers without a rebuild.
+ */
+
+export const DEFAULT_CONFIG = {
+  // "proxy", "roboflow", "roboflow-inference", "rest", "mock" or "local"
+  provider: "proxy",
+  // Defaults per provider when left empty, see classifier-providers.js
+  url: null,
+  model: "leaf-classification-xbz6a",
+  version: "2",
+  // Only for the direct Roboflow providers. Anything set here ends up in
+  // the bundle, so production deployments should use the proxy instead.
+  apiKey: null,
+  headers: {},
+  // Per-request timeout in ms, and how often a failed request is retried
+  // (network errors, timeouts, rate limits and 5xx only)
+  timeout: 30000,
+  retries: 2,
+  retryDelay: 500,
+  // Largest image the backend accepts, in bytes, checked on upload when
+  // images are sent unprocessed. The default matches the proxy's
+  // MAX_IMAGE_BYTES; change both together.
+  maxImageBytes: 5 * 1024 * 1024,
+  mockPredictions: null,
+  mockDelay: 600,
+  // Optional TensorFlow.js model for on-device inference:
+  // { url, labels, metadataUrl, inputSize, normalize }
+  // `labels` defaults to metadata.json next to the model, `inputSize` to
+  // 224 and `normalize` to "minus-one-to-one" (or "zero-to-one").
+  localModel: null,
+  // Model endpoints compared side by side when comparison mode is on, each
+  // as overrides of this config plus a `label`, e.g.
+  // [{ label: "v2", version: "2" }, { label: "v3", version: "3" }]
+  compareModels: [],
+  // Optional leaf detector for images with several leaves, as overrides of
+  // this config (`provider: "proxy"` posts to /api/detect, `localModel`
+  // runs a TensorFlow.js detector) plus `minConfidence`, `maxLeaves` and
+  // `padding`. Each detected leaf is then classified on its own.
+  detection: null,
+};
+
+/**
+ * Reads the REACT_APP_CLASSIFIER_* variables, skipping unset ones
+ */
+const readEnvConfig = () => {
+  const env = {
+    provider: process.env.REACT_APP_CLASSIFIER_PROVIDER,
+    url: process.env.REACT_APP_CLASSIFIER_URL,
+    model: process.env.REACT_APP_CLASSIFIER_MODEL,
+    version: process.env.REACT_APP_CLASSIFIER_VERSION,
+    apiKey: process.env.REACT_APP_CLASSIFIER_API_KEY,
+  };
+
+  return Object.fromEntries(
+    Object.entries(env).filter(([, value]) => value !== undefined)
+  );
+};
+
+/**
+ * Reads the deploy-time configuration injected by public/config.js
+ */
+const readRuntimeConfig = () => {
+  if (typeof window === "undefined" || !window.LEAF_CLASSIFIER_CONFIG) {
+    return {};
+  }
+  return window.LEAF_CLASSIFIER_CONFIG;
+};
+
+/**
+ * Returns the merged classifier configuration
+ */
+export const getClassifierConfig = (overrides = {}) => ({
+  ...DEFAULT_CONFIG,
+  ...readEnvConfig(),
+  ...readRuntimeConfig(),
+  ...overrides,
+});
@@ -0,0 +1,122 @@
+import axios from "axios";
+
+/**
+ * Classification errors
+ *
+ * Providers reject with a ClassifierError whose `kind` tells the results
+ * panel what went wrong and whether trying again can help. The title and
+ * hint shown for each kind are in the message catalogs, under "errors".
+ */
+
+export const ERROR_NETWORK = "network";
+export const ERROR_TIMEOUT = "timeout";
+export const ERROR_RATE_LIMIT = "rate-limit";
+export const ERROR_CLIENT = "http-4xx";
+export const ERROR_SERVER = "http-5xx";
+export const ERROR_MALFORMED = "malformed";
+// The browser cannot decode the image, e.g. HEIC outside Safari
+export const ERROR_UNSUPPORTED_IMAGE = "unsupported-image";
+export const ERROR_CANCELLED = "cancelled";
+export const ERROR_UNKNOWN = "unknown";
+
+// Error kinds with their own title and hint in the catalogs
+const DESCRIBED_KINDS = [
+  ERROR_NETWORK,
+  ERROR_TIMEOUT,
+  ERROR_RATE_LIMIT,
+  ERROR_CLIENT,
+  ERROR_SERVER,
+  ERROR_MALFORMED,
+  ERROR_UNSUPPORTED_IMAGE,
+  ERROR_UNKNOWN,
+];
+
+// Longest Retry-After we are willing to wait for before retrying
+const MAX_RETRY_AFTER = 30000;
+
+export class ClassifierError extends Error {
+  constructor(kind, message, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = "ClassifierError";
+    this.kind = kind;
+    this.status = status;
+    // Delay in ms requested by the server, for rate limits
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Reads a Retry-After header given in seconds
+ */
+const parseRetryAfter = (value) => {
+  const seconds = Number(value);
+  return Number.isFinite(seconds)
+    ? Math.min(seconds * 1000, MAX_RETRY_AFTER)
+    : null;
+};
+
+/**
+ * Converts whatever a provider threw into a ClassifierError
+ */
+export const toClassifierError = (error) => {
+  if (error instanceof ClassifierError) return error;
+
+  if (axios.isCancel(error) || error?.name === "AbortError") {
+    return new ClassifierError(ERROR_CANCELLED, "Request was cancelled");
+  }
+  if (error?.name === "TimeoutError") {
+    return new ClassifierError(ERROR_TIMEOUT, "Request timed out");
+  }
+
+  if (axios.isAxiosError(error)) {
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+      return new ClassifierError(ERROR_TIMEOUT, "Request timed out");
+    }
+
+    const { response } = error;
+    if (!response) {
+      return new ClassifierError(ERROR_NETWORK, "Classifier is unreachable");
+    }
+
+    const { status } = response;
+    const message =
+      response.data?.error ||
+      response.data?.message ||
+      `Classifier responded with ${status}`;
+
+    if (status === 429) {
+      return new ClassifierError(ERROR_RATE_LIMIT, message, {
+        status,
+        retryAfter: parseRetryAfter(response.headers?.["retry-after"]),
+      });
+    }
+    // Our proxy answers 504 when the model itself timed out
+    if (status === 504) {
+      return new ClassifierError(ERROR_TIMEOUT, message, { status });
+    }
+    return new ClassifierError(
+      status >= 500 ? ERROR_SERVER : ERROR_CLIENT,
+      message,
+      { status }
+    );
+  }
+
+  return new ClassifierError(
+    ERROR_UNKNOWN,
+    error?.message || "Classification failed"
+  );
+};
+
+/**
+ * Returns the catalog key under "errors" describing an error kind
+ */
+export const describedKind = (kind) =>
+  DESCRIBED_KINDS.includes(kind) ? kind : ERROR_UNKNOWN;
+
+/**
+ * Whether sending the same image again may succeed
+ */
+export const isRetryable = (error) =>
+  [ERROR_NETWORK, ERROR_TIMEOUT, ERROR_RATE_LIMIT, ERROR_SERVER].includes(
+    error.kind
+  );
@@ -0,0 +1,281 @@
+import axios from "axios";
+import {
+  ClassifierError,
+  toClassifierError,
+  ERROR_MALFORMED,
+} from "./classifier-errors";
+import { withTimeout } from "./retry";
+
+/**
+ * Classifier providers
+ *
+ * Every provider exposes the same shape:
+ *
+ *   { name, classify(blob, options) => Promise<predictions> }
+ *
+ * where `predictions` is a map of class name to `{ confidence }`, the
+ * format the Roboflow single-label classification API returns. `options`
+ * may carry an `onUploadProgress` callback, as accepted by axios, an
+ * AbortSignal as `signal` and, for leaf crops sent to the proxy, the
+ * detection's `leafToken`. Failures reject with a ClassifierError, see
+ * classifier-errors.js.
+ */
+
+const ROBOFLOW_URLS = {
+  roboflow: "https://detect.roboflow.com",
+  "roboflow-inference": "http://localhost:9001",
+};
+
+const DEFAULT_MOCK_PREDICTIONS = {
+  healthy: { confidence: 0.82 },
+  "downy mildew": { confidence: 0.11 },
+  "bacterial leaf spot": { confidence: 0.07 },
+};
+
+/**
+ * Reads a Blob and resolves with its base64 payload (no data URL prefix)
+ */
+export const blobToBase64 = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result.split(",")[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+/**
+ * Converts the response formats we know about into a predictions map
+ *
+ * Accepts the Roboflow map (`{ cls: { confidence } }`), a list of
+ * `{ class, confidence }` objects, or a plain `{ cls: number }` map.
+ * Anything else, or a confidence that is not a number, is malformed.
+ */
+export const normalizePredictions = (payload) => {
+  const predictions = payload?.predictions ?? payload;
+  let normalized = null;
+
+  if (Array.isArray(predictions)) {
+    normalized = Object.fromEntries(
+      predictions.map((p) => [p?.class, { confidence: Number(p?.confidence) }])
+    );
+  } else if (predictions && typeof predictions === "object") {
+    normalized = Object.fromEntries(
+      Object.entries(predictions).map(([className, details]) => [
+        className,
+        {
+          confidence: Number(
+            typeof details === "number" ? details : details?.confidence
+          ),
+        },
+      ])
+    );
+  }
+
+  const entries = Object.entries(normalized || {});
+  if (
+    entries.length === 0 ||
+    entries.some(
+      ([className, { confidence }]) =>
+        !className || className === "undefined" || !Number.isFinite(confidence)
+    )
+  ) {
+    throw new ClassifierError(
+      ERROR_MALFORMED,
+      "Unrecognized prediction format"
+    );
+  }
+
+  return normalized;
+};
+
+/**
+ * Our own /api/classify proxy (see server/), which holds the API key
+ *
+ * The image is posted as a raw binary body.
+ */
+const createProxyProvider = ({ url, timeout }) => ({
+  name: "proxy",
+  classify: async (blob, { onUploadProgress, signal, leafToken } = {}) => {
+    const response = await axios({
+      method: "POST",
+      url: url || "/api/classify",
+      onUploadProgress,
+      signal,
+      timeout,
+      data: blob,
+      headers: {
+        "Content-Type": blob.type || "image/jpeg",
+        // Leaf crops of a detection, covered by its token
+        ...(leafToken && { "X-Leaf-Token": leafToken }),
+      },
+    });
+
+    return normalizePredictions(response.data);
+  },
+});
+
+/**
+ * Roboflow classification API, hosted or self-hosted
+ *
+ * The self-hosted inference server exposes the same route, so both only
+ * differ in their base URL.
+ */
+const createRoboflowProvider = (
+  name,
+  { url, model, version, apiKey, timeout }
+) => {
+  const baseUrl = (url || ROBOFLOW_URLS[name]).replace(/\/$/, "");
+
+  return {
+    name,
+    classify: async (blob, { onUploadProgress, signal } = {}) => {
+      const base64Image = await blobToBase64(blob);
+
+      const response = await axios({
+        method: "POST",
+        url: `${baseUrl}/${model}/${version}`,
+        onUploadProgress,
+        signal,
+        timeout,
+        params: apiKey ? { api_key: apiKey } : undefined,
+        data: base64Image,
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+      });
+
+      return normalizePredictions(response.data);
+    },
+  };
+};
+
+/**
+ * Generic REST/JSON endpoint
+ *
+ * Posts `{ image: <base64> }` and expects any format accepted by
+ * normalizePredictions in return.
+ */
+const createRestProvider = ({ url, headers, timeout }) => ({
+  name: "rest",
+  classify: async (blob, { onUploadProgress, signal } = {}) => {
+    const base64Image = await blobToBase64(blob);
+
+    const response = await axios({
+      method: "POST",
+      url,
+      onUploadProgress,
+      signal,
+      timeout,
+      data: { image: base64Image },
+      headers: {
+        "Content-Type": "application/json",
+        ...headers,
+      },
+    });
+
+    return normalizePredictions(response.data);
+  },
+});
+
+/**
+ * Offline provider returning canned predictions after a short delay
+ */
+const createMockProvider = ({ mockPredictions, mockDelay }) => ({
+  name: "mock",
+  classify: (blob, { onUploadProgress, signal } = {}) =>
+    new Promise((resolve, reject) => {
+      onUploadProgress?.({ loaded: blob.size, total: blob.size });
+      const timer = setTimeout(
+        () =>
+          resolve(
+            normalizePredictions(mockPredictions || DEFAULT_MOCK_PREDICTIONS)
+          ),
+        mockDelay
+      );
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(new DOMException("Aborted", "AbortError"));
+        },
+        { once: true }
+      );
+    }),
+});
+
+/**
+ * On-device inference with a TensorFlow.js model, see local-engine.js
+ *
+ * The engine is loaded on first use, or ahead of time through `load()` so
+ * the model is available before the connection drops.
+ */
+const createLocalProvider = ({ localModel, timeout }) => {
+  let enginePromise = null;
+
+  const load = () => {
+    if (!localModel?.url) {
+      return Promise.reject(new Error("No local model is configured"));
+    }
+    if (!enginePromise) {
+      enginePromise = import("./local-engine").then(({ createLocalEngine }) =>
+        createLocalEngine(localModel)
+      );
+      // Allow a later call to retry after a failed load
+      enginePromise.catch(() => {
+        enginePromise = null;
+      });
+    }
+    return enginePromise;
+  };
+
+  return {
+    name: "local",
+    load,
+    // The worker cannot stop an inference, the result is dropped instead
+    classify: async (blob, { signal } = {}) => {
+      const predictions = await withTimeout(
+        load().then((engine) => engine.classify(blob)),
+        { signal, timeout }
+      );
+      return normalizePredictions(predictions);
+    },
+  };
+};
+
+/**
+ * Builds the provider described by a config, without error mapping
+ */
+const createProvider = (config) => {
+  switch (config.provider) {
+    case "proxy":
+      return createProxyProvider(config);
+    case "roboflow":
+    case "roboflow-inference":
+      return createRoboflowProvider(config.provider, config);
+    case "rest":
+      return createRestProvider(config);
+    case "mock":
+      return createMockProvider(config);
+    case "local":
+      return createLocalProvider(config);
+    default:
+      throw new Error(`Unknown classifier provider: ${config.provider}`);
+  }
+};
+
+/**
+ * Builds the provider described by a classifier config
+ *
+ * Whatever the provider throws is turned into a ClassifierError.
+ */
+export const createClassifierProvider = (config) => {
+  const provider = createProvider(config);
+
+  return {
+    ...provider,
+    classify: (blob, options) =>
+      provider.classify(blob, options).catch((error) => {
+        throw toClassifierError(error);
+      }),
+  };
+};
@@ -0,0 +1,198 @@
+import axios from "axios";
+import {
+  createClassifierProvider,
+  normalizePredictions,
+} from "./classifier-providers";
+import {
+  ClassifierError,
+  ERROR_CANCELLED,
+  ERROR_CLIENT,
+  ERROR_MALFORMED,
+  ERROR_NETWORK,
+  ERROR_RATE_LIMIT,
+  ERROR_SERVER,
+  ERROR_TIMEOUT,
+} from "./classifier-errors";
+
+jest.mock("axios", () => {
+  const actual = jest.requireActual("axios");
+  const request = jest.fn();
+  request.isCancel = actual.isCancel;
+  request.isAxiosError = actual.isAxiosError;
+  return { __esModule: true, default: request };
+});
+
+// A model whose inference never finishes
+jest.mock("./local-engine", () => ({
+  createLocalEngine: () =>
+    Promise.resolve({ classify: () => new Promise(() => {}) }),
+}));
+
+const image = new Blob(["leaf"], { type: "image/jpeg" });
+
+/**
+ * Builds what axios rejects with when the server answers with `status`
+ */
+const httpError = (status, { data = {}, headers = {} } = {}) => ({
+  isAxiosError: true,
+  message: `Request failed with status code ${status}`,
+  response: { status, data, headers },
+});
+
+describe("normalizePredictions", () => {
+  it.each([
+    ["a Roboflow map", { predictions: { healthy: { confidence: 0.9 } } }],
+    ["a list", { predictions: [{ class: "healthy", confidence: 0.9 }] }],
+    ["a plain map", { healthy: 0.9 }],
+  ])("reads %s", (label, payload) => {
+    expect(normalizePredictions(payload)).toEqual({
+      healthy: { confidence: 0.9 },
+    });
+  });
+
+  it("rejects anything else as malformed", () => {
+    expect(() => normalizePredictions({ predictions: [] })).toThrow(
+      expect.objectContaining({ kind: ERROR_MALFORMED })
+    );
+    expect(() =>
+      normalizePredictions({ healthy: { confidence: "high" } })
+    ).toThrow(ClassifierError);
+  });
+});
+
+describe("proxy provider", () => {
+  const provider = createClassifierProvider({
+    provider: "proxy",
+    timeout: 1000,
+  });
+
+  it("posts the image to /api/classify", async () => {
+    axios.mockResolvedValue({
+      data: { predictions: { healthy: { confidence: 0.9 } } },
+    });
+
+    const predictions = await provider.classify(image);
+
+    expect(predictions).toEqual({ healthy: { confidence: 0.9 } });
+    expect(axios).toHaveBeenCalledWith(
+      expect.objectContaining({
+        method: "POST",
+        url: "/api/classify",
+        data: image,
+        timeout: 1000,
+        headers: { "Content-Type": "image/jpeg" },
+      })
+    );
+  });
+
+  it("sends the detection's leaf token with leaf crops", async () => {
+    axios.mockResolvedValue({
+      data: { predictions: { healthy: { confidence: 0.9 } } },
+    });
+
+    await provider.classify(image, { leafToken: "token-1" });
+
+    expect(axios).toHaveBeenCalledWith(
+      expect.objectContaining({
+        headers: { "Content-Type": "image/jpeg", "X-Leaf-Token": "token-1" },
+      })
+    );
+  });
+
+  it("rejects a malformed answer", async () => {
+    axios.mockResolvedValue({ data: "<html>" });
+
+    await expect(provider.classify(image)).rejects.toMatchObject({
+      kind: ERROR_MALFORMED,
+    });
+  });
+
+  it.each([
+    [400, ERROR_CLIENT],
+    [500, ERROR_SERVER],
+    [504, ERROR_TIMEOUT],
+  ])("maps a %d answer to %s", async (status, kind) => {
+    axios.mockRejectedValue(httpError(status));
+
+    await expect(provider.classify(image)).rejects.toMatchObject({
+      kind,
+      status,
+    });
+  });
+
+  it("reads the server's message and Retry-After on rate limits", async () => {
+    axios.mockRejectedValue(
+      httpError(429, {
+        data: { error: "Slow down" },
+        headers: { "retry-after": "2" },
+      })
+    );
+
+    await expect(provider.classify(image)).rejects.toMatchObject({
+      kind: ERROR_RATE_LIMIT,
+      message: "Slow down",
+      retryAfter: 2000,
+    });
+  });
+
+  it("reports an unreachable backend as a network error", async () => {
+    axios.mockRejectedValue({ isAxiosError: true, message: "Network Error" });
+
+    await expect(provider.classify(image)).rejects.toMatchObject({
+      kind: ERROR_NETWORK,
+    });
+  });
+});
+
+describe("rest provider", () => {
+  it("posts the image as base64 JSON with the configured headers", async () => {
+    axios.mockResolvedValue({ data: [{ class: "healthy", confidence: 0.7 }] });
+    const provider = createClassifierProvider({
+      provider: "rest",
+      url: "https://models.example.com/classify",
+      headers: { Authorization: "Bearer token" },
+    });
+
+    await provider.classify(image);
+
+    expect(axios).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: "https://models.example.com/classify",
+        data: { image: btoa("leaf") },
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer token",
+        },
+      })
+    );
+  });
+});
+
+describe("local provider", () => {
+  const localModel = { url: "/models/leaf/model.json" };
+
+  it("gives up on an inference that takes too long", async () => {
+    const provider = createClassifierProvider({
+      provider: "local",
+      localModel,
+      timeout: 10,
+    });
+
+    await expect(provider.classify(image)).rejects.toMatchObject({
+      kind: ERROR_TIMEOUT,
+    });
+  });
+
+  it("stops waiting when the request is cancelled", async () => {
+    const provider = createClassifierProvider({
+      provider: "local",
+      localModel,
+    });
+    const controller = new AbortController();
+
+    const classified = provider.classify(image, { signal: controller.signal });
+    controller.abort();
+
+    await expect(classified).rejects.toMatchObject({ kind: ERROR_CANCELLED });
+  });
+});
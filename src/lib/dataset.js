@@ -0,0 +1,93 @@
+import { createZip } from "./zip";
+import { csvField } from "./export";
+import { isSameClass, normalizeClassName } from "./knowledge-base";
+
+/**
+ * Ground-truth labels and the training dataset export
+ *
+ * A history entry is labelled once the user has confirmed or corrected
+ * it: `groundTruth` then holds `{ class, notes, labelledAt }`.
+ */
+
+/**
+ * Builds the ground truth saved with a history entry
+ */
+export const createGroundTruth = (className, notes = "") => ({
+  class: className.trim(),
+  notes: notes.trim(),
+  labelledAt: Date.now(),
+});
+
+/**
+ * Whether the user's label differs from the predicted class
+ */
+export const isMisclassified = (entry) =>
+  Boolean(entry.groundTruth) &&
+  !isSameClass(entry.groundTruth.class, entry.class);
+
+/**
+ * Makes a class name safe to use as a folder name. Names that match as
+ * the same class share a folder: "Downy Mildew" and "downy_mildew" both
+ * go to "downy_mildew".
+ */
+const folderName = (className) =>
+  normalizeClassName(className)
+    .replace(/[\\/:*?"<>|]+/g, "-")
+    .replace(/\s+/g, "_") || "unlabelled";
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+/**
+ * Builds a ZIP of the labelled entries in the folder-per-class layout read
+ * by Roboflow, Keras and torchvision (`train/<class>/<image>`), plus a
+ * labels.csv with the prediction and the notes of each image
+ */
+export const buildDatasetZip = (entries) => {
+  const labelled = entries.filter((entry) => entry.groundTruth && entry.image);
+
+  const files = labelled.map((entry) => {
+    const extension = EXTENSIONS[entry.image.type] || "jpg";
+    return {
+      name: `train/${folderName(entry.groundTruth.class)}/leaf-${
+        entry.id
+      }.${extension}`,
+      data: entry.image,
+      date: new Date(entry.createdAt),
+    };
+  });
+
+  const header = [
+    "file",
+    "label",
+    "predicted_class",
+    "confidence",
+    "notes",
+    "original_file_name",
+    "labelled_at",
+  ];
+  const rows = labelled.map((entry, index) =>
+    [
+      files[index].name,
+      entry.groundTruth.class,
+      entry.class,
+      entry.confidence,
+      entry.groundTruth.notes,
+      entry.fileName,
+      new Date(entry.groundTruth.labelledAt).toISOString(),
+    ]
+      .map(csvField)
+      .join(",")
+  );
+
+  return createZip([
+    ...files,
+    {
+      name: "labels.csv",
+      data: [header.join(","), ...rows].join("\r\n"),
+    },
+  ]);
+};
@@ -0,0 +1,65 @@
+import { buildDatasetZip, createGroundTruth, isMisclassified } from "./dataset";
+import { createZip } from "./zip";
+
+jest.mock("./zip", () => ({ createZip: jest.fn() }));
+
+const entry = (className, label) => ({
+  class: className,
+  groundTruth: label && createGroundTruth(label),
+});
+
+describe("isMisclassified", () => {
+  it("is false for unlabelled entries", () => {
+    expect(isMisclassified(entry("healthy"))).toBe(false);
+  });
+
+  it("matches labels the way metrics do, ignoring case, dashes and underscores", () => {
+    expect(isMisclassified(entry("Downy Mildew", "downy_mildew"))).toBe(false);
+    expect(isMisclassified(entry("downy mildew", "Downy-Mildew"))).toBe(false);
+  });
+
+  it("flags labels of another class", () => {
+    expect(isMisclassified(entry("healthy", "downy mildew"))).toBe(true);
+  });
+});
+
+describe("buildDatasetZip", () => {
+  const labelled = (id, label) => ({
+    id,
+    class: "downy mildew",
+    confidence: 0.9,
+    fileName: `leaf-${id}.jpeg`,
+    createdAt: 0,
+    image: new Blob(["leaf"], { type: "image/jpeg" }),
+    groundTruth: createGroundTruth(label),
+  });
+
+  const fileNames = (entries) => {
+    buildDatasetZip(entries);
+    return createZip.mock.calls[0][0].map((file) => file.name);
+  };
+
+  it("puts labels of the same class in one folder", () => {
+    expect(
+      fileNames([
+        labelled(1, "Downy Mildew"),
+        labelled(2, "downy_mildew"),
+        labelled(3, " downy-mildew "),
+      ])
+    ).toEqual([
+      "train/downy_mildew/leaf-1.jpg",
+      "train/downy_mildew/leaf-2.jpg",
+      "train/downy_mildew/leaf-3.jpg",
+      "labels.csv",
+    ]);
+  });
+
+  it("keeps folder names safe and skips unlabelled entries", () => {
+    expect(
+      fileNames([
+        labelled(1, "tip/burn"),
+        { ...labelled(2, "healthy"), groundTruth: null },
+      ])
+    ).toEqual(["train/tip-burn/leaf-1.jpg", "labels.csv"]);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * IndexedDB access
+ *
+ * One database holds every store the app persists. Bump DB_VERSION and
+ * add a step to `upgrade` when a new store or index is needed.
+ */
+
+const DB_NAME = "leaf-classifier";
+const DB_VERSION = 2;
+
+export const HISTORY_STORE = "history";
+export const QUEUE_STORE = "queue";
+
+/**
+ * Creates or migrates the stores, one step per version
+ */
+const upgrade = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    const history = db.createObjectStore(HISTORY_STORE, {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+    history.createIndex("createdAt", "createdAt");
+    history.createIndex("class", "class");
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(QUEUE_STORE, { keyPath: "id", autoIncrement: true });
+  }
+};
+
+let dbPromise = null;
+
+/**
+ * Opens the database once and shares the connection
+ */
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not supported in this browser"));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) =>
+        upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs `callback(store)` in a transaction and resolves with its request's
+ * result once the transaction completes
+ */
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,258 @@
+import axios from "axios";
+import { blobToBase64 } from "./classifier-providers";
+import {
+  ClassifierError,
+  toClassifierError,
+  ERROR_MALFORMED,
+} from "./classifier-errors";
+import { withTimeout } from "./retry";
+
+/**
+ * Leaf detection providers
+ *
+ * Same idea as the classifier providers, for object detection:
+ *
+ *   { name, detect(blob, options) => Promise<boxes> }
+ *
+ * where each box is `{ x, y, width, height, confidence }` with the top
+ * left corner and size as fractions (0-1) of the image. `options` may
+ * carry an AbortSignal as `signal`; failures reject with a
+ * ClassifierError. The proxy detector's list also carries the
+ * `leafToken` issued by /api/detect, which lets the leaf crops through
+ * the classify rate limit (see server/).
+ *
+ * `detection` in the classifier config selects the provider, as
+ * overrides of the classifier config (so `apiKey`, `timeout` and
+ * `headers` carry over), e.g.
+ *
+ *   { provider: "roboflow", model: "lettuce-leaves", version: "1" }
+ */
+
+const ROBOFLOW_URLS = {
+  roboflow: "https://detect.roboflow.com",
+  "roboflow-inference": "http://localhost:9001",
+};
+
+const DEFAULT_MOCK_BOXES = [
+  { x: 0.08, y: 0.12, width: 0.4, height: 0.5, confidence: 0.91 },
+  { x: 0.52, y: 0.35, width: 0.38, height: 0.45, confidence: 0.84 },
+];
+
+const isFraction = (value) => Number.isFinite(value) && value >= 0;
+
+/**
+ * Converts the response formats we know about into boxes
+ *
+ * Accepts the Roboflow object-detection format (`predictions` with box
+ * centers in pixels, plus the `image` size), or `boxes` / a plain list of
+ * `{ xmin, ymin, xmax, ymax, score }` given as fractions. An empty list
+ * is valid: no leaves were found.
+ */
+export const normalizeDetections = (payload) => {
+  let boxes = null;
+
+  if (Array.isArray(payload?.predictions) && payload.image) {
+    const { width, height } = payload.image;
+    boxes = payload.predictions.map((p) => ({
+      x: (p.x - p.width / 2) / width,
+      y: (p.y - p.height / 2) / height,
+      width: p.width / width,
+      height: p.height / height,
+      confidence: Number(p.confidence),
+    }));
+  } else {
+    const list = payload?.boxes ?? payload;
+    if (Array.isArray(list)) {
+      boxes = list.map((b) => ({
+        x: b.xmin,
+        y: b.ymin,
+        width: b.xmax - b.xmin,
+        height: b.ymax - b.ymin,
+        confidence: Number(b.score ?? b.confidence),
+      }));
+    }
+  }
+
+  if (
+    !boxes ||
+    boxes.some(
+      (box) =>
+        ![box.x, box.y, box.width, box.height].every(isFraction) ||
+        !Number.isFinite(box.confidence)
+    )
+  ) {
+    throw new ClassifierError(ERROR_MALFORMED, "Unrecognized detection format");
+  }
+
+  return boxes;
+};
+
+/**
+ * Our own proxy, /api/detect (see server/)
+ */
+const createProxyDetector = ({ url, timeout }) => ({
+  name: "proxy",
+  detect: async (blob, { signal } = {}) => {
+    const response = await axios({
+      method: "POST",
+      url: url || "/api/detect",
+      signal,
+      timeout,
+      data: blob,
+      headers: { "Content-Type": blob.type || "image/jpeg" },
+    });
+    return Object.assign(normalizeDetections(response.data), {
+      leafToken: response.headers?.["x-leaf-token"] || null,
+    });
+  },
+});
+
+/**
+ * Roboflow object-detection API, hosted or self-hosted
+ */
+const createRoboflowDetector = (
+  name,
+  { url, model, version, apiKey, timeout }
+) => {
+  const baseUrl = (url || ROBOFLOW_URLS[name]).replace(/\/$/, "");
+
+  return {
+    name,
+    detect: async (blob, { signal } = {}) => {
+      const response = await axios({
+        method: "POST",
+        url: `${baseUrl}/${model}/${version}`,
+        signal,
+        timeout,
+        params: apiKey ? { api_key: apiKey } : undefined,
+        data: await blobToBase64(blob),
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      });
+      return normalizeDetections(response.data);
+    },
+  };
+};
+
+/**
+ * Generic REST/JSON endpoint, posted `{ image: <base64> }`
+ */
+const createRestDetector = ({ url, headers, timeout }) => ({
+  name: "rest",
+  detect: async (blob, { signal } = {}) => {
+    const response = await axios({
+      method: "POST",
+      url,
+      signal,
+      timeout,
+      data: { image: await blobToBase64(blob) },
+      headers: { "Content-Type": "application/json", ...headers },
+    });
+    return normalizeDetections(response.data);
+  },
+});
+
+/**
+ * Canned boxes for offline development
+ */
+const createMockDetector = ({ mockBoxes, mockDelay }) => ({
+  name: "mock",
+  detect: (blob, { signal } = {}) =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => resolve(mockBoxes || DEFAULT_MOCK_BOXES),
+        mockDelay
+      );
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(new DOMException("Aborted", "AbortError"));
+        },
+        { once: true }
+      );
+    }),
+});
+
+/**
+ * On-device detection with a TensorFlow.js graph model exported from the
+ * TensorFlow Object Detection API (see local-engine.js)
+ */
+const createLocalDetector = ({ localModel, timeout }) => {
+  let enginePromise = null;
+
+  const load = () => {
+    if (!localModel?.url) {
+      return Promise.reject(
+        new Error("No local detection model is configured")
+      );
+    }
+    if (!enginePromise) {
+      enginePromise = import("./local-engine").then(({ createLocalEngine }) =>
+        createLocalEngine({ inputSize: 320, ...localModel, task: "detect" })
+      );
+      enginePromise.catch(() => {
+        enginePromise = null;
+      });
+    }
+    return enginePromise;
+  };
+
+  return {
+    name: "local",
+    load,
+    detect: async (blob, { signal } = {}) => {
+      const boxes = await withTimeout(
+        load().then((engine) => engine.detect(blob)),
+        { signal, timeout }
+      );
+      return normalizeDetections(boxes);
+    },
+  };
+};
+
+/**
+ * Builds the detector described by a config, without error mapping
+ */
+const createDetector = (config) => {
+  switch (config.provider) {
+    case "proxy":
+      return createProxyDetector(config);
+    case "roboflow":
+    case "roboflow-inference":
+      return createRoboflowDetector(config.provider, config);
+    case "rest":
+      return createRestDetector(config);
+    case "mock":
+      return createMockDetector(config);
+    case "local":
+      return createLocalDetector(config);
+    default:
+      throw new Error(`Unknown detection provider: ${config.provider}`);
+  }
+};
+
+/**
+ * Builds the detector for a classifier config, or null when `detection`
+ * is not configured
+ *
+ * Whatever the detector throws is turned into a ClassifierError.
+ */
+export const createDetectionProvider = (config) => {
+  if (!config.detection) return null;
+
+  // The classifier's own endpoint and model never apply to detection
+  const detector = createDetector({
+    ...config,
+    url: null,
+    localModel: null,
+    ...config.detection,
+  });
+
+  return {
+    ...detector,
+    detect: (blob, options) =>
+      detector.detect(blob, options).catch((error) => {
+        throw toClassifierError(error);
+      }),
+  };
+};
@@ -0,0 +1,192 @@
+/**
+ * Minimal EXIF reader for JPEG files
+ *
+ * Only reads what the app needs: the orientation tag and the GPS position.
+ * Anything that is not a JPEG with an Exif APP1 segment yields the
+ * defaults, never an error.
+ */
+
+// The Exif segment sits near the start of the file
+const HEAD_BYTES = 128 * 1024;
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_GPS_IFD = 0x8825;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+const TAG_GPS_ALTITUDE_REF = 0x0005;
+const TAG_GPS_ALTITUDE = 0x0006;
+
+// Byte size of each TIFF value type, by type id
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Finds the TIFF header offset inside the Exif APP1 segment, or -1
+ */
+const findTiffOffset = (view) => {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return -1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    // Start of scan: image data follows, no more metadata
+    if (marker === 0xffda || (marker & 0xff00) !== 0xff00) return -1;
+
+    const length = view.getUint16(offset + 2);
+    const isExif =
+      marker === 0xffe1 &&
+      offset + 10 <= view.byteLength &&
+      view.getUint32(offset + 4) === 0x45786966; // "Exif"
+    if (isExif) return offset + 10;
+
+    offset += 2 + length;
+  }
+  return -1;
+};
+
+/**
+ * Reads the entries of one IFD as a map of tag to a value reader
+ */
+const readIfd = (view, tiff, ifdOffset, little) => {
+  const entries = {};
+  const start = tiff + ifdOffset;
+  if (start + 2 > view.byteLength) return entries;
+
+  const count = view.getUint16(start, little);
+  for (let i = 0; i < count; i += 1) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const valueCount = view.getUint32(entry + 4, little);
+    const size = (TYPE_SIZES[type] || 1) * valueCount;
+    // Values up to 4 bytes are stored inline, larger ones by offset
+    const valueOffset =
+      size > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+
+    entries[tag] = { type, count: valueCount, offset: valueOffset };
+  }
+  return entries;
+};
+
+/**
+ * Reads a value as a number, or a list of numbers for counts above 1
+ */
+const readValue = (view, { type, count, offset }, little) => {
+  const values = [];
+  for (let i = 0; i < count; i += 1) {
+    const at = offset + i * (TYPE_SIZES[type] || 1);
+    if (at + (TYPE_SIZES[type] || 1) > view.byteLength) break;
+
+    if (type === 3) {
+      values.push(view.getUint16(at, little));
+    } else if (type === 4) {
+      values.push(view.getUint32(at, little));
+    } else if (type === 5) {
+      const denominator = view.getUint32(at + 4, little);
+      values.push(denominator ? view.getUint32(at, little) / denominator : 0);
+    } else {
+      values.push(view.getUint8(at));
+    }
+  }
+  return count === 1 ? values[0] : values;
+};
+
+/**
+ * Converts degrees, minutes, seconds to signed decimal degrees
+ */
+const toDegrees = ([degrees = 0, minutes = 0, seconds = 0], ref) => {
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return ref === "S" || ref === "W" ? -value : value;
+};
+
+/**
+ * Reads the GPS IFD into `{ latitude, longitude, altitude }`, or null
+ */
+const readGps = (view, tiff, gpsOffset, little) => {
+  const gps = readIfd(view, tiff, gpsOffset, little);
+  if (!gps[TAG_GPS_LATITUDE] || !gps[TAG_GPS_LONGITUDE]) return null;
+
+  const ref = (tag) =>
+    gps[tag] ? String.fromCharCode(view.getUint8(gps[tag].offset)) : "";
+
+  const altitude = gps[TAG_GPS_ALTITUDE]
+    ? readValue(view, gps[TAG_GPS_ALTITUDE], little)
+    : null;
+  const belowSeaLevel =
+    gps[TAG_GPS_ALTITUDE_REF] &&
+    view.getUint8(gps[TAG_GPS_ALTITUDE_REF].offset) === 1;
+
+  return {
+    latitude: toDegrees(
+      readValue(view, gps[TAG_GPS_LATITUDE], little),
+      ref(TAG_GPS_LATITUDE_REF)
+    ),
+    longitude: toDegrees(
+      readValue(view, gps[TAG_GPS_LONGITUDE], little),
+      ref(TAG_GPS_LONGITUDE_REF)
+    ),
+    altitude: altitude === null ? null : belowSeaLevel ? -altitude : altitude,
+  };
+};
+
+/**
+ * Reads the orientation (1-8, 1 when absent) and GPS position of a JPEG
+ *
+ * Resolves with `{ orientation, gps }`, where `gps` is
+ * `{ latitude, longitude, altitude }` or null.
+ */
+export const readExif = async (blob) => {
+  const result = { orientation: 1, gps: null };
+
+  try {
+    const buffer = await blob.slice(0, HEAD_BYTES).arrayBuffer();
+    const view = new DataView(buffer);
+
+    const tiff = findTiffOffset(view);
+    if (tiff < 0 || tiff + 8 > view.byteLength) return result;
+
+    // "II" is little endian, "MM" big endian
+    const little = view.getUint16(tiff) === 0x4949;
+    const ifd0 = readIfd(view, tiff, view.getUint32(tiff + 4, little), little);
+
+    if (ifd0[TAG_ORIENTATION]) {
+      const orientation = readValue(view, ifd0[TAG_ORIENTATION], little);
+      if (orientation >= 1 && orientation <= 8) {
+        result.orientation = orientation;
+      }
+    }
+    if (ifd0[TAG_GPS_IFD]) {
+      const gpsOffset = readValue(view, ifd0[TAG_GPS_IFD], little);
+      result.gps = readGps(view, tiff, gpsOffset, little);
+    }
+  } catch (error) {
+    console.warn("Could not read EXIF data:", error);
+  }
+
+  return result;
+};
+
+/**
+ * Returns a copy of JPEG bytes with a minimal Exif segment holding only
+ * the given orientation, used to probe how the browser decodes it
+ */
+export const withOrientation = (jpegBytes, orientation) => {
+  // TIFF header, one IFD with a single SHORT entry, no next IFD
+  // prettier-ignore
+  const exif = new Uint8Array([
+    0xff, 0xe1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x01,
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00,
+  ]);
+
+  const bytes = new Uint8Array(jpegBytes.byteLength + exif.length);
+  bytes.set(jpegBytes.subarray(0, 2));
+  bytes.set(exif, 2);
+  bytes.set(jpegBytes.subarray(2), 2 + exif.length);
+  return bytes;
+};
@@ -0,0 +1,110 @@
+import { readExif, withOrientation } from "./exif";
+
+// Start and end of image, with nothing in between
+const BARE_JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+
+/**
+ * Wraps little endian TIFF bytes in a JPEG Exif APP1 segment
+ */
+const jpegWithTiff = (tiff) => {
+  const length = 2 + 6 + tiff.length;
+  return new Uint8Array([
+    0xff,
+    0xd8,
+    0xff,
+    0xe1,
+    length >> 8,
+    length & 0xff,
+    ...[0x45, 0x78, 0x69, 0x66, 0x00, 0x00], // "Exif\0\0"
+    ...tiff,
+    0xff,
+    0xd9,
+  ]);
+};
+
+/**
+ * Builds a little endian TIFF with an orientation and a GPS IFD
+ * (33° 30' 36" S, 70° 15' W, 123.4 m below sea level)
+ */
+const tiffWithGps = (orientation) => {
+  const view = new DataView(new ArrayBuffer(172));
+  let at = 0;
+  const u16 = (value) => {
+    view.setUint16(at, value, true);
+    at += 2;
+  };
+  const u32 = (value) => {
+    view.setUint32(at, value, true);
+    at += 4;
+  };
+  const entry = (tag, type, count, value) => {
+    u16(tag);
+    u16(type);
+    u32(count);
+    u32(value);
+  };
+
+  // Header, IFD0 at 8
+  u16(0x4949);
+  u16(0x2a);
+  u32(8);
+
+  // IFD0: orientation and the GPS IFD pointer, which follows at 38
+  u16(2);
+  entry(0x0112, 3, 1, orientation);
+  entry(0x8825, 4, 1, 38);
+  u32(0);
+
+  // GPS IFD: references inline, rationals from 116 on
+  u16(6);
+  entry(0x0001, 2, 2, "S".charCodeAt(0));
+  entry(0x0002, 5, 3, 116);
+  entry(0x0003, 2, 2, "W".charCodeAt(0));
+  entry(0x0004, 5, 3, 140);
+  entry(0x0005, 1, 1, 1);
+  entry(0x0006, 5, 1, 164);
+  u32(0);
+
+  [33, 1, 30, 1, 36, 1, 70, 1, 15, 1, 0, 1, 1234, 10].forEach(u32);
+  return new Uint8Array(view.buffer);
+};
+
+const toBlob = (bytes) => new Blob([bytes], { type: "image/jpeg" });
+
+describe("readExif", () => {
+  it("reads the orientation written by withOrientation", async () => {
+    const exif = await readExif(toBlob(withOrientation(BARE_JPEG, 6)));
+
+    expect(exif).toEqual({ orientation: 6, gps: null });
+  });
+
+  it("reads the GPS position as signed decimal degrees", async () => {
+    const { orientation, gps } = await readExif(
+      toBlob(jpegWithTiff(tiffWithGps(3)))
+    );
+
+    expect(orientation).toBe(3);
+    expect(gps.latitude).toBeCloseTo(-33.51);
+    expect(gps.longitude).toBeCloseTo(-70.25);
+    expect(gps.altitude).toBeCloseTo(-123.4);
+  });
+
+  it("falls back to the defaults for JPEGs without Exif", async () => {
+    expect(await readExif(toBlob(BARE_JPEG))).toEqual({
+      orientation: 1,
+      gps: null,
+    });
+  });
+
+  it("falls back to the defaults for other files", async () => {
+    const png = new Blob([new Uint8Array([0x89, 0x50, 0x4e, 0x47])]);
+
+    expect(await readExif(png)).toEqual({ orientation: 1, gps: null });
+  });
+
+  it("ignores orientations outside 1-8", async () => {
+    const exif = await readExif(toBlob(withOrientation(BARE_JPEG, 9)));
+
+    expect(exif.orientation).toBe(1);
+  });
+});
@@ -0,0 +1,268 @@
+import { plotLabel } from "./plots";
+import { createI18n } from "./i18n";
+
+/**
+ * Export of classification results as CSV, JSON or a printable report
+ *
+ * Every exporter takes "records": results as stored in the history or
+ * the session log, i.e. `{ fileName, createdAt, class, confidence,
+ * predictions, thumbnail, location, plot, quality, leaves }`.
+ */
+
+/**
+ * Flattens a record into the fields shared by every export format
+ */
+export const toExportRow = (record) => ({
+  fileName: record.fileName || "",
+  timestamp: new Date(record.createdAt).toISOString(),
+  class: record.class,
+  confidence: record.confidence,
+  lowConfidence: Boolean(record.lowConfidence),
+  latitude: record.location?.latitude ?? null,
+  longitude: record.location?.longitude ?? null,
+  locationSource: record.location?.source ?? null,
+  field: record.plot?.field ?? null,
+  plot: record.plot?.plot || null,
+  row: record.plot?.row || null,
+  sharpness: record.quality?.sharpness ?? null,
+  brightness: record.quality?.brightness ?? null,
+  greenCoverage: record.quality?.greenCoverage ?? null,
+  // Detected leaves, each with its box as fractions of the image
+  leaves: (record.leaves || []).map((leaf) => ({
+    class: leaf.class,
+    confidence: leaf.confidence,
+    box: leaf.box,
+  })),
+  probabilities: Object.fromEntries(
+    Object.entries(record.predictions || {}).map(([className, details]) => [
+      className,
+      details.confidence,
+    ])
+  ),
+});
+
+/**
+ * Quotes a CSV field when needed
+ */
+export const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document with one probability column per class
+ */
+export const toCSV = (records) => {
+  const rows = records.map(toExportRow);
+  const classes = [
+    ...new Set(rows.flatMap((row) => Object.keys(row.probabilities))),
+  ].sort();
+
+  const header = [
+    "file_name",
+    "timestamp",
+    "class",
+    "confidence",
+    "low_confidence",
+    "latitude",
+    "longitude",
+    "location_source",
+    "field",
+    "plot",
+    "row",
+    "sharpness",
+    "brightness",
+    "green_coverage",
+    "leaves",
+    ...classes.map((className) => `p_${className}`),
+  ];
+
+  const lines = rows.map((row) =>
+    [
+      row.fileName,
+      row.timestamp,
+      row.class,
+      row.confidence,
+      row.lowConfidence,
+      row.latitude,
+      row.longitude,
+      row.locationSource,
+      row.field,
+      row.plot,
+      row.row,
+      row.sharpness,
+      row.brightness,
+      row.greenCoverage,
+      row.leaves.map((leaf) => `${leaf.class} ${leaf.confidence}`).join("; "),
+      ...classes.map((className) => row.probabilities[className]),
+    ]
+      .map(csvField)
+      .join(",")
+  );
+
+  return [header.map(csvField).join(","), ...lines].join("\r\n");
+};
+
+/**
+ * Builds a pretty-printed JSON document
+ */
+export const toJSON = (records) =>
+  JSON.stringify(records.map(toExportRow), null, 2);
+
+/**
+ * Saves text or a Blob as a file through a temporary link
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+  const downloadLink = document.createElement("a");
+  downloadLink.href = url;
+  downloadLink.download = fileName;
+  document.body.appendChild(downloadLink); // Needed for Firefox
+  downloadLink.click();
+  document.body.removeChild(downloadLink);
+
+  // Firefox and Safari may still be reading the Blob right after the click
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Returns a file name stem like "leaf-results-2025-05-10-1430"
+ */
+export const exportFileStem = (date = new Date(), prefix = "leaf-results") => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${prefix}-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Builds the HTML of the printable field report, worded and formatted
+ * with `i18n` (see lib/i18n.js), English by default
+ */
+export const buildReportHtml = (records, i18n = createI18n(), title) => {
+  const { locale, t, formatNumber, formatPercent, formatDate, classLabel } =
+    i18n;
+  const reportTitle = title ?? t("report.title");
+  const counts = {};
+  records.forEach((record) => {
+    counts[record.class] = (counts[record.class] || 0) + 1;
+  });
+
+  const summaryRows = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(
+      ([className, count]) =>
+        `<tr><td>${escapeHtml(classLabel(className))}</td><td>${formatNumber(
+          count
+        )}</td><td>${formatPercent(count / records.length, 1)}</td></tr>`
+    )
+    .join("");
+
+  const formatCoordinate = (value) =>
+    formatNumber(value, {
+      minimumFractionDigits: 5,
+      maximumFractionDigits: 5,
+      useGrouping: false,
+    });
+  const header = (columns) =>
+    columns
+      .map((column) => `<th>${escapeHtml(t(`report.${column}`))}</th>`)
+      .join("");
+
+  const resultRows = records
+    .map((record) => {
+      const row = toExportRow(record);
+      const location = [
+        record.plot && plotLabel(record.plot, t),
+        row.latitude !== null &&
+          `${formatCoordinate(row.latitude)}, ${formatCoordinate(
+            row.longitude
+          )}`,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      return `<tr>
+        <td>${
+          record.thumbnail
+            ? `<img src="${escapeHtml(record.thumbnail)}" alt="">`
+            : ""
+        }</td>
+        <td>${escapeHtml(row.fileName)}</td>
+        <td>${escapeHtml(formatDate(record.createdAt))}</td>
+        <td><strong>${escapeHtml(classLabel(row.class))}</strong>${
+        row.lowConfidence ? ` ${escapeHtml(t("report.lowConfidence"))}` : ""
+      }</td>
+        <td>${formatPercent(row.confidence, 1)}</td>
+        <td>${escapeHtml(location)}</td>
+      </tr>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(reportTitle)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #064e3b; margin: 2rem; }
+  h1 { margin-bottom: 0.25rem; }
+  p.meta { color: #4b5563; margin-top: 0; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+  th, td { border-bottom: 1px solid #d1fae5; padding: 0.4rem 0.6rem; text-align: left; vertical-align: middle; }
+  th { background: #ecfdf5; }
+  td img { width: 64px; height: 64px; object-fit: cover; border-radius: 6px; }
+  tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(reportTitle)}</h1>
+<p class="meta">${escapeHtml(
+    t("report.generated", {
+      date: formatDate(Date.now()),
+      count: records.length,
+    })
+  )}</p>
+<h2>${escapeHtml(t("report.summary"))}</h2>
+<table>
+  <thead><tr>${header(["class", "images", "share"])}</tr></thead>
+  <tbody>${summaryRows}</tbody>
+</table>
+<h2>${escapeHtml(t("report.results"))}</h2>
+<table>
+  <thead><tr><th></th>${header([
+    "file",
+    "time",
+    "class",
+    "confidence",
+    "location",
+  ])}</tr></thead>
+  <tbody>${resultRows}</tbody>
+</table>
+</body>
+</html>`;
+};
+
+/**
+ * Opens the report in a new window and starts printing, from where the
+ * browser can also save it as PDF
+ */
+export const printReport = (records, i18n = createI18n()) => {
+  const reportWindow = window.open("", "_blank");
+  if (!reportWindow) {
+    throw new Error(i18n.t("export.popupBlocked"));
+  }
+
+  // Print once the thumbnails have loaded
+  reportWindow.onload = () => reportWindow.print();
+  reportWindow.document.write(buildReportHtml(records, i18n));
+  reportWindow.document.close();
+};
@@ -0,0 +1,53 @@
+import { buildReportHtml, downloadFile } from "./export";
+import { createI18n } from "./i18n";
+
+const records = [
+  {
+    fileName: "leaf.jpeg",
+    createdAt: Date.UTC(2025, 4, 10, 14, 30),
+    class: "downy mildew",
+    confidence: 0.834,
+    lowConfidence: true,
+    predictions: {},
+  },
+];
+
+describe("buildReportHtml", () => {
+  it("writes the report in English by default", () => {
+    const html = buildReportHtml(records);
+
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain("<h1>Leaf Classification Report</h1>");
+    expect(html).toContain("<strong>Downy mildew</strong> (low confidence)");
+    expect(html).toContain("83.4%");
+  });
+
+  it("words and formats the report for the given language", () => {
+    const html = buildReportHtml(records, createI18n("pt"));
+
+    expect(html).toContain('<html lang="pt">');
+    expect(html).toContain("<h2>Resumo por classe</h2>");
+    expect(html).toContain("<th>Confiança</th>");
+    expect(html).toContain("<strong>Míldio</strong> (confiança baixa)");
+    expect(html).toContain("83,4%");
+    expect(html).toContain("· 1 imagem");
+  });
+});
+
+describe("downloadFile", () => {
+  it("keeps the Blob URL until the download has started", () => {
+    jest.useFakeTimers();
+    jest.spyOn(URL, "createObjectURL").mockReturnValue("blob:export");
+    jest.spyOn(URL, "revokeObjectURL");
+    jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+
+    downloadFile("a,b", "results.csv", "text/csv");
+
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:export");
+    jest.useRealTimers();
+  });
+});
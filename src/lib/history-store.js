@@ -0,0 +1,50 @@
+import { withStore, HISTORY_STORE } from "./db";
+
+/**
+ * Classification history, persisted in IndexedDB
+ *
+ * Each entry holds the image, a thumbnail data URL, the timestamp and the
+ * full result as shown in the results card (class, confidence, rule and
+ * the raw predictions map).
+ */
+
+/**
+ * Saves a classification and resolves with the new entry's id
+ */
+export const addHistoryEntry = ({ image, thumbnail, result }) =>
+  withStore(HISTORY_STORE, "readwrite", (store) =>
+    store.add({
+      createdAt: Date.now(),
+      image,
+      thumbnail,
+      ...result,
+    })
+  );
+
+/**
+ * Resolves with every entry, newest first
+ */
+export const getHistoryEntries = async () => {
+  const entries = await withStore(HISTORY_STORE, "readonly", (store) =>
+    store.index("createdAt").getAll()
+  );
+  return entries.reverse();
+};
+
+/**
+ * Merges `changes` into an existing entry
+ */
+export const updateHistoryEntry = (id, changes) =>
+  withStore(HISTORY_STORE, "readwrite", (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...changes });
+    };
+    return request;
+  });
+
+/**
+ * Deletes one entry
+ */
+export const deleteHistoryEntry = (id) =>
+  withStore(HISTORY_STORE, "readwrite", (store) => store.delete(id));
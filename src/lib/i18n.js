@@ -0,0 +1,139 @@
+import en from "../data/messages/en.json";
+import es from "../data/messages/es.json";
+import pt from "../data/messages/pt.json";
+import enClasses from "../data/class-labels/en.json";
+import esClasses from "../data/class-labels/es.json";
+import ptClasses from "../data/class-labels/pt.json";
+import { normalizeClassName } from "./knowledge-base";
+
+/**
+ * Message catalogs and locale-aware formatting
+ *
+ * One JSON catalog per language in src/data/messages/, with nested keys
+ * looked up as "results.title". Messages take `{name}` placeholders, and
+ * a message given as `{ one, other }` is picked by the plural rules of
+ * the language for `params.count`. Keys missing from a catalog fall back
+ * to English, so a partial translation still works.
+ *
+ * Model class names are kept raw in results and exports; their display
+ * labels live in a separate map per language in src/data/class-labels/.
+ * To add a language, add both files and register them below.
+ */
+
+export const LOCALES = [
+  { code: "en", name: "English" },
+  { code: "es", name: "Español" },
+  { code: "pt", name: "Português" },
+];
+
+export const DEFAULT_LOCALE = "en";
+
+const CATALOGS = { en, es, pt };
+const CLASS_LABELS = { en: enClasses, es: esClasses, pt: ptClasses };
+
+const STORAGE_KEY = "leafClassifier.locale";
+
+/**
+ * Returns the supported locale for a tag such as "pt-BR", or the default
+ */
+export const resolveLocale = (tag) => {
+  const language = String(tag || "")
+    .toLowerCase()
+    .split("-")[0];
+  return CATALOGS[language] ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Loads the chosen language, or the browser's when none was chosen
+ */
+export const loadLocale = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) return resolveLocale(stored);
+  } catch (error) {
+    console.warn("Could not read the saved language:", error);
+  }
+  return resolveLocale(navigator.language);
+};
+
+/**
+ * Persists the chosen language
+ */
+export const saveLocale = (locale) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn("Could not save the language:", error);
+  }
+};
+
+/**
+ * Looks up a dotted key in a catalog
+ */
+const lookup = (catalog, key) =>
+  key
+    .split(".")
+    .reduce(
+      (node, part) => (node && typeof node === "object" ? node[part] : null),
+      catalog
+    );
+
+/**
+ * Creates the translation and formatting functions for a locale
+ *
+ * `t(key, params)` returns the message with its placeholders filled in,
+ * numbers formatted for the locale, or the key itself when no catalog
+ * has it. `classLabel(name)` returns the display label of a model class,
+ * or the name as the model gave it when there is no label.
+ */
+export const createI18n = (locale = DEFAULT_LOCALE) => {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const pluralRules = new Intl.PluralRules(locale);
+
+  const formatNumber = (value, options) =>
+    new Intl.NumberFormat(locale, options).format(value);
+
+  /**
+   * Formats a 0-1 share as a percentage with `digits` decimals
+   */
+  const formatPercent = (value, digits = 0) =>
+    formatNumber(value, {
+      style: "percent",
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
+
+  const formatDate = (timestamp, options) =>
+    new Date(timestamp).toLocaleString(locale, options);
+
+  const t = (key, params = {}) => {
+    let message = lookup(catalog, key) ?? lookup(CATALOGS.en, key) ?? key;
+    if (typeof message === "object") {
+      message =
+        message[pluralRules.select(params.count)] ?? message.other ?? key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return placeholder;
+      return typeof value === "number" ? formatNumber(value) : value;
+    });
+  };
+
+  const classLabel = (className) => {
+    const name = normalizeClassName(className);
+    return (
+      CLASS_LABELS[locale]?.[name] ??
+      CLASS_LABELS[DEFAULT_LOCALE][name] ??
+      className
+    );
+  };
+
+  return {
+    locale,
+    t,
+    formatNumber,
+    formatPercent,
+    formatDate,
+    classLabel,
+  };
+};
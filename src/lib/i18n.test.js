@@ -0,0 +1,100 @@
+import fs from "fs";
+import path from "path";
+import { createI18n, resolveLocale, loadLocale, saveLocale } from "./i18n";
+import en from "../data/messages/en.json";
+
+afterEach(() => localStorage.clear());
+
+describe("resolveLocale", () => {
+  it("matches regional tags to their language", () => {
+    expect(resolveLocale("pt-BR")).toBe("pt");
+    expect(resolveLocale("ES")).toBe("es");
+  });
+
+  it("falls back to English for other languages", () => {
+    expect(resolveLocale("fr-FR")).toBe("en");
+    expect(resolveLocale(undefined)).toBe("en");
+  });
+});
+
+describe("loadLocale", () => {
+  it("prefers the saved language over the browser's", () => {
+    saveLocale("es");
+
+    expect(loadLocale()).toBe("es");
+  });
+});
+
+describe("createI18n", () => {
+  it("fills in placeholders", () => {
+    const { t } = createI18n("es");
+
+    expect(t("classifier.retrying", { attempt: 2, total: 3 })).toBe(
+      "Reintentando (intento 2 de 3)"
+    );
+  });
+
+  it("picks the plural form for the count", () => {
+    const { t } = createI18n("en");
+
+    expect(t("leaves.found", { count: 1 })).toBe("1 leaf found");
+    expect(t("leaves.found", { count: 3 })).toBe("3 leaves found");
+  });
+
+  it("formats numbers for the language", () => {
+    const { t, formatPercent } = createI18n("pt");
+
+    expect(formatPercent(0.456, 1)).toBe("45,6%");
+    expect(t("offline.waiting", { count: 1200 })).toBe("1.200 aguardando");
+  });
+
+  it("falls back to English, then to the key", () => {
+    const { t } = createI18n("fr");
+
+    expect(t("tabs.camera")).toBe("Camera");
+    expect(t("missing.key")).toBe("missing.key");
+  });
+
+  it("labels classes however the model names them", () => {
+    const { classLabel } = createI18n("es");
+
+    expect(classLabel("Downy_Mildew")).toBe("Mildiu");
+    expect(classLabel("anthracnose")).toBe("anthracnose");
+  });
+});
+
+describe("en catalog", () => {
+  const SRC = path.join(__dirname, "..");
+
+  const sourceFiles = (dir) =>
+    fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) return sourceFiles(file);
+      return /\.jsx?$/.test(entry.name) && !/\.test\.jsx?$/.test(entry.name)
+        ? [file]
+        : [];
+    });
+
+  const usedKeys = sourceFiles(SRC).flatMap((file) =>
+    [...fs.readFileSync(file, "utf8").matchAll(/\bt\(\s*"([^"]+)"/g)].map(
+      ([, key]) => [path.relative(SRC, file), key]
+    )
+  );
+
+  const lookup = (key) =>
+    key.split(".").reduce((node, part) => node?.[part], en);
+
+  it("has every key the source looks up", () => {
+    const missing = usedKeys
+      .filter(([, key]) => {
+        const message = lookup(key);
+        return (
+          typeof message !== "string" && typeof message?.other !== "string"
+        );
+      })
+      .map(([file, key]) => `${file}: ${key}`);
+
+    expect(usedKeys.length).toBeGreaterThan(100);
+    expect(missing).toEqual([]);
+  });
+});
@@ -0,0 +1,93 @@
+import { canvasToBlob } from "./image-utils";
+
+/**
+ * Crop and rotate helpers for the capture framing guide and the editor
+ *
+ * Boxes are `{ x, y, width, height }` in fractions of the image, so they
+ * hold across resolutions and display sizes.
+ */
+
+export const FULL_BOX = { x: 0, y: 0, width: 1, height: 1 };
+
+// Smallest box side, as a fraction of the image
+const MIN_BOX_SIZE = 0.1;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Moves a box, or one of its corners ("nw", "ne", "sw", "se"), by a
+ * fractional offset, keeping it inside the image
+ */
+export const adjustBox = (box, mode, dx, dy) => {
+  if (mode === "move") {
+    return {
+      ...box,
+      x: clamp(box.x + dx, 0, 1 - box.width),
+      y: clamp(box.y + dy, 0, 1 - box.height),
+    };
+  }
+
+  let { x, y } = box;
+  let right = box.x + box.width;
+  let bottom = box.y + box.height;
+
+  if (mode.includes("w")) x = clamp(x + dx, 0, right - MIN_BOX_SIZE);
+  if (mode.includes("e")) right = clamp(right + dx, x + MIN_BOX_SIZE, 1);
+  if (mode.includes("n")) y = clamp(y + dy, 0, bottom - MIN_BOX_SIZE);
+  if (mode.includes("s")) bottom = clamp(bottom + dy, y + MIN_BOX_SIZE, 1);
+
+  return { x, y, width: right - x, height: bottom - y };
+};
+
+/**
+ * Converts a box to a pixel rectangle of a `width` x `height` image
+ */
+export const boxToPixels = (box, width, height) => ({
+  x: Math.round(box.x * width),
+  y: Math.round(box.y * height),
+  width: Math.max(1, Math.round(box.width * width)),
+  height: Math.max(1, Math.round(box.height * height)),
+});
+
+/**
+ * Draws an image rotated by `rotation` degrees (a multiple of 90) and
+ * cropped to `crop`, a box in the rotated image, onto `canvas`
+ */
+export const drawEdited = (canvas, img, { rotation, crop }, scale = 1) => {
+  const turned = rotation % 180 !== 0;
+  const rotatedWidth = turned ? img.height : img.width;
+  const rotatedHeight = turned ? img.width : img.height;
+  const region = boxToPixels(crop, rotatedWidth, rotatedHeight);
+
+  canvas.width = Math.round(region.width * scale);
+  canvas.height = Math.round(region.height * scale);
+
+  const context = canvas.getContext("2d");
+  context.imageSmoothingQuality = "high";
+  context.scale(scale, scale);
+  context.translate(-region.x, -region.y);
+  context.translate(rotatedWidth / 2, rotatedHeight / 2);
+  context.rotate((rotation * Math.PI) / 180);
+  context.drawImage(img, -img.width / 2, -img.height / 2);
+};
+
+/**
+ * Applies the editor's rotation and crop to the decoded `img` of `source`
+ *
+ * Resolves with a File named after the source, or the source itself when
+ * nothing was changed.
+ */
+export const editImage = async (img, source, { rotation, crop }) => {
+  const unchanged =
+    rotation === 0 &&
+    Object.keys(FULL_BOX).every((key) => crop[key] === FULL_BOX[key]);
+  if (unchanged) return source;
+
+  const canvas = document.createElement("canvas");
+  drawEdited(canvas, img, { rotation, crop });
+
+  // High quality, the preprocessing step re-encodes the image anyway
+  const blob = await canvasToBlob(canvas, "image/jpeg", 0.95);
+  const name = (source.name || "capture").replace(/\.[^.]+$/, "") + ".jpg";
+  return new File([blob], name, { type: "image/jpeg" });
+};
@@ -0,0 +1,121 @@
+/**
+ * Validation and collection of images coming from file inputs, drops and
+ * the clipboard
+ */
+
+// Largest file accepted when preprocessing shrinks images before they are
+// sent; without it the backend's limit applies, `maxImageBytes` in the
+// classifier config
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const ACCEPTED_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "image/bmp",
+  "image/heic",
+  "image/heif",
+];
+
+// Reasons a file is rejected, the UI words them
+export const REJECT_TYPE = "type";
+export const REJECT_SIZE = "size";
+
+/**
+ * Returns why a file can't be classified, as `{ reason, name, limit }`
+ * with the size limit in MB, or null when it can
+ */
+export const validateImageFile = (file, maxBytes = MAX_IMAGE_BYTES) => {
+  const name = file.name || "";
+  // Some systems give HEIC photos no MIME type, go by the extension
+  const isHeicName = !file.type && /\.(heic|heif)$/i.test(name);
+  if (!ACCEPTED_TYPES.includes(file.type) && !isHeicName) {
+    return { reason: REJECT_TYPE, name };
+  }
+  if (file.size > maxBytes) {
+    return {
+      reason: REJECT_SIZE,
+      name,
+      limit: Math.round(maxBytes / (1024 * 1024)),
+    };
+  }
+  return null;
+};
+
+/**
+ * Splits files into valid images and the rejections for the rest
+ */
+export const partitionImageFiles = (files, maxBytes = MAX_IMAGE_BYTES) => {
+  const valid = [];
+  const errors = [];
+
+  files.forEach((file) => {
+    const error = validateImageFile(file, maxBytes);
+    if (error) {
+      errors.push(error);
+    } else {
+      valid.push(file);
+    }
+  });
+
+  return { valid, errors };
+};
+
+/**
+ * Returns the first http(s) URL carried by a drag or paste, if any
+ *
+ * Images dragged from another tab arrive as text/uri-list, plain links
+ * pasted as text/plain.
+ */
+export const getTransferUrl = (dataTransfer) => {
+  const text =
+    dataTransfer.getData("text/uri-list") || dataTransfer.getData("text/plain");
+
+  const url = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .find((line) => line && !line.startsWith("#"));
+
+  return url && /^https?:\/\//i.test(url) ? url : null;
+};
+
+/**
+ * Downloads an image URL into a File
+ *
+ * Only works for servers that allow cross-origin reads (CORS). Failed
+ * downloads reject with an Error carrying the HTTP `status`, or a null
+ * status when the request itself failed.
+ */
+export const fetchImageFile = async (url) => {
+  const fail = (message, status = null) =>
+    Object.assign(new Error(message), { status });
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw fail("Could not download the image");
+  }
+
+  if (!response.ok) {
+    throw fail(
+      `Could not download the image (HTTP ${response.status})`,
+      response.status
+    );
+  }
+
+  const blob = await response.blob();
+  const name = new URL(url).pathname.split("/").pop() || "dropped-image";
+
+  return new File([blob], name, { type: blob.type });
+};
+
+/**
+ * Returns the name of the folder a picked file sits in, used as its label
+ * for labelled folder uploads, or null for loose files
+ */
+export const labelFromPath = (file) => {
+  const parts = (file.webkitRelativePath || "").split("/");
+  return parts.length >= 2 ? parts[parts.length - 2] : null;
+};
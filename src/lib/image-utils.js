@@ -0,0 +1,107 @@
+/**
+ * Image helpers shared by the capture, upload and history code
+ */
+
+/**
+ * Decodes a Blob into an HTMLImageElement
+ */
+export const loadImage = (blob) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not decode image"));
+    };
+    img.src = url;
+  });
+
+/**
+ * Encodes a canvas into a Blob
+ */
+export const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not encode image")),
+      type,
+      quality
+    )
+  );
+
+/**
+ * Formats a byte count for display in a locale, e.g. "1.4 MB"
+ */
+export const formatBytes = (bytes, locale) => {
+  const format = (value, digits) =>
+    value.toLocaleString(locale, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
+  if (bytes < 1024) return `${format(bytes, 0)} B`;
+  if (bytes < 1024 * 1024) return `${format(bytes / 1024, 0)} KB`;
+  return `${format(bytes / (1024 * 1024), 1)} MB`;
+};
+
+/**
+ * Creates a small JPEG data URL of an image, longest side `maxSize` pixels
+ */
+export const createThumbnail = async (blob, maxSize = 160) => {
+  const img = await loadImage(blob);
+  const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(img.width * scale);
+  canvas.height = Math.round(img.height * scale);
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  return canvas.toDataURL("image/jpeg", 0.8);
+};
+
+/**
+ * Whether every pixel of a canvas is fully transparent, i.e. nothing was
+ * drawn on it yet
+ */
+export const isCanvasEmpty = (canvas) => {
+  const context = canvas.getContext("2d");
+  const pixelBuffer = new Uint32Array(
+    context.getImageData(0, 0, canvas.width, canvas.height).data.buffer
+  );
+  return !pixelBuffer.some((color) => color !== 0);
+};
+
+/**
+ * Converts a data URL to a Blob
+ */
+export const dataURLtoBlob = (dataUrl) => {
+  try {
+    const arr = dataUrl.split(",");
+    if (arr.length < 2) {
+      throw new Error("Invalid data URL format");
+    }
+
+    const mimeMatch = arr[0].match(/:(.*?);/);
+    if (!mimeMatch) {
+      throw new Error("Could not extract MIME type");
+    }
+
+    const mime = mimeMatch[1];
+    const bstr = atob(arr[1]);
+    let n = bstr.length;
+    const u8arr = new Uint8Array(n);
+
+    while (n--) {
+      u8arr[n] = bstr.charCodeAt(n);
+    }
+
+    return new Blob([u8arr], { type: mime });
+  } catch (error) {
+    console.error("Error converting data URL to blob:", error);
+    return new Blob([], { type: "image/jpeg" }); // Return empty blob as fallback
+  }
+};
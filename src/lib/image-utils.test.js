@@ -0,0 +1,47 @@
+import { dataURLtoBlob, isCanvasEmpty, formatBytes } from "./image-utils";
+
+describe("dataURLtoBlob", () => {
+  it("decodes the payload and keeps the MIME type", async () => {
+    const blob = dataURLtoBlob("data:image/png;base64,AAEC");
+
+    expect(blob.type).toBe("image/png");
+    expect(blob.size).toBe(3);
+    expect([...new Uint8Array(await blob.arrayBuffer())]).toEqual([0, 1, 2]);
+  });
+
+  it("returns an empty JPEG Blob for malformed input", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const blob = dataURLtoBlob("not a data url");
+
+    expect(blob.size).toBe(0);
+    expect(blob.type).toBe("image/jpeg");
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe("isCanvasEmpty", () => {
+  it("is true until something is drawn", () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = 4;
+    canvas.height = 4;
+    expect(isCanvasEmpty(canvas)).toBe(true);
+
+    canvas.getContext("2d").drawImage(document.createElement("img"), 0, 0);
+    expect(isCanvasEmpty(canvas)).toBe(false);
+  });
+});
+
+describe("formatBytes", () => {
+  it.each([
+    [512, "512 B"],
+    [2048, "2 KB"],
+    [1.5 * 1024 * 1024, "1.5 MB"],
+  ])("formats %d as %s", (bytes, text) => {
+    expect(formatBytes(bytes)).toBe(text);
+  });
+
+  it("uses the decimal separator of the locale", () => {
+    expect(formatBytes(1.5 * 1024 * 1024, "pt")).toBe("1,5 MB");
+  });
+});
@@ -0,0 +1,83 @@
+import en from "../data/knowledge-base/en.json";
+import es from "../data/knowledge-base/es.json";
+import pt from "../data/knowledge-base/pt.json";
+
+/**
+ * Disease knowledge base
+ *
+ * One JSON file per language in src/data/knowledge-base/, mapping each
+ * model class to a description, symptoms, severity, recommended actions
+ * and reference images, plus retake tips for the "undefined" result.
+ * Classes are matched on their name or `aliases`, ignoring case, dashes
+ * and underscores, so the files work with differently named models.
+ *
+ * Reference images are `{ src, caption }`, with `src` relative to the
+ * public folder (e.g. "knowledge/downy-mildew.jpg") or an absolute URL.
+ * To add a language, add its file and register it below.
+ */
+
+const KNOWLEDGE_BASES = { en, es, pt };
+
+export const DEFAULT_KNOWLEDGE_LOCALE = "en";
+
+/**
+ * Normalizes a class name for matching: lower case, dashes and
+ * underscores as spaces. Used wherever class names from different
+ * sources meet, so "downy_mildew" matches the model's "Downy Mildew".
+ */
+export const normalizeClassName = (name) =>
+  String(name).toLowerCase().replace(/[_-]+/g, " ").replace(/\s+/g, " ").trim();
+
+/**
+ * Whether two class names refer to the same class
+ */
+export const isSameClass = (a, b) =>
+  normalizeClassName(a) === normalizeClassName(b);
+
+/**
+ * Returns the knowledge base for a locale such as "es" or "pt-BR",
+ * falling back to English
+ */
+export const getKnowledgeBase = (locale = DEFAULT_KNOWLEDGE_LOCALE) =>
+  KNOWLEDGE_BASES[locale] ||
+  KNOWLEDGE_BASES[locale.split("-")[0]] ||
+  KNOWLEDGE_BASES[DEFAULT_KNOWLEDGE_LOCALE];
+
+/**
+ * Finds the entry for a predicted class, or null when there is none
+ */
+export const findKnowledgeEntry = (className, locale) => {
+  const { classes } = getKnowledgeBase(locale);
+  const wanted = normalizeClassName(className);
+
+  const match = Object.entries(classes).find(
+    ([key, entry]) =>
+      normalizeClassName(key) === wanted ||
+      (entry.aliases || []).some(
+        (alias) => normalizeClassName(alias) === wanted
+      )
+  );
+  return match ? match[1] : null;
+};
+
+// Colours used to mark classes on images, maps and grids, by severity
+const SEVERITY_COLORS = {
+  none: "#10b981",
+  low: "#84cc16",
+  moderate: "#f59e0b",
+  high: "#ef4444",
+};
+const UNKNOWN_SEVERITY_COLOR = "#9ca3af";
+
+/**
+ * Returns the marker colour for a class, grey when its severity is unknown
+ */
+export const severityColor = (className, locale) =>
+  SEVERITY_COLORS[findKnowledgeEntry(className, locale)?.severity] ||
+  UNKNOWN_SEVERITY_COLOR;
+
+/**
+ * Resolves a reference image path against the public folder
+ */
+export const resolveImageUrl = (src) =>
+  /^(https?:|data:|\/)/.test(src) ? src : `${process.env.PUBLIC_URL}/${src}`;
@@ -0,0 +1,32 @@
+import fs from "fs";
+import path from "path";
+import { getKnowledgeBase, findKnowledgeEntry } from "./knowledge-base";
+
+const PUBLIC_DIR = path.join(__dirname, "../../public");
+
+describe.each(["en", "es", "pt"])("%s knowledge base", (locale) => {
+  const { classes } = getKnowledgeBase(locale);
+
+  it.each(Object.keys(classes))(
+    "has a captioned reference image for %s",
+    (className) => {
+      const { images } = classes[className];
+
+      expect(images.length).toBeGreaterThan(0);
+      images.forEach(({ src, caption }) => {
+        expect(caption).toBeTruthy();
+        expect(fs.existsSync(path.join(PUBLIC_DIR, src))).toBe(true);
+      });
+    }
+  );
+});
+
+describe("findKnowledgeEntry", () => {
+  it("matches names and aliases ignoring case, dashes and underscores", () => {
+    expect(findKnowledgeEntry("Downy_Mildew", "en").name).toBe("Downy mildew");
+    expect(findKnowledgeEntry("bremia-lactucae", "en").name).toBe(
+      "Downy mildew"
+    );
+    expect(findKnowledgeEntry("unknown disease", "en")).toBeNull();
+  });
+});
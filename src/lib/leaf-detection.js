@@ -0,0 +1,71 @@
+import { loadImage, canvasToBlob } from "./image-utils";
+
+/**
+ * Multi-leaf images: picking the detected leaves worth classifying and
+ * cutting them out of the image
+ */
+
+export const DEFAULT_DETECTION_OPTIONS = {
+  // Boxes below this confidence are ignored
+  minConfidence: 0.4,
+  // At most this many leaves are classified per image
+  maxLeaves: 6,
+  // Margin added around each box, as a fraction of its size
+  padding: 0.1,
+};
+
+/**
+ * Reads the detection options from the classifier config
+ */
+export const getDetectionOptions = (config) => ({
+  ...DEFAULT_DETECTION_OPTIONS,
+  ...Object.fromEntries(
+    Object.keys(DEFAULT_DETECTION_OPTIONS)
+      .filter((key) => config.detection?.[key] !== undefined)
+      .map((key) => [key, config.detection[key]])
+  ),
+});
+
+/**
+ * Keeps the most confident boxes, best first
+ */
+export const selectLeaves = (boxes, { minConfidence, maxLeaves }) =>
+  boxes
+    .filter((box) => box.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, maxLeaves);
+
+/**
+ * Cuts each box, grown by `padding`, out of an image and resolves with
+ * one JPEG Blob per box
+ */
+export const cropLeaves = async (blob, boxes, { padding }) => {
+  const img = await loadImage(blob);
+
+  return Promise.all(
+    boxes.map((box) => {
+      const left = Math.max(0, box.x - box.width * padding);
+      const top = Math.max(0, box.y - box.height * padding);
+      const right = Math.min(1, box.x + box.width * (1 + padding));
+      const bottom = Math.min(1, box.y + box.height * (1 + padding));
+
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round((right - left) * img.width));
+      canvas.height = Math.max(1, Math.round((bottom - top) * img.height));
+      canvas
+        .getContext("2d")
+        .drawImage(
+          img,
+          left * img.width,
+          top * img.height,
+          canvas.width,
+          canvas.height,
+          0,
+          0,
+          canvas.width,
+          canvas.height
+        );
+      return canvasToBlob(canvas, "image/jpeg", 0.92);
+    })
+  );
+};
@@ -0,0 +1,88 @@
+import { loadImage } from "./image-utils";
+
+/**
+ * Main-thread side of the on-device inference worker
+ *
+ * Kept in its own module and imported lazily, so the worker and
+ * TensorFlow.js are only bundled into a chunk loaded when local
+ * inference is actually used.
+ */
+
+/**
+ * Resizes an image Blob to the model input and returns its RGBA pixels
+ */
+const toModelInput = async (blob, size) => {
+  const img = await loadImage(blob);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext("2d");
+  context.drawImage(img, 0, 0, size, size);
+
+  const { data } = context.getImageData(0, 0, size, size);
+  return { data: data.buffer, width: size, height: size };
+};
+
+/**
+ * Starts the worker and loads the model described by `model`
+ *
+ * Resolves with `{ classify(blob), detect(blob) }` once the model is
+ * ready; `detect` needs a detection model (`task: "detect"`).
+ */
+export const createLocalEngine = (model) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("../workers/local-inference.worker.js", import.meta.url)
+    );
+
+    const pending = new Map();
+    let nextId = 1;
+
+    worker.onmessage = ({ data: message }) => {
+      if (message.type === "loaded") {
+        resolve({ classify, detect });
+        return;
+      }
+
+      const request = pending.get(message.id);
+      if (message.type === "error" && !request) {
+        // Errors without a request id come from loading the model
+        worker.terminate();
+        reject(new Error(`Could not load local model: ${message.message}`));
+        return;
+      }
+      if (!request) return;
+
+      pending.delete(message.id);
+      if (message.type === "result") {
+        request.resolve(message.predictions);
+      } else if (message.type === "boxes") {
+        request.resolve(message.boxes);
+      } else {
+        request.reject(new Error(message.message));
+      }
+    };
+
+    // Fails the model load, or every request in flight once it is loaded
+    worker.onerror = (event) => {
+      const error = new Error(event.message || "Local inference worker failed");
+      reject(error);
+      pending.forEach((request) => request.reject(error));
+      pending.clear();
+    };
+
+    const run = async (type, blob) => {
+      const image = await toModelInput(blob, model.inputSize || 224);
+      const id = nextId++;
+
+      return new Promise((resolveRequest, rejectRequest) => {
+        pending.set(id, { resolve: resolveRequest, reject: rejectRequest });
+        worker.postMessage({ type, id, image }, [image.data]);
+      });
+    };
+    const classify = (blob) => run("classify", blob);
+    const detect = (blob) => run("detect", blob);
+
+    worker.postMessage({ type: "load", model });
+  });
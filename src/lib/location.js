@@ -0,0 +1,62 @@
+import { readExif } from "./exif";
+
+/**
+ * Where a capture was taken
+ *
+ * A location is `{ latitude, longitude, altitude, accuracy, source }`,
+ * with `source` telling whether it came from the photo's EXIF GPS tags or
+ * from the browser's geolocation.
+ */
+
+export const LOCATION_EXIF = "exif";
+export const LOCATION_DEVICE = "device";
+
+/**
+ * Resolves with the device position, or null when it is unavailable or
+ * the user declined
+ */
+export const getDevicePosition = ({
+  timeout = 10000,
+  maximumAge = 60000,
+} = {}) =>
+  new Promise((resolve) => {
+    if (!navigator.geolocation) {
+      resolve(null);
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) =>
+        resolve({
+          latitude: coords.latitude,
+          longitude: coords.longitude,
+          altitude: coords.altitude,
+          accuracy: coords.accuracy,
+          source: LOCATION_DEVICE,
+        }),
+      (error) => {
+        console.warn("Could not get the device location:", error.message);
+        resolve(null);
+      },
+      // Recent fixes are fine, captures in a row come from the same spot
+      { enableHighAccuracy: true, timeout, maximumAge }
+    );
+  });
+
+/**
+ * Finds where an image was taken: the GPS position in its EXIF data
+ * first, then the device position when `useDevice` is set
+ *
+ * Never rejects; resolves with null when nothing is known.
+ */
+export const findLocation = async (blob, { useDevice = false } = {}) => {
+  const { gps } = await readExif(blob);
+  if (gps) return { ...gps, accuracy: null, source: LOCATION_EXIF };
+  return useDevice ? getDevicePosition() : null;
+};
+
+/**
+ * Formats a location as "52.12345, 4.67890"
+ */
+export const formatLocation = (location) =>
+  `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`;
@@ -0,0 +1,174 @@
+import { FALLBACK_UNDEFINED } from "./settings";
+import { normalizeClassName } from "./knowledge-base";
+import {
+  UNDEFINED_CLASS,
+  pickBestPrediction,
+  rankPredictions,
+} from "./predictions";
+
+/**
+ * Accuracy metrics over labelled results
+ *
+ * A sample is a labelled record reduced to `{ actual, predictions }`: the
+ * true class and the raw predictions map, so the threshold rules can be
+ * applied again with other settings.
+ */
+
+/**
+ * Turns labelled records (history entries or batch results with a
+ * `groundTruth`) into samples
+ */
+export const toSamples = (records) =>
+  records
+    .filter((record) => record.groundTruth && record.predictions)
+    .map((record) => ({
+      actual: normalizeClassName(record.groundTruth.class),
+      predictions: record.predictions,
+    }));
+
+const ratio = (part, whole) => (whole ? part / whole : null);
+
+/**
+ * Applies the settings to every sample and measures the outcome
+ *
+ * Returns `{ total, correct, accuracy, undefinedCount, labels, matrix,
+ * classes }`. `matrix[actual][predicted]` counts samples, with "undefined"
+ * as an extra predicted column; `classes` holds per-class support,
+ * precision, recall and F1. Undefined results count as misses for recall.
+ */
+export const evaluate = (samples, settings) => {
+  const outcomes = samples.map((sample) => ({
+    actual: sample.actual,
+    predicted: normalizeClassName(
+      pickBestPrediction(sample.predictions, settings).class
+    ),
+  }));
+
+  const labels = [
+    ...new Set(
+      outcomes.flatMap(({ actual, predicted }) => [actual, predicted])
+    ),
+  ]
+    .filter((label) => label !== UNDEFINED_CLASS)
+    .sort();
+
+  const matrix = {};
+  outcomes.forEach(({ actual, predicted }) => {
+    matrix[actual] = matrix[actual] || {};
+    matrix[actual][predicted] = (matrix[actual][predicted] || 0) + 1;
+  });
+
+  const classes = labels.map((label) => {
+    const support = outcomes.filter((o) => o.actual === label).length;
+    const predictedCount = outcomes.filter((o) => o.predicted === label).length;
+    const truePositives = matrix[label]?.[label] || 0;
+    const precision = ratio(truePositives, predictedCount);
+    const recall = ratio(truePositives, support);
+
+    return {
+      class: label,
+      support,
+      predictedCount,
+      truePositives,
+      precision,
+      recall,
+      f1:
+        precision === null || recall === null
+          ? null
+          : precision + recall
+          ? (2 * precision * recall) / (precision + recall)
+          : 0,
+    };
+  });
+
+  const correct = outcomes.filter((o) => o.actual === o.predicted).length;
+  return {
+    total: outcomes.length,
+    correct,
+    accuracy: ratio(correct, outcomes.length),
+    undefinedCount: outcomes.filter((o) => o.predicted === UNDEFINED_CLASS)
+      .length,
+    labels,
+    matrix,
+    classes,
+  };
+};
+
+/**
+ * Compares the top class confidence with how often it is right
+ *
+ * Splits samples into `bins` equal confidence ranges and returns
+ * `{ bins: [{ from, to, count, meanConfidence, accuracy }], ece }`, where
+ * `ece` is the expected calibration error: the gap between confidence
+ * and accuracy, weighted by the share of samples in each bin.
+ */
+export const calibration = (samples, binCount = 10) => {
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    from: index / binCount,
+    to: (index + 1) / binCount,
+    count: 0,
+    confidenceSum: 0,
+    correct: 0,
+  }));
+
+  samples.forEach((sample) => {
+    const [top] = rankPredictions(sample.predictions);
+    if (!top) return;
+
+    const bin =
+      bins[Math.min(Math.floor(top.confidence * binCount), binCount - 1)];
+    bin.count += 1;
+    bin.confidenceSum += top.confidence;
+    if (normalizeClassName(top.class) === sample.actual) bin.correct += 1;
+  });
+
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+  const ece = bins.reduce(
+    (sum, bin) =>
+      bin.count
+        ? sum +
+          (bin.count / total) *
+            Math.abs(bin.correct / bin.count - bin.confidenceSum / bin.count)
+        : sum,
+    0
+  );
+
+  return {
+    bins: bins.map(({ from, to, count, confidenceSum, correct }) => ({
+      from,
+      to,
+      count,
+      meanConfidence: ratio(confidenceSum, count),
+      accuracy: ratio(correct, count),
+    })),
+    ece: total ? ece : null,
+  };
+};
+
+export const SWEEP_THRESHOLDS = Array.from({ length: 20 }, (_, i) => i / 20);
+
+/**
+ * Measures what moving the global threshold would do
+ *
+ * Per-class minimums are left out, and results below the threshold are
+ * always reported as "undefined". For each threshold returns `{ threshold,
+ * coverage, accuracy, acceptedAccuracy }`: the share of samples that get
+ * a class, the share classified correctly, and the accuracy among those
+ * that get a class.
+ */
+export const thresholdSweep = (samples, thresholds = SWEEP_THRESHOLDS) =>
+  thresholds.map((threshold) => {
+    const result = evaluate(samples, {
+      threshold,
+      fallback: FALLBACK_UNDEFINED,
+      classThresholds: {},
+    });
+    const accepted = result.total - result.undefinedCount;
+
+    return {
+      threshold,
+      coverage: ratio(accepted, result.total),
+      accuracy: result.accuracy,
+      acceptedAccuracy: ratio(result.correct, accepted),
+    };
+  });
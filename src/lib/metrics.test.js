@@ -0,0 +1,213 @@
+import {
+  toSamples,
+  evaluate,
+  calibration,
+  thresholdSweep,
+  SWEEP_THRESHOLDS,
+} from "./metrics";
+import { FALLBACK_UNDEFINED } from "./settings";
+
+const SETTINGS = {
+  threshold: 0.5,
+  fallback: FALLBACK_UNDEFINED,
+  classThresholds: {},
+};
+
+const sample = (actual, predictions) => ({
+  actual,
+  predictions: Object.fromEntries(
+    Object.entries(predictions).map(([name, confidence]) => [
+      name,
+      { confidence },
+    ])
+  ),
+});
+
+// Right, wrong, right, and right but below the threshold
+const SAMPLES = [
+  sample("healthy", { healthy: 0.9, "downy mildew": 0.1 }),
+  sample("healthy", { "downy mildew": 0.7, healthy: 0.3 }),
+  sample("downy mildew", { "downy mildew": 0.8, healthy: 0.2 }),
+  sample("downy mildew", { "downy mildew": 0.3, healthy: 0.2 }),
+];
+
+describe("toSamples", () => {
+  it("keeps labelled records with predictions and normalizes the label", () => {
+    const predictions = { "downy mildew": { confidence: 0.8 } };
+
+    expect(
+      toSamples([
+        { groundTruth: { class: "Downy_Mildew" }, predictions },
+        { groundTruth: null, predictions },
+        { groundTruth: { class: "healthy" } },
+      ])
+    ).toEqual([{ actual: "downy mildew", predictions }]);
+  });
+});
+
+describe("evaluate", () => {
+  it("measures accuracy with undefined results counted as misses", () => {
+    expect(evaluate(SAMPLES, SETTINGS)).toMatchObject({
+      total: 4,
+      correct: 2,
+      accuracy: 0.5,
+      undefinedCount: 1,
+      // Sorted, and "undefined" is only a column of the matrix
+      labels: ["downy mildew", "healthy"],
+    });
+  });
+
+  it("builds the confusion matrix by actual then predicted class", () => {
+    expect(evaluate(SAMPLES, SETTINGS).matrix).toEqual({
+      healthy: { healthy: 1, "downy mildew": 1 },
+      "downy mildew": { "downy mildew": 1, undefined: 1 },
+    });
+  });
+
+  it("computes precision, recall and F1 per class", () => {
+    const [downyMildew, healthy] = evaluate(SAMPLES, SETTINGS).classes;
+
+    expect(healthy).toMatchObject({
+      support: 2,
+      predictedCount: 1,
+      truePositives: 1,
+      precision: 1,
+      recall: 0.5,
+    });
+    expect(healthy.f1).toBeCloseTo(2 / 3);
+    expect(downyMildew).toMatchObject({
+      support: 2,
+      predictedCount: 2,
+      precision: 0.5,
+      recall: 0.5,
+      f1: 0.5,
+    });
+  });
+
+  it("handles classes that are never predicted or never right", () => {
+    const { classes } = evaluate(
+      [sample("tipburn", { healthy: 0.9 }), sample("healthy", { fungal: 0.9 })],
+      SETTINGS
+    );
+    const byClass = Object.fromEntries(
+      classes.map((entry) => [entry.class, entry])
+    );
+
+    expect(byClass.tipburn).toMatchObject({
+      support: 1,
+      predictedCount: 0,
+      precision: null,
+      recall: 0,
+      f1: null,
+    });
+    expect(byClass.healthy).toMatchObject({ precision: 0, recall: 0, f1: 0 });
+    // Predicted but never the true class: no recall to divide by
+    expect(byClass.fungal).toMatchObject({
+      support: 0,
+      precision: 0,
+      recall: null,
+      f1: null,
+    });
+  });
+
+  it("returns empty metrics without samples", () => {
+    expect(evaluate([], SETTINGS)).toEqual({
+      total: 0,
+      correct: 0,
+      accuracy: null,
+      undefinedCount: 0,
+      labels: [],
+      matrix: {},
+      classes: [],
+    });
+  });
+});
+
+describe("calibration", () => {
+  it("puts confidences on bin edges in the upper bin, and 1 in the last", () => {
+    const { bins } = calibration([
+      sample("healthy", { healthy: 0 }),
+      sample("healthy", { healthy: 0.5 }),
+      sample("healthy", { healthy: 0.6 }),
+      sample("healthy", { healthy: 1 }),
+    ]);
+
+    expect(bins.map((bin) => bin.count)).toEqual([
+      1, 0, 0, 0, 0, 1, 1, 0, 0, 1,
+    ]);
+    expect(bins[5]).toMatchObject({ from: 0.5, to: 0.6, accuracy: 1 });
+    expect(bins[9].meanConfidence).toBe(1);
+  });
+
+  it("weighs the confidence gap of each bin by its share of samples", () => {
+    const { bins, ece } = calibration(
+      [
+        sample("healthy", { healthy: 0.9 }),
+        sample("tipburn", { healthy: 0.9 }),
+        sample("healthy", { healthy: 0.3 }),
+        sample("healthy", { healthy: 0.3 }),
+      ],
+      5
+    );
+
+    expect(bins[4]).toMatchObject({ count: 2, accuracy: 0.5 });
+    expect(bins[4].meanConfidence).toBeCloseTo(0.9);
+    expect(bins[1]).toMatchObject({ count: 2, accuracy: 1 });
+    // Half the samples 0.4 too confident, half 0.7 too cautious
+    expect(ece).toBeCloseTo(0.55);
+  });
+
+  it("leaves empty bins and the error empty without predictions", () => {
+    const { bins, ece } = calibration([sample("healthy", {})], 4);
+
+    expect(ece).toBeNull();
+    expect(bins).toHaveLength(4);
+    bins.forEach((bin) =>
+      expect(bin).toMatchObject({
+        count: 0,
+        meanConfidence: null,
+        accuracy: null,
+      })
+    );
+  });
+});
+
+describe("thresholdSweep", () => {
+  it("trades coverage for accuracy as the threshold rises", () => {
+    const [none, half, high] = thresholdSweep(SAMPLES, [0, 0.5, 0.95]);
+
+    expect(none).toEqual({
+      threshold: 0,
+      coverage: 1,
+      accuracy: 0.75,
+      acceptedAccuracy: 0.75,
+    });
+    expect(half).toMatchObject({ coverage: 0.75, accuracy: 0.5 });
+    expect(half.acceptedAccuracy).toBeCloseTo(2 / 3);
+    expect(high).toEqual({
+      threshold: 0.95,
+      coverage: 0,
+      accuracy: 0,
+      acceptedAccuracy: null,
+    });
+  });
+
+  it("sweeps from 0 to 0.95 in steps of 0.05 by default", () => {
+    const sweep = thresholdSweep(SAMPLES);
+
+    expect(sweep.map((point) => point.threshold)).toEqual(SWEEP_THRESHOLDS);
+    expect(SWEEP_THRESHOLDS).toHaveLength(20);
+    expect(SWEEP_THRESHOLDS.at(-1)).toBeCloseTo(0.95);
+  });
+
+  it("has no rates without samples", () => {
+    expect(thresholdSweep([], [0.5])).toEqual([
+      {
+        threshold: 0.5,
+        coverage: null,
+        accuracy: null,
+        acceptedAccuracy: null,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+import { createClassifierProvider } from "./classifier-providers";
+import { toClassifierError } from "./classifier-errors";
+import { pickBestPrediction, rankPredictions } from "./predictions";
+
+/**
+ * Side-by-side comparison of model endpoints
+ *
+ * `compareModels` in the classifier config lists the endpoints, each as
+ * overrides of the main config with a `label`, e.g.
+ *
+ *   [{ label: "v2", version: "2" }, { label: "v3", version: "3" }]
+ *
+ * A comparison is one entry per model: `{ label, class, confidence,
+ * lowConfidence, ranking, latencyMs }`, or `{ label, error, latencyMs }`
+ * when that model failed.
+ */
+
+// Classes kept in each model's ranking
+const RANKING_SIZE = 3;
+
+/**
+ * Builds a provider per configured comparison model
+ */
+export const createComparisonModels = (config) =>
+  (config.compareModels || []).map(({ label, ...overrides }, index) => ({
+    label: label || `Model ${index + 1}`,
+    provider: createClassifierProvider({ ...config, ...overrides }),
+  }));
+
+/**
+ * Sends one image to every model in parallel
+ *
+ * Never rejects: a failing model is reported in its own entry.
+ */
+export const runComparison = (blob, models, settings, options = {}) =>
+  Promise.all(
+    models.map(async ({ label, provider }) => {
+      const started = performance.now();
+      const latency = () => Math.round(performance.now() - started);
+
+      try {
+        const predictions = await provider.classify(blob, options);
+        const best = pickBestPrediction(predictions, settings);
+        return {
+          label,
+          class: best.class,
+          confidence: best.confidence,
+          lowConfidence: best.lowConfidence,
+          ranking: rankPredictions(predictions).slice(0, RANKING_SIZE),
+          latencyMs: latency(),
+        };
+      } catch (error) {
+        const { kind, message } = toClassifierError(error);
+        return { label, error: message, errorKind: kind, latencyMs: latency() };
+      }
+    })
+  );
+
+/**
+ * Returns the class most models agree on, or null without answers
+ */
+export const consensusClass = (comparison) => {
+  const counts = {};
+  comparison
+    .filter((model) => !model.error)
+    .forEach((model) => {
+      counts[model.class] = (counts[model.class] || 0) + 1;
+    });
+
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : null;
+};
+
+/**
+ * Whether at least two models answered and all picked the same class
+ */
+export const modelsAgree = (comparison) => {
+  const answered = comparison.filter((model) => !model.error);
+  return (
+    answered.length >= 2 &&
+    answered.every((model) => model.class === answered[0].class)
+  );
+};
+
+/**
+ * Aggregates many comparisons (a batch or the history)
+ *
+ * Returns the overall agreement rate, per-model mean latency, error count
+ * and agreement with the consensus, and the agreement of each model pair.
+ */
+export const summarizeComparisons = (comparisons) => {
+  const usable = comparisons.filter(
+    (comparison) => comparison.filter((model) => !model.error).length >= 2
+  );
+  const labels = [...new Set(comparisons.flat().map((model) => model.label))];
+
+  const models = labels.map((label) => {
+    const runs = comparisons.flat().filter((model) => model.label === label);
+    const answered = runs.filter((model) => !model.error);
+    const withConsensus = usable.filter((comparison) => {
+      const model = comparison.find((entry) => entry.label === label);
+      return (
+        model && !model.error && model.class === consensusClass(comparison)
+      );
+    }).length;
+
+    return {
+      label,
+      runs: runs.length,
+      errors: runs.length - answered.length,
+      meanLatencyMs: answered.length
+        ? Math.round(
+            answered.reduce((sum, model) => sum + model.latencyMs, 0) /
+              answered.length
+          )
+        : null,
+      consensusRate: usable.length ? withConsensus / usable.length : null,
+    };
+  });
+
+  const pairs = [];
+  labels.forEach((a, i) =>
+    labels.slice(i + 1).forEach((b) => {
+      let both = 0;
+      let same = 0;
+      comparisons.forEach((comparison) => {
+        const first = comparison.find((model) => model.label === a);
+        const second = comparison.find((model) => model.label === b);
+        if (!first || !second || first.error || second.error) return;
+        both += 1;
+        if (first.class === second.class) same += 1;
+      });
+      pairs.push({ a, b, compared: both, rate: both ? same / both : null });
+    })
+  );
+
+  const agreed = usable.filter(modelsAgree).length;
+  return {
+    total: usable.length,
+    agreed,
+    rate: usable.length ? agreed / usable.length : null,
+    models,
+    pairs,
+  };
+};
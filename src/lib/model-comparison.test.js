@@ -0,0 +1,158 @@
+import {
+  runComparison,
+  consensusClass,
+  modelsAgree,
+  summarizeComparisons,
+} from "./model-comparison";
+import {
+  ClassifierError,
+  ERROR_RATE_LIMIT,
+  ERROR_TIMEOUT,
+} from "./classifier-errors";
+import { DEFAULT_SETTINGS } from "./settings";
+
+const answer = (label, className, latencyMs = 100) => ({
+  label,
+  class: className,
+  confidence: 0.8,
+  latencyMs,
+});
+const failure = (label, latencyMs = 50) => ({
+  label,
+  error: "Request timed out",
+  errorKind: ERROR_TIMEOUT,
+  latencyMs,
+});
+
+describe("runComparison", () => {
+  it("reports a failing model with its error kind", async () => {
+    const [answered, failed] = await runComparison(
+      new Blob(["leaf"]),
+      [
+        {
+          label: "v2",
+          provider: {
+            classify: async () => ({ healthy: { confidence: 0.9 } }),
+          },
+        },
+        {
+          label: "v3",
+          provider: {
+            classify: async () => {
+              throw new ClassifierError(ERROR_RATE_LIMIT, "Slow down");
+            },
+          },
+        },
+      ],
+      DEFAULT_SETTINGS
+    );
+
+    expect(answered).toMatchObject({ label: "v2", class: "healthy" });
+    expect(failed).toMatchObject({
+      label: "v3",
+      error: "Slow down",
+      errorKind: ERROR_RATE_LIMIT,
+    });
+  });
+});
+
+describe("consensusClass", () => {
+  it("picks the class most models agree on", () => {
+    expect(
+      consensusClass([
+        answer("v1", "healthy"),
+        answer("v2", "tipburn"),
+        answer("v3", "tipburn"),
+      ])
+    ).toBe("tipburn");
+  });
+
+  it("ignores failed models and is null without answers", () => {
+    expect(consensusClass([failure("v1"), answer("v2", "healthy")])).toBe(
+      "healthy"
+    );
+    expect(consensusClass([failure("v1"), failure("v2")])).toBeNull();
+  });
+});
+
+describe("modelsAgree", () => {
+  it("needs at least two answers with the same class", () => {
+    expect(
+      modelsAgree([answer("v1", "healthy"), answer("v2", "healthy")])
+    ).toBe(true);
+    expect(
+      modelsAgree([answer("v1", "healthy"), answer("v2", "tipburn")])
+    ).toBe(false);
+    expect(modelsAgree([answer("v1", "healthy"), failure("v2")])).toBe(false);
+  });
+});
+
+describe("summarizeComparisons", () => {
+  // In the tied second comparison the consensus is the first model's class
+  const comparisons = [
+    [answer("v1", "healthy", 100), answer("v2", "healthy", 300)],
+    [answer("v1", "tipburn", 200), answer("v2", "healthy", 100)],
+    [answer("v1", "fungal", 300), failure("v2")],
+  ];
+
+  it("counts agreement over comparisons with two or more answers", () => {
+    const summary = summarizeComparisons(comparisons);
+
+    expect(summary.total).toBe(2);
+    expect(summary.agreed).toBe(1);
+    expect(summary.rate).toBe(0.5);
+  });
+
+  it("summarizes each model", () => {
+    const [v1, v2] = summarizeComparisons(comparisons).models;
+
+    expect(v1).toEqual({
+      label: "v1",
+      runs: 3,
+      errors: 0,
+      meanLatencyMs: 200,
+      consensusRate: 1,
+    });
+    // Failed runs count as errors and do not weigh on the latency
+    expect(v2).toEqual({
+      label: "v2",
+      runs: 3,
+      errors: 1,
+      meanLatencyMs: 200,
+      consensusRate: 0.5,
+    });
+  });
+
+  it("measures the agreement of each model pair", () => {
+    expect(summarizeComparisons(comparisons).pairs).toEqual([
+      { a: "v1", b: "v2", compared: 2, rate: 0.5 },
+    ]);
+  });
+
+  it("leaves rates empty when nothing could be compared", () => {
+    const summary = summarizeComparisons([[failure("v1"), failure("v2")]]);
+
+    expect(summary).toMatchObject({ total: 0, agreed: 0, rate: null });
+    expect(summary.models[0]).toMatchObject({
+      errors: 1,
+      meanLatencyMs: null,
+      consensusRate: null,
+    });
+    expect(summary.pairs[0]).toEqual({
+      a: "v1",
+      b: "v2",
+      compared: 0,
+      rate: null,
+    });
+  });
+
+  it("is empty without comparisons", () => {
+    expect(summarizeComparisons([])).toEqual({
+      total: 0,
+      agreed: 0,
+      rate: null,
+      models: [],
+      pairs: [],
+    });
+  });
+});
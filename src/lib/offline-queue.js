@@ -0,0 +1,71 @@
+import { withStore, QUEUE_STORE } from "./db";
+import { ERROR_NETWORK, isRetryable } from "./classifier-errors";
+
+/**
+ * Offline capture queue, persisted in IndexedDB
+ *
+ * Images that could not be sent because the device was offline wait here
+ * until the connection returns. Each entry holds the image Blob, the
+ * time it was captured and its location and plot metadata.
+ */
+
+// Must match the tag handled in service-worker.js
+export const QUEUE_SYNC_TAG = "leaf-classifier-queue";
+
+/**
+ * Whether a classification failed because the backend was unreachable,
+ * as opposed to the backend answering with an error
+ */
+export const isConnectionError = (error) =>
+  !navigator.onLine || error?.kind === ERROR_NETWORK;
+
+/**
+ * Whether a queued capture that failed to send may succeed on a later
+ * sync; captures the backend rejected outright are dropped instead
+ */
+export const shouldStayQueued = (error) =>
+  isConnectionError(error) || isRetryable(error);
+
+/**
+ * Asks the browser for a background sync, where supported, so the queue
+ * is sent as soon as the connection returns even if the tab is in the
+ * background
+ */
+const requestBackgroundSync = async () => {
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    await registration?.sync?.register(QUEUE_SYNC_TAG);
+  } catch (error) {
+    // The page still sends the queue on the "online" event
+    console.warn("Could not register background sync:", error);
+  }
+};
+
+/**
+ * Queues an image and resolves with the new entry's id
+ */
+export const enqueueCapture = async (image, metadata = null) => {
+  const id = await withStore(QUEUE_STORE, "readwrite", (store) =>
+    store.add({ queuedAt: Date.now(), image, metadata })
+  );
+  requestBackgroundSync();
+  return id;
+};
+
+/**
+ * Resolves with every queued entry, oldest first
+ */
+export const getQueuedCaptures = () =>
+  withStore(QUEUE_STORE, "readonly", (store) => store.getAll());
+
+/**
+ * Resolves with the number of queued entries
+ */
+export const countQueuedCaptures = () =>
+  withStore(QUEUE_STORE, "readonly", (store) => store.count());
+
+/**
+ * Removes an entry once it has been classified
+ */
+export const removeQueuedCapture = (id) =>
+  withStore(QUEUE_STORE, "readwrite", (store) => store.delete(id));
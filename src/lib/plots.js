@@ -0,0 +1,80 @@
+import { createI18n } from "./i18n";
+
+/**
+ * Fields, plots and rows, managed locally and persisted in localStorage
+ *
+ * A plot is `{ id, field, plot, row }`; only `field` is required. The
+ * plot picked before capturing is copied into each result, so renaming or
+ * deleting it later leaves past results untouched.
+ */
+
+const STORAGE_KEY = "leafClassifier.plots";
+const ACTIVE_KEY = "leafClassifier.activePlot";
+
+/**
+ * Loads the saved plots
+ */
+export const loadPlots = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.warn("Could not read saved plots:", error);
+    return [];
+  }
+};
+
+/**
+ * Persists the plots
+ */
+export const savePlots = (plots) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(plots));
+  } catch (error) {
+    console.warn("Could not save plots:", error);
+  }
+};
+
+/**
+ * Loads the id of the plot picked for new captures, or null
+ */
+export const loadActivePlotId = () => localStorage.getItem(ACTIVE_KEY);
+
+/**
+ * Persists the id of the plot picked for new captures
+ */
+export const saveActivePlotId = (id) => {
+  if (id) {
+    localStorage.setItem(ACTIVE_KEY, id);
+  } else {
+    localStorage.removeItem(ACTIVE_KEY);
+  }
+};
+
+/**
+ * Builds a new plot with a unique id
+ */
+export const createPlot = ({ field, plot = "", row = "" }) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  field: field.trim(),
+  plot: plot.trim(),
+  row: row.trim(),
+});
+
+/**
+ * Describes a plot as "North field · plot 3 · row 2", in the language of
+ * `t` (see lib/i18n.js), English by default
+ */
+export const plotLabel = ({ field, plot, row }, t = createI18n().t) =>
+  [
+    field,
+    plot && t("plots.plotName", { plot }),
+    row && t("plots.rowName", { row }),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+/**
+ * Sorts numeric-looking names as numbers ("2" before "10")
+ */
+export const compareNames = (a, b) =>
+  String(a).localeCompare(String(b), undefined, { numeric: true });
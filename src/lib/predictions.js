@@ -0,0 +1,105 @@
+import { DEFAULT_SETTINGS, FALLBACK_FLAG } from "./settings";
+import { createI18n } from "./i18n";
+
+/**
+ * Helpers for working with predictions maps (`{ className: { confidence } }`)
+ */
+
+export const UNDEFINED_CLASS = "undefined";
+
+// Which decision rule produced a result
+export const RULE_ACCEPTED = "accepted";
+export const RULE_BELOW_THRESHOLD = "below-threshold";
+export const RULE_BELOW_CLASS_MINIMUM = "below-class-minimum";
+export const RULE_NO_PREDICTIONS = "no-predictions";
+
+/**
+ * Returns the predictions as `{ class, confidence }` entries, best first
+ */
+export const rankPredictions = (predictions) =>
+  Object.entries(predictions || {})
+    .map(([className, details]) => ({
+      class: className,
+      confidence: details.confidence,
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+/**
+ * Returns the confidence a class needs to be accepted
+ */
+export const getClassThreshold = (className, settings) =>
+  settings.classThresholds?.[className] ?? settings.threshold;
+
+/**
+ * Picks the highest-confidence class and applies the threshold rules
+ *
+ * The result is `{ class, confidence, rule, threshold, lowConfidence }`.
+ * When the top class is below its threshold it is replaced by "undefined",
+ * or kept and flagged `lowConfidence` if the fallback setting says so.
+ */
+export const pickBestPrediction = (
+  predictions,
+  settings = DEFAULT_SETTINGS
+) => {
+  const [best] = rankPredictions(predictions);
+
+  if (!best) {
+    return {
+      class: UNDEFINED_CLASS,
+      confidence: 0,
+      rule: RULE_NO_PREDICTIONS,
+      threshold: settings.threshold,
+      lowConfidence: true,
+    };
+  }
+
+  const threshold = getClassThreshold(best.class, settings);
+
+  if (best.confidence >= threshold) {
+    return { ...best, rule: RULE_ACCEPTED, threshold, lowConfidence: false };
+  }
+
+  const rule =
+    settings.classThresholds?.[best.class] !== undefined
+      ? RULE_BELOW_CLASS_MINIMUM
+      : RULE_BELOW_THRESHOLD;
+
+  return {
+    class: settings.fallback === FALLBACK_FLAG ? best.class : UNDEFINED_CLASS,
+    confidence: best.confidence,
+    rule,
+    threshold,
+    lowConfidence: true,
+    topClass: best.class,
+  };
+};
+
+/**
+ * Describes, in a sentence, which rule produced a result, worded with the
+ * `t`, `formatPercent` and `classLabel` of `i18n` (see lib/i18n.js),
+ * English by default
+ */
+export const describeRule = (result, i18n = createI18n()) => {
+  const { t, formatPercent, classLabel } = i18n;
+  const params = {
+    threshold: formatPercent(result.threshold),
+    className: classLabel(result.topClass),
+    outcome:
+      result.class === UNDEFINED_CLASS
+        ? t("rules.reportedUndefined")
+        : t("rules.keptFlagged"),
+  };
+
+  switch (result.rule) {
+    case RULE_ACCEPTED:
+      return t("rules.accepted", params);
+    case RULE_BELOW_THRESHOLD:
+      return t("rules.belowThreshold", params);
+    case RULE_BELOW_CLASS_MINIMUM:
+      return t("rules.belowClassMinimum", params);
+    case RULE_NO_PREDICTIONS:
+      return t("rules.noPredictions");
+    default:
+      return "";
+  }
+};
@@ -0,0 +1,126 @@
+import {
+  pickBestPrediction,
+  rankPredictions,
+  describeRule,
+  UNDEFINED_CLASS,
+  RULE_ACCEPTED,
+  RULE_BELOW_THRESHOLD,
+  RULE_BELOW_CLASS_MINIMUM,
+  RULE_NO_PREDICTIONS,
+} from "./predictions";
+import {
+  DEFAULT_SETTINGS,
+  FALLBACK_FLAG,
+  FALLBACK_UNDEFINED,
+} from "./settings";
+import { createI18n } from "./i18n";
+
+const predictions = {
+  healthy: { confidence: 0.55 },
+  "downy mildew": { confidence: 0.3 },
+  "bacterial leaf spot": { confidence: 0.15 },
+};
+
+describe("rankPredictions", () => {
+  it("lists classes best first", () => {
+    expect(rankPredictions(predictions).map((p) => p.class)).toEqual([
+      "healthy",
+      "downy mildew",
+      "bacterial leaf spot",
+    ]);
+  });
+});
+
+describe("pickBestPrediction", () => {
+  it("accepts the top class at or above the threshold", () => {
+    const result = pickBestPrediction(predictions, {
+      ...DEFAULT_SETTINGS,
+      threshold: 0.5,
+    });
+
+    expect(result).toMatchObject({
+      class: "healthy",
+      confidence: 0.55,
+      rule: RULE_ACCEPTED,
+      lowConfidence: false,
+    });
+  });
+
+  it("falls back to undefined below the threshold", () => {
+    const result = pickBestPrediction(predictions, {
+      ...DEFAULT_SETTINGS,
+      threshold: 0.6,
+      fallback: FALLBACK_UNDEFINED,
+    });
+
+    expect(result).toMatchObject({
+      class: UNDEFINED_CLASS,
+      confidence: 0.55,
+      rule: RULE_BELOW_THRESHOLD,
+      lowConfidence: true,
+      topClass: "healthy",
+    });
+  });
+
+  it("keeps and flags the top class when the fallback says so", () => {
+    const result = pickBestPrediction(predictions, {
+      ...DEFAULT_SETTINGS,
+      threshold: 0.6,
+      fallback: FALLBACK_FLAG,
+    });
+
+    expect(result).toMatchObject({
+      class: "healthy",
+      rule: RULE_BELOW_THRESHOLD,
+      lowConfidence: true,
+    });
+  });
+
+  it("applies per-class minimums over the global threshold", () => {
+    const result = pickBestPrediction(predictions, {
+      ...DEFAULT_SETTINGS,
+      threshold: 0.5,
+      classThresholds: { healthy: 0.9 },
+    });
+
+    expect(result).toMatchObject({
+      class: UNDEFINED_CLASS,
+      rule: RULE_BELOW_CLASS_MINIMUM,
+      threshold: 0.9,
+    });
+  });
+
+  it("reports undefined when there are no predictions", () => {
+    expect(pickBestPrediction({}, DEFAULT_SETTINGS)).toMatchObject({
+      class: UNDEFINED_CLASS,
+      confidence: 0,
+      rule: RULE_NO_PREDICTIONS,
+      lowConfidence: true,
+    });
+  });
+});
+
+describe("describeRule", () => {
+  it("words the rule in English by default", () => {
+    const result = pickBestPrediction(predictions, {
+      ...DEFAULT_SETTINGS,
+      threshold: 0.6,
+    });
+
+    expect(describeRule(result)).toBe(
+      'Below the 60% threshold, reported as "undefined"'
+    );
+  });
+
+  it("words the rule and the class in the given language", () => {
+    const result = pickBestPrediction(predictions, {
+      ...DEFAULT_SETTINGS,
+      classThresholds: { healthy: 0.9 },
+      fallback: FALLBACK_FLAG,
+    });
+
+    expect(describeRule(result, createI18n("pt"))).toBe(
+      'Abaixo do mínimo de 90% definido para "Saudável", mantida e marcada como de confiança baixa'
+    );
+  });
+});
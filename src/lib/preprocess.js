@@ -0,0 +1,174 @@
+import { loadImage, canvasToBlob } from "./image-utils";
+import { readExif, withOrientation } from "./exif";
+import { ClassifierError, ERROR_UNSUPPORTED_IMAGE } from "./classifier-errors";
+
+/**
+ * Image preprocessing before classification
+ *
+ * Every image is decoded, turned upright from its EXIF orientation,
+ * optionally cropped to a center square, downscaled and re-encoded, so
+ * uploads are small and the model always sees images prepared the same
+ * way.
+ */
+
+export const OUTPUT_FORMATS = {
+  "image/jpeg": { label: "JPEG", extension: "jpg" },
+  "image/webp": { label: "WebP", extension: "webp" },
+};
+
+const HEIC_TYPES = ["image/heic", "image/heif"];
+
+/**
+ * Whether a file is HEIC/HEIF, which only some browsers can decode
+ */
+export const isHeic = (file) =>
+  HEIC_TYPES.includes(file.type) || /\.(heic|heif)$/i.test(file.name || "");
+
+let autoOrientationPromise = null;
+
+/**
+ * Whether the browser already applies EXIF orientation when decoding
+ *
+ * Current browsers do, older ones hand back the pixels as stored. Probed
+ * once by decoding a 2x1 JPEG tagged as rotated by 90 degrees.
+ */
+const browserAppliesOrientation = () => {
+  if (!autoOrientationPromise) {
+    autoOrientationPromise = (async () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = 2;
+      canvas.height = 1;
+      const probe = await canvasToBlob(canvas, "image/jpeg", 1);
+      const bytes = new Uint8Array(await probe.arrayBuffer());
+      const img = await loadImage(
+        new Blob([withOrientation(bytes, 6)], { type: "image/jpeg" })
+      );
+      return img.width === 1 && img.height === 2;
+    })().catch(() => true);
+  }
+  return autoOrientationPromise;
+};
+
+/**
+ * Adds the transform for an EXIF orientation of a `width` x `height` image
+ */
+const applyOrientation = (context, orientation, width, height) => {
+  switch (orientation) {
+    case 2:
+      context.transform(-1, 0, 0, 1, width, 0);
+      break;
+    case 3:
+      context.transform(-1, 0, 0, -1, width, height);
+      break;
+    case 4:
+      context.transform(1, 0, 0, -1, 0, height);
+      break;
+    case 5:
+      context.transform(0, 1, 1, 0, 0, 0);
+      break;
+    case 6:
+      context.transform(0, 1, -1, 0, height, 0);
+      break;
+    case 7:
+      context.transform(0, -1, -1, 0, height, width);
+      break;
+    case 8:
+      context.transform(0, -1, 1, 0, 0, width);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Decodes an image, with an error of its own kind for undecodable HEIC
+ * files
+ */
+const decodeImage = async (blob) => {
+  try {
+    return await loadImage(blob);
+  } catch (error) {
+    if (isHeic(blob)) {
+      throw new ClassifierError(
+        ERROR_UNSUPPORTED_IMAGE,
+        "HEIC image could not be decoded"
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Builds the file name of the processed image from the original
+ */
+const processedName = (blob, type) => {
+  const stem = (blob.name || "capture").replace(/\.[^.]+$/, "");
+  return `${stem}.${OUTPUT_FORMATS[type]?.extension || "jpg"}`;
+};
+
+/**
+ * Runs the pipeline on an image Blob
+ *
+ * Options: `maxSize` (longest side in pixels, 0 keeps the full size),
+ * `format` ("image/jpeg" or "image/webp"), `quality` (0-1) and
+ * `squareCrop`. Resolves with `{ blob, width, height, bytes,
+ * originalBytes, originalWidth, originalHeight }`, where `blob` is a File
+ * keeping the original name.
+ */
+export const preprocessImage = async (
+  blob,
+  { maxSize = 0, format = "image/jpeg", quality = 0.85, squareCrop = false }
+) => {
+  const img = await decodeImage(blob);
+  const { orientation } = await readExif(blob);
+  const rotate = orientation > 1 && !(await browserAppliesOrientation());
+
+  // Size of the upright image
+  const swap = rotate && orientation >= 5;
+  const width = swap ? img.height : img.width;
+  const height = swap ? img.width : img.height;
+
+  // Region kept, in upright coordinates
+  const side = Math.min(width, height);
+  const crop = squareCrop
+    ? {
+        x: (width - side) / 2,
+        y: (height - side) / 2,
+        width: side,
+        height: side,
+      }
+    : { x: 0, y: 0, width, height };
+
+  const scale = maxSize
+    ? Math.min(1, maxSize / Math.max(crop.width, crop.height))
+    : 1;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(crop.width * scale);
+  canvas.height = Math.round(crop.height * scale);
+
+  const context = canvas.getContext("2d");
+  context.imageSmoothingQuality = "high";
+  context.scale(scale, scale);
+  context.translate(-crop.x, -crop.y);
+  if (rotate) applyOrientation(context, orientation, img.width, img.height);
+  context.drawImage(img, 0, 0);
+
+  let encoded = await canvasToBlob(canvas, format, quality);
+  // Browsers that cannot encode the format fall back to PNG
+  if (encoded.type !== format) {
+    encoded = await canvasToBlob(canvas, "image/jpeg", quality);
+  }
+
+  return {
+    blob: new File([encoded], processedName(blob, encoded.type), {
+      type: encoded.type,
+    }),
+    width: canvas.width,
+    height: canvas.height,
+    bytes: encoded.size,
+    originalBytes: blob.size,
+    originalWidth: width,
+    originalHeight: height,
+  };
+};
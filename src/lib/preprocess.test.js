@@ -0,0 +1,137 @@
+import { preprocessImage, isHeic } from "./preprocess";
+import { loadImage, canvasToBlob } from "./image-utils";
+import { withOrientation } from "./exif";
+import { ERROR_UNSUPPORTED_IMAGE } from "./classifier-errors";
+
+jest.mock("./image-utils", () => ({
+  loadImage: jest.fn(),
+  canvasToBlob: jest.fn(),
+}));
+
+const BARE_JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+
+// Size of the stored pixels of every test photo
+const PHOTO = { width: 400, height: 300 };
+
+const photo = (orientation = 1, name = "leaf.jpeg") =>
+  new File([withOrientation(BARE_JPEG, orientation)], name, {
+    type: "image/jpeg",
+  });
+
+let photoBlob;
+
+beforeEach(() => {
+  // The orientation probe decodes as stored: this browser does not
+  // rotate images itself, so the pipeline has to
+  loadImage.mockImplementation((blob) =>
+    Promise.resolve(blob === photoBlob ? PHOTO : { width: 2, height: 1 })
+  );
+  canvasToBlob.mockImplementation((canvas, type) =>
+    Promise.resolve(new Blob(["encoded"], { type }))
+  );
+});
+
+/**
+ * Runs the pipeline and returns its output with the canvas context used
+ */
+const run = async (blob, options = {}) => {
+  photoBlob = blob;
+  const output = await preprocessImage(blob, options);
+  const canvas = canvasToBlob.mock.calls.at(-1)[0];
+  return { output, context: canvas.getContext("2d") };
+};
+
+describe("preprocessImage", () => {
+  it("keeps upright images as they are", async () => {
+    const { output, context } = await run(photo());
+
+    expect(output).toMatchObject({ width: 400, height: 300 });
+    expect(context.transform).not.toHaveBeenCalled();
+    expect(context.drawImage).toHaveBeenCalledWith(PHOTO, 0, 0);
+  });
+
+  it.each([
+    [3, 400, 300, [-1, 0, 0, -1, 400, 300]],
+    [6, 300, 400, [0, 1, -1, 0, 300, 0]],
+    [8, 300, 400, [0, -1, 1, 0, 0, 400]],
+  ])(
+    "turns orientation %d upright",
+    async (orientation, width, height, transform) => {
+      const { output, context } = await run(photo(orientation));
+
+      expect(output).toMatchObject({
+        width,
+        height,
+        originalWidth: width,
+        originalHeight: height,
+      });
+      expect(context.transform).toHaveBeenCalledWith(...transform);
+    }
+  );
+
+  it("crops the center square and scales it down", async () => {
+    const { output, context } = await run(photo(), {
+      squareCrop: true,
+      maxSize: 150,
+    });
+
+    expect(output).toMatchObject({ width: 150, height: 150 });
+    expect(context.scale).toHaveBeenCalledWith(0.5, 0.5);
+    const [x, y] = context.translate.mock.calls[0];
+    expect(x).toBe(-50);
+    expect(y).toBeCloseTo(0);
+  });
+
+  it("never scales images up", async () => {
+    const { output } = await run(photo(), { maxSize: 1000 });
+
+    expect(output).toMatchObject({ width: 400, height: 300 });
+  });
+
+  it("falls back to JPEG when the format cannot be encoded", async () => {
+    canvasToBlob.mockImplementation((canvas, type) =>
+      Promise.resolve(
+        new Blob(["encoded"], {
+          type: type === "image/webp" ? "image/png" : type,
+        })
+      )
+    );
+
+    const { output } = await run(photo(1, "leaf.png"), {
+      format: "image/webp",
+    });
+
+    expect(output.blob.type).toBe("image/jpeg");
+    expect(output.blob.name).toBe("leaf.jpg");
+  });
+
+  it("names the output after the original with the new extension", async () => {
+    const { output } = await run(photo(1, "plot-4.jpeg"), {
+      format: "image/webp",
+    });
+
+    expect(output.blob.name).toBe("plot-4.webp");
+    expect(output.originalBytes).toBe(photoBlob.size);
+  });
+
+  it("reports HEIC files the browser cannot decode", async () => {
+    loadImage.mockImplementation(() =>
+      Promise.reject(new Error("Could not decode image"))
+    );
+    const heic = new File(["heic"], "leaf.HEIC", { type: "" });
+
+    await expect(preprocessImage(heic, {})).rejects.toMatchObject({
+      kind: ERROR_UNSUPPORTED_IMAGE,
+    });
+  });
+});
+
+describe("isHeic", () => {
+  it.each([
+    [{ type: "image/heic", name: "a" }, true],
+    [{ type: "", name: "IMG_1.HEIF" }, true],
+    [{ type: "image/jpeg", name: "leaf.jpeg" }, false],
+  ])("detects %p", (file, expected) => {
+    expect(isHeic(file)).toBe(expected);
+  });
+});
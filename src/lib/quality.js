@@ -0,0 +1,162 @@
+import { loadImage } from "./image-utils";
+
+/**
+ * Capture quality checks
+ *
+ * Cheap pixel statistics computed before an image is classified, to catch
+ * blurry, badly exposed or leafless shots that would otherwise come back
+ * as confident wrong answers.
+ */
+
+// Images are measured at this size, so the numbers do not depend on the
+// camera resolution and the checks stay fast
+const ANALYSIS_SIZE = 256;
+
+export const QUALITY_THRESHOLDS = {
+  // Variance of the Laplacian below which the image counts as blurry
+  minSharpness: 60,
+  // Mean luminance (0-255) limits
+  minBrightness: 50,
+  maxBrightness: 215,
+  // Share of clipped pixels that counts as over- or under-exposed
+  maxClipped: 0.25,
+  // Share of leaf-coloured pixels below which no leaf is assumed
+  minGreenCoverage: 0.1,
+};
+
+// Problems an image can have, worded under "quality.issues" in the
+// message catalogs
+export const ISSUE_BLURRY = "blurry";
+export const ISSUE_DARK = "dark";
+export const ISSUE_OVEREXPOSED = "overexposed";
+export const ISSUE_NO_LEAF = "no-leaf";
+
+/**
+ * Whether a pixel looks like leaf tissue: green to yellow-green hues with
+ * some saturation, which also covers discoloured lettuce
+ */
+const isLeafColour = (r, g, b) => {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  if (max < 40 || max - min < 0.15 * max) return false;
+
+  let hue;
+  if (max === g) {
+    hue = 120 + (60 * (b - r)) / (max - min);
+  } else if (max === r) {
+    hue = (60 * (g - b)) / (max - min);
+  } else {
+    return false;
+  }
+  return hue >= 45 && hue <= 170;
+};
+
+/**
+ * Computes the quality metrics of RGBA pixels
+ *
+ * Returns `{ sharpness, brightness, underexposed, overexposed,
+ * greenCoverage }`; the last three are shares of the pixels (0-1).
+ */
+export const computeQualityMetrics = ({ data, width, height }) => {
+  const count = width * height;
+  const gray = new Float32Array(count);
+  let luminanceSum = 0;
+  let dark = 0;
+  let bright = 0;
+  let green = 0;
+
+  for (let i = 0; i < count; i += 1) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+
+    gray[i] = luminance;
+    luminanceSum += luminance;
+    if (luminance < 16) dark += 1;
+    if (luminance > 245) bright += 1;
+    if (isLeafColour(r, g, b)) green += 1;
+  }
+
+  // Variance of the 4-neighbour Laplacian over the inner pixels
+  let sum = 0;
+  let sumOfSquares = 0;
+  let samples = 0;
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const i = y * width + x;
+      const laplacian =
+        gray[i - 1] +
+        gray[i + 1] +
+        gray[i - width] +
+        gray[i + width] -
+        4 * gray[i];
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+      samples += 1;
+    }
+  }
+  const mean = samples ? sum / samples : 0;
+
+  return {
+    sharpness: samples ? sumOfSquares / samples - mean * mean : 0,
+    brightness: count ? luminanceSum / count : 0,
+    underexposed: count ? dark / count : 0,
+    overexposed: count ? bright / count : 0,
+    greenCoverage: count ? green / count : 0,
+  };
+};
+
+/**
+ * Decodes an image Blob and measures its quality
+ */
+export const measureImageQuality = async (blob) => {
+  const img = await loadImage(blob);
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(img.width, img.height));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(img.width * scale));
+  canvas.height = Math.max(1, Math.round(img.height * scale));
+  const context = canvas.getContext("2d");
+  context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  return computeQualityMetrics(
+    context.getImageData(0, 0, canvas.width, canvas.height)
+  );
+};
+
+/**
+ * Lists the problems found in a set of metrics
+ */
+export const findQualityIssues = (metrics, thresholds = QUALITY_THRESHOLDS) => {
+  const issues = [];
+
+  if (
+    metrics.brightness < thresholds.minBrightness ||
+    metrics.underexposed > thresholds.maxClipped
+  ) {
+    issues.push(ISSUE_DARK);
+  }
+  if (
+    metrics.brightness > thresholds.maxBrightness ||
+    metrics.overexposed > thresholds.maxClipped
+  ) {
+    issues.push(ISSUE_OVEREXPOSED);
+  }
+  if (metrics.sharpness < thresholds.minSharpness) {
+    issues.push(ISSUE_BLURRY);
+  }
+  if (metrics.greenCoverage < thresholds.minGreenCoverage) {
+    issues.push(ISSUE_NO_LEAF);
+  }
+
+  return issues;
+};
+
+/**
+ * Measures an image and resolves with its metrics plus an `issues` list
+ */
+export const assessImageQuality = async (blob) => {
+  const metrics = await measureImageQuality(blob);
+  return { ...metrics, issues: findQualityIssues(metrics) };
+};
@@ -0,0 +1,132 @@
+import {
+  computeQualityMetrics,
+  findQualityIssues,
+  QUALITY_THRESHOLDS,
+  ISSUE_BLURRY,
+  ISSUE_DARK,
+  ISSUE_OVEREXPOSED,
+  ISSUE_NO_LEAF,
+} from "./quality";
+
+/**
+ * Builds RGBA pixels, `pixel(x, y)` returning `[r, g, b]`
+ */
+const image = (width, height, pixel) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      data.set([...pixel(x, y), 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+};
+
+const fill = (rgb) => image(8, 8, () => rgb);
+
+// Metrics of a good capture, changed one at a time below
+const GOOD = {
+  sharpness: 200,
+  brightness: 120,
+  underexposed: 0,
+  overexposed: 0,
+  greenCoverage: 0.6,
+};
+
+describe("computeQualityMetrics", () => {
+  it("measures no detail in a flat image", () => {
+    const metrics = computeQualityMetrics(fill([128, 128, 128]));
+
+    expect(metrics.sharpness).toBe(0);
+    expect(metrics.brightness).toBeCloseTo(128);
+    expect(metrics.greenCoverage).toBe(0);
+  });
+
+  it("measures detail in a checkerboard", () => {
+    const metrics = computeQualityMetrics(
+      image(8, 8, (x, y) => ((x + y) % 2 ? [255, 255, 255] : [0, 0, 0]))
+    );
+
+    expect(metrics.sharpness).toBeGreaterThan(QUALITY_THRESHOLDS.minSharpness);
+    expect(metrics.underexposed).toBeCloseTo(0.5);
+    expect(metrics.overexposed).toBeCloseTo(0.5);
+  });
+
+  it.each([
+    ["lettuce green", [70, 160, 60], 1],
+    ["yellowing leaf", [190, 200, 60], 1],
+    ["soil brown", [120, 80, 50], 0],
+    ["sky blue", [90, 140, 220], 0],
+    ["near black green", [10, 30, 10], 0],
+    ["washed-out grey green", [200, 210, 200], 0],
+  ])("measures the leaf coverage of %s", (name, rgb, coverage) => {
+    expect(computeQualityMetrics(fill(rgb)).greenCoverage).toBe(coverage);
+  });
+
+  it("returns zeros for images too small to measure", () => {
+    expect(computeQualityMetrics(image(1, 1, () => [255, 255, 255]))).toEqual(
+      expect.objectContaining({ sharpness: 0 })
+    );
+    expect(computeQualityMetrics(image(0, 0, () => []))).toEqual({
+      sharpness: 0,
+      brightness: 0,
+      underexposed: 0,
+      overexposed: 0,
+      greenCoverage: 0,
+    });
+  });
+});
+
+describe("findQualityIssues", () => {
+  it("finds nothing wrong with a good capture", () => {
+    expect(findQualityIssues(GOOD)).toEqual([]);
+  });
+
+  it.each([
+    ["blurry", { sharpness: 59 }, [ISSUE_BLURRY]],
+    ["dark", { brightness: 49 }, [ISSUE_DARK]],
+    ["mostly black", { underexposed: 0.3 }, [ISSUE_DARK]],
+    ["bright", { brightness: 216 }, [ISSUE_OVEREXPOSED]],
+    ["mostly clipped", { overexposed: 0.3 }, [ISSUE_OVEREXPOSED]],
+    ["leafless", { greenCoverage: 0.05 }, [ISSUE_NO_LEAF]],
+    [
+      "dark and blurry",
+      { brightness: 20, sharpness: 10 },
+      [ISSUE_DARK, ISSUE_BLURRY],
+    ],
+  ])("flags a %s capture", (name, changes, issues) => {
+    expect(findQualityIssues({ ...GOOD, ...changes })).toEqual(issues);
+  });
+
+  it("accepts values exactly at the thresholds", () => {
+    const {
+      minSharpness,
+      minBrightness,
+      maxBrightness,
+      maxClipped,
+      minGreenCoverage,
+    } = QUALITY_THRESHOLDS;
+
+    expect(
+      findQualityIssues({
+        ...GOOD,
+        sharpness: minSharpness,
+        brightness: minBrightness,
+        underexposed: maxClipped,
+        greenCoverage: minGreenCoverage,
+      })
+    ).toEqual([]);
+    expect(
+      findQualityIssues({
+        ...GOOD,
+        brightness: maxBrightness,
+        overexposed: maxClipped,
+      })
+    ).toEqual([]);
+  });
+
+  it("uses the thresholds it is given", () => {
+    expect(
+      findQualityIssues(GOOD, { ...QUALITY_THRESHOLDS, minSharpness: 500 })
+    ).toEqual([ISSUE_BLURRY]);
+  });
+});
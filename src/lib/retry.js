@@ -0,0 +1,77 @@
+/**
+ * Waits `ms` milliseconds, rejecting early with an AbortError if `signal`
+ * is aborted
+ */
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Settles like `promise`, unless `signal` is aborted first (AbortError)
+ * or `timeout` ms pass first (TimeoutError), for work that cannot be
+ * cancelled itself
+ */
+export const withTimeout = (promise, { signal, timeout } = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+
+    const abort = () => reject(new DOMException("Aborted", "AbortError"));
+    const timer = timeout
+      ? setTimeout(
+          () => reject(new DOMException("Timed out", "TimeoutError")),
+          timeout
+        )
+      : null;
+    signal?.addEventListener("abort", abort, { once: true });
+
+    promise.then(resolve, reject).finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    });
+  });
+
+/**
+ * Runs `task()` and retries it with exponential backoff
+ *
+ * Gives up after `retries` extra attempts, or as soon as
+ * `shouldRetry(error)` is false. An error's own `retryAfter` (ms) replaces
+ * the computed delay. `onRetry(attempt, delay, error)` is called before
+ * each wait.
+ */
+export const retryWithBackoff = async (
+  task,
+  { retries = 2, baseDelay = 500, shouldRetry = () => true, onRetry, signal }
+) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+
+      // Jitter keeps many clients from retrying in lockstep
+      const backoff = baseDelay * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      const delay = error.retryAfter ?? Math.round(backoff);
+      onRetry?.(attempt + 1, delay, error);
+      await sleep(delay, signal);
+    }
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * User settings, persisted in localStorage
+ */
+
+const STORAGE_KEY = "leafClassifier.settings";
+
+export const FALLBACK_UNDEFINED = "undefined";
+export const FALLBACK_FLAG = "flag";
+
+export const DEFAULT_SETTINGS = {
+  // Minimum confidence for a class to be accepted
+  threshold: 0.6,
+  // What to report when the top class is below its threshold:
+  // "undefined" replaces it, "flag" keeps it but marks it low-confidence
+  fallback: FALLBACK_UNDEFINED,
+  // Per-class overrides of `threshold`, e.g. { "downy mildew": 0.8 }
+  classThresholds: {},
+  // Batch uploads sent at the same time
+  batchConcurrency: 3,
+  // Live camera mode: ms between sampled frames, weight of the newest
+  // frame in the running average, and frames a class must hold before
+  // it is captured automatically
+  liveInterval: 1000,
+  liveSmoothing: 0.5,
+  liveStableFrames: 3,
+  liveAutoCapture: true,
+  // "remote", "local" (on-device model) or "auto" (local when offline)
+  inferenceEngine: "remote",
+  // Also send each image to every model in `compareModels` and show their
+  // answers side by side
+  compareModels: false,
+  // Find the individual leaves with the configured detector and classify
+  // each one
+  detectLeaves: false,
+  // Capture only the framing guide on the camera, and optionally open the
+  // crop and rotate editor before a single image is sent
+  framingGuide: true,
+  reviewBeforeSend: false,
+  // Attach the device location to captures (photos with GPS data always
+  // keep theirs)
+  geotagging: false,
+  // Check sharpness, exposure and leaf coverage before sending, and warn
+  // about poor images
+  qualityChecks: true,
+  // Preprocessing before upload: longest side in pixels (0 keeps the full
+  // size), output format and quality, and an optional center square crop
+  preprocess: true,
+  preprocessMaxSize: 640,
+  preprocessFormat: "image/jpeg",
+  preprocessQuality: 0.85,
+  preprocessSquareCrop: false,
+};
+
+/**
+ * Loads the saved settings, filling in defaults for missing keys
+ */
+export const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_SETTINGS, ...saved };
+  } catch (error) {
+    console.warn("Could not read saved settings:", error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Persists the settings
+ */
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not save settings:", error);
+  }
+};
@@ -0,0 +1,68 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service worker
+ *
+ * Precaches the app shell built by webpack so the app opens offline, and
+ * caches runtime files from `public/` (config, icons, local models).
+ * Classification requests are never cached: captures made offline go to
+ * the queue in IndexedDB, which the page sends once it is back online.
+ * When the browser fires a background sync for that queue, the open pages
+ * are asked to send it, since the classifier settings live there. With
+ * no page open the sync fails, so the browser retries it later; the page
+ * also sends the queue whenever the app is opened online.
+ */
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { StaleWhileRevalidate, CacheFirst } from "workbox-strategies";
+
+// Must match the tag registered in lib/offline-queue.js
+const QUEUE_SYNC_TAG = "leaf-classifier-queue";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for navigations, except API calls and files
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$");
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.startsWith("/api/")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// On-device model files are large and versioned by path
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin && url.pathname.includes("/models/"),
+  new CacheFirst({
+    cacheName: "models",
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Runtime configuration and icons, refreshed in the background
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    /\.(js|json|css|png|ico)$/.test(url.pathname) &&
+    !url.pathname.startsWith("/api/"),
+  new StaleWhileRevalidate({ cacheName: "runtime" })
+);
+
+self.addEventListener("sync", (event) => {
+  if (event.tag !== QUEUE_SYNC_TAG) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((clients) => {
+      if (clients.length === 0) {
+        throw new Error("No open page to send the capture queue");
+      }
+      clients.forEach((client) => client.postMessage({ type: "SYNC_QUEUE" }));
+    })
+  );
+});
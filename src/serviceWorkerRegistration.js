@@ -0,0 +1,70 @@
+/**
+ * Service worker registration
+ *
+ * The worker is only registered in production builds; in development it
+ * would cache stale bundles and get in the way of hot reloading.
+ */
+
+const isLocalhost = Boolean(
+  window.location.hostname === "localhost" ||
+    window.location.hostname === "[::1]" ||
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4]\d|1?\d?\d)){3}$/)
+);
+
+/**
+ * Registers `service-worker.js` once the page has loaded
+ *
+ * An updated worker waits until every open tab has been closed, so a
+ * running page never has its cached bundles swapped underneath it.
+ */
+export const register = () => {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return;
+  }
+
+  // The worker cannot control pages served from another origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", async () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    try {
+      // On localhost, make sure a worker really exists at that URL so a
+      // leftover one from another project does not take over the page
+      if (isLocalhost) {
+        const response = await fetch(swUrl, {
+          headers: { "Service-Worker": "script" },
+        });
+        const contentType = response.headers.get("content-type") || "";
+        if (response.status === 404 || !contentType.includes("javascript")) {
+          const registration = await navigator.serviceWorker.ready;
+          await registration.unregister();
+          window.location.reload();
+          return;
+        }
+      }
+
+      await navigator.serviceWorker.register(swUrl);
+    } catch (error) {
+      console.error("Error registering service worker:", error);
+    }
+  });
+};
+
+/**
+ * Removes the service worker, e.g. to opt out of offline support
+ */
+export const unregister = async () => {
+  if (!("serviceWorker" in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (error) {
+    console.error("Error unregistering service worker:", error);
+  }
+};
@@ -3,3 +3,32 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { createMockContext, JPEG_DATA_URL } from './test-utils';
+
+// jsdom has neither object URLs nor a canvas implementation. Plain
+// functions rather than jest.fn(), which CRA resets before every test.
+URL.createObjectURL = () => 'blob:mock';
+URL.revokeObjectURL = () => {};
+
+HTMLCanvasElement.prototype.getContext = function getContext() {
+  if (!this.mockContext) this.mockContext = createMockContext(this);
+  return this.mockContext;
+};
+HTMLCanvasElement.prototype.toDataURL = () => JPEG_DATA_URL;
+
+// Nor Blob.arrayBuffer, which the EXIF reader uses
+if (!Blob.prototype.arrayBuffer) {
+  Blob.prototype.arrayBuffer = function arrayBuffer() {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(this);
+    });
+  };
+}
+
+// The app logs every step of the capture flow; keep test output readable
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
@@ -0,0 +1,105 @@
+/**
+ * Test helpers: fakes for the browser APIs jsdom does not implement
+ * (canvas, camera, video playback)
+ */
+
+// Smallest data URL the capture code accepts as a JPEG
+export const JPEG_DATA_URL = "data:image/jpeg;base64,/9j/2Q==";
+
+/**
+ * Creates a fake 2D context that remembers whether anything was drawn,
+ * so isCanvasEmpty and friends see the pixels they expect
+ */
+export const createMockContext = (canvas) => {
+  let drawn = false;
+
+  return {
+    canvas,
+    drawImage: jest.fn(() => {
+      drawn = true;
+    }),
+    clearRect: jest.fn(() => {
+      drawn = false;
+    }),
+    fillRect: jest.fn(),
+    scale: jest.fn(),
+    translate: jest.fn(),
+    transform: jest.fn(),
+    getImageData: (x, y, width, height) => ({
+      width,
+      height,
+      data: new Uint8ClampedArray(width * height * 4).fill(drawn ? 255 : 0),
+    }),
+  };
+};
+
+/**
+ * Installs a fake camera on `navigator.mediaDevices`
+ *
+ * `getUserMedia` resolves with a one-track stream, or rejects with
+ * `error` when one is given. Returns the fakes for assertions.
+ */
+export const mockCamera = ({ error = null } = {}) => {
+  const track = {
+    kind: "video",
+    stop: jest.fn(),
+    getSettings: () => ({ deviceId: "back-camera" }),
+    getCapabilities: () => ({}),
+    applyConstraints: jest.fn(() => Promise.resolve()),
+  };
+  const stream = {
+    getTracks: () => [track],
+    getVideoTracks: () => [track],
+  };
+  const getUserMedia = jest.fn(() =>
+    error ? Promise.reject(error) : Promise.resolve(stream)
+  );
+
+  Object.defineProperty(navigator, "mediaDevices", {
+    configurable: true,
+    value: {
+      getUserMedia,
+      enumerateDevices: () =>
+        Promise.resolve([
+          { kind: "videoinput", deviceId: "back-camera", label: "Back" },
+        ]),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    },
+  });
+
+  return { stream, track, getUserMedia };
+};
+
+/**
+ * Makes every <video> play at once with a `width` x `height` frame
+ *
+ * Returns a function that restores jsdom's own video element.
+ */
+export const mockVideoPlayback = ({ width = 640, height = 480 } = {}) => {
+  const overrides = [
+    [
+      window.HTMLMediaElement.prototype,
+      "play",
+      { value: () => Promise.resolve() },
+    ],
+    [window.HTMLMediaElement.prototype, "paused", { get: () => false }],
+    [window.HTMLVideoElement.prototype, "videoWidth", { get: () => width }],
+    [window.HTMLVideoElement.prototype, "videoHeight", { get: () => height }],
+  ];
+  const originals = overrides.map(([prototype, name]) =>
+    Object.getOwnPropertyDescriptor(prototype, name)
+  );
+
+  overrides.forEach(([prototype, name, descriptor]) =>
+    Object.defineProperty(prototype, name, {
+      configurable: true,
+      ...descriptor,
+    })
+  );
+
+  return () =>
+    overrides.forEach(([prototype, name], index) =>
+      Object.defineProperty(prototype, name, originals[index])
+    );
+};
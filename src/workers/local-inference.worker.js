@@ -0,0 +1,138 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * On-device inference worker
+ *
+ * Runs an exported TensorFlow.js model (layers or graph format) on the CPU
+ * backend, off the main thread. Messages:
+ *
+ *   in:  { type: "load", model }
+ *        { type: "classify", id, image: { data, width, height } }
+ *        { type: "detect", id, image: { data, width, height } }
+ *   out: { type: "loaded", labels }
+ *        { type: "result", id, predictions }
+ *        { type: "boxes", id, boxes }
+ *        { type: "error", id, message }
+ *
+ * `image` is RGBA pixel data already resized to the model's input size.
+ * Detection models (`task: "detect"`) need no labels.
+ */
+import * as tf from "@tensorflow/tfjs";
+
+let model = null;
+let labels = [];
+let normalize = "minus-one-to-one";
+
+/**
+ * Loads the model and its class labels
+ *
+ * Labels come from the config, or from a Teachable Machine style
+ * metadata.json (`{ labels: [...] }`) next to the model.
+ */
+const load = async (config) => {
+  await tf.setBackend("cpu");
+
+  try {
+    model = await tf.loadLayersModel(config.url);
+  } catch (e) {
+    // Not a layers model, try the graph format
+    model = await tf.loadGraphModel(config.url);
+  }
+
+  labels = config.labels;
+  if (!labels && config.task !== "detect") {
+    const metadataUrl =
+      config.metadataUrl || new URL("metadata.json", config.url).href;
+    const response = await fetch(metadataUrl);
+    labels = (await response.json()).labels;
+  }
+
+  normalize = config.normalize || normalize;
+  return labels;
+};
+
+/**
+ * Runs the model on RGBA pixels and returns a predictions map
+ */
+const classify = ({ data, width, height }) => {
+  const output = tf.tidy(() => {
+    const pixels = tf.browser.fromPixels(
+      { data: new Uint8Array(data), width, height },
+      3
+    );
+    const input =
+      normalize === "zero-to-one"
+        ? pixels.toFloat().div(255)
+        : pixels.toFloat().div(127.5).sub(1);
+    return model.predict(input.expandDims(0)).squeeze();
+  });
+
+  const scores = output.dataSync();
+  output.dispose();
+
+  return Object.fromEntries(
+    labels.map((label, index) => [label, { confidence: scores[index] }])
+  );
+};
+
+/**
+ * Runs a TensorFlow Object Detection API model on RGBA pixels and returns
+ * `{ xmin, ymin, xmax, ymax, score }` boxes as fractions of the image
+ *
+ * Such models output `detection_boxes` as [ymin, xmin, ymax, xmax] and
+ * `detection_scores`, among others; outputs are matched by name.
+ */
+const detect = async ({ data, width, height }) => {
+  const input = tf.tidy(() =>
+    tf.browser
+      .fromPixels({ data: new Uint8Array(data), width, height }, 3)
+      .expandDims(0)
+  );
+  const result = await model.executeAsync(input);
+  input.dispose();
+
+  const outputs = Array.isArray(result) ? result : [result];
+  const byName = (part) =>
+    outputs[model.outputNodes.findIndex((name) => name.includes(part))];
+
+  const [boxes] = await byName("boxes").array();
+  const [scores] = await byName("scores").array();
+  outputs.forEach((tensor) => tensor.dispose());
+
+  return boxes.map(([ymin, xmin, ymax, xmax], index) => ({
+    xmin,
+    ymin,
+    xmax,
+    ymax,
+    score: scores[index],
+  }));
+};
+
+self.onmessage = async ({ data: message }) => {
+  try {
+    if (message.type === "load") {
+      const loadedLabels = await load(message.model);
+      self.postMessage({ type: "loaded", labels: loadedLabels });
+    } else if (message.type === "classify") {
+      if (!model) throw new Error("Local model is not loaded");
+      self.postMessage({
+        type: "result",
+        id: message.id,
+        predictions: classify(message.image),
+      });
+    } else if (message.type === "detect") {
+      if (!model) throw new Error("Local model is not loaded");
+      self.postMessage({
+        type: "boxes",
+        id: message.id,
+        boxes: await detect(message.image),
+      });
+    }
+  } catch (error) {
+    self.postMessage({
+      type: "error",
+      id: message.id,
+      message: error.message || "Local inference failed",
+    });
+  }
+};